@@ -3,10 +3,19 @@
 
 import { useState, useEffect } from 'react'
 import { supabase } from '@/lib/supabase'
+import { useAuth } from '@/contexts/AuthContext'
 import Link from 'next/link'
 import toast from 'react-hot-toast'
+import { getShiftHours } from '@/lib/shiftEngine'
+import { canSeeWages, fetchStaffWages } from '@/lib/roles'
+import { EXPORT_FORMATS, downloadTable } from '@/lib/export'
+import { getToday } from '@/lib/periods'
 
 export default function AnalyticsPage() {
+  const { accountId, role } = useAuth()
+  // 人件費はオーナーだけに表示する
+  const showCost = canSeeWages(role)
+
   // スタッフ一覧
   const [staffList, setStaffList] = useState([])
   
@@ -16,35 +25,52 @@ export default function AnalyticsPage() {
   // 集計データ
   const [analytics, setAnalytics] = useState([])
   
+  // 店舗別の集計データ
+  const [storeAnalytics, setStoreAnalytics] = useState([])
+  
+  // 欠勤の記録
+  const [absences, setAbsences] = useState([])
+  
   // ローディング状態
   const [isLoading, setIsLoading] = useState(true)
 
   useEffect(() => {
-    fetchData()
-  }, [])
+    if (accountId) fetchData()
+  }, [accountId])
 
   // データ取得
   async function fetchData() {
     try {
       setIsLoading(true)
       
-      // スタッフとシフトを並行取得
-      const [staffResult, shiftsResult] = await Promise.all([
-        supabase.from('staff').select('*').order('name'),
-        supabase.from('shifts').select('*')
+      // スタッフ・シフト・シフトパターン・欠勤・店舗を並行取得
+      const [staffResult, shiftsResult, patternsResult, absencesResult, storesResult] = await Promise.all([
+        supabase.from('staff').select('*').eq('user_id', accountId).order('name'),
+        supabase.from('shifts').select('*').eq('user_id', accountId),
+        supabase.from('shift_patterns').select('*').eq('user_id', accountId),
+        supabase.from('absences').select('*').eq('user_id', accountId),
+        supabase.from('stores').select('id, name').eq('user_id', accountId).order('created_at')
       ])
       
+      if (storesResult.error) throw storesResult.error
       if (staffResult.error) throw staffResult.error
       if (shiftsResult.error) throw shiftsResult.error
+      if (patternsResult.error) throw patternsResult.error
+      if (absencesResult.error) throw absencesResult.error
       
       const staff = staffResult.data || []
       const shiftsData = shiftsResult.data || []
+      const patterns = patternsResult.data || []
+      const absencesData = absencesResult.data || []
+      const wages = showCost ? await fetchStaffWages(accountId) : {}
       
       setStaffList(staff)
       setShifts(shiftsData)
+      setAbsences(absencesData)
       
       // 集計処理
-      calculateAnalytics(staff, shiftsData)
+      calculateAnalytics(staff, shiftsData, patterns, absencesData, wages)
+      calculateStoreAnalytics(storesResult.data || [], shiftsData, patterns, wages)
       
     } catch (err) {
       console.error('データ取得エラー:', err)
@@ -55,7 +81,10 @@ export default function AnalyticsPage() {
   }
 
   // スタッフ別の労働時間を集計
-  function calculateAnalytics(staff, shiftsData) {
+  function calculateAnalytics(staff, shiftsData, patterns, absencesData, wages) {
+    // パターンIDから休憩時間を引けるようにしておく
+    const breakMinutesByPattern = Object.fromEntries(patterns.map(p => [p.id, p.break_minutes]))
+    
     // スタッフごとに集計
     const analyticsData = staff.map(s => {
       // このスタッフのシフトを抽出
@@ -65,32 +94,84 @@ export default function AnalyticsPage() {
       // 各シフトの時間を合計する
       const totalHours = staffShifts.reduce((sum, shift) => {
         // start_timeとend_timeから労働時間を計算
-        // 簡易的に、09:00-17:00 = 8時間として計算
-        const start = parseTime(shift.start_time)
-        const end = parseTime(shift.end_time)
-        const hours = (end - start) / 60 // 分を時間に変換
+        // 日付をまたぐシフトにも対応し、パターンの休憩時間を差し引く
+        const hours = getShiftHours(shift, breakMinutesByPattern[shift.pattern_id] || 0)
         return sum + hours
       }, 0)
       
-      // 人件費を計算
-      const totalCost = totalHours * s.hourly_wage
+      // 人件費を計算（時給はオーナーのときだけ取得している）
+      const totalCost = totalHours * (wages[s.id] || 0)
       
       return {
         staffId: s.id,
         staffName: s.name,
         totalHours: totalHours,
         totalCost: totalCost,
-        shiftCount: staffShifts.length
+        shiftCount: staffShifts.length,
+        absenceCount: absencesData.filter(a => a.staff_id === s.id).length
       }
     })
     
     setAnalytics(analyticsData)
   }
 
-  // 時刻を分に変換（例：09:00 → 540分）
-  function parseTime(timeString) {
-    const [hours, minutes] = timeString.split(':').map(Number)
-    return hours * 60 + minutes
+  // 店舗別の労働時間・人件費を集計
+  // 掛け持ちのスタッフは、それぞれの店舗で働いた時間をその店舗に計上する
+  function calculateStoreAnalytics(stores, shiftsData, patterns, wages) {
+    const breakMinutesByPattern = Object.fromEntries(patterns.map(p => [p.id, p.break_minutes]))
+    
+    const storeData = stores.map(store => {
+      const storeShifts = shiftsData.filter(shift => shift.store_id === store.id)
+      
+      const totalHours = storeShifts.reduce((sum, shift) => (
+        sum + getShiftHours(shift, breakMinutesByPattern[shift.pattern_id] || 0)
+      ), 0)
+      
+      const totalCost = storeShifts.reduce((sum, shift) => (
+        sum + getShiftHours(shift, breakMinutesByPattern[shift.pattern_id] || 0) * (wages[shift.staff_id] || 0)
+      ), 0)
+      
+      return {
+        storeId: store.id,
+        storeName: store.name,
+        staffCount: new Set(storeShifts.map(shift => shift.staff_id)).size,
+        shiftCount: storeShifts.length,
+        totalHours: totalHours,
+        totalCost: totalCost
+      }
+    })
+    
+    setStoreAnalytics(storeData)
+  }
+
+  // 詳細データ（スタッフ別）の表をCSV・Excelで書き出す
+  // Excelには店舗別の集計も別のシートで入れる
+  function handleExport(format) {
+    const staffRows = [
+      ['スタッフ名', '勤務日数', '総労働時間', ...(showCost ? ['総人件費'] : []), '欠勤'],
+      ...analytics.map(a => [
+        a.staffName,
+        a.shiftCount,
+        Math.round(a.totalHours * 100) / 100,
+        ...(showCost ? [Math.round(a.totalCost)] : []),
+        a.absenceCount,
+      ]),
+    ]
+    const storeRows = [
+      ['店舗', '勤務したスタッフ', 'シフト数', '総労働時間', ...(showCost ? ['総人件費'] : [])],
+      ...storeAnalytics.map(a => [
+        a.storeName,
+        a.staffCount,
+        a.shiftCount,
+        Math.round(a.totalHours * 100) / 100,
+        ...(showCost ? [Math.round(a.totalCost)] : []),
+      ]),
+    ]
+    const today = getToday()
+    downloadTable(format, `勤務統計_${today}`, [
+      { name: 'スタッフ別', rows: staffRows },
+      { name: '店舗別', rows: storeRows },
+    ])
   }
 
   // 最大値を取得（グラフの高さ調整用）
@@ -147,9 +228,55 @@ export default function AnalyticsPage() {
               )}
             </div>
 
+            {/* テーブル：店舗別 */}
+            {storeAnalytics.length > 0 && (
+              <div className="bg-white p-6 rounded-lg shadow mb-8">
+                <h2 className="text-xl font-semibold mb-4">店舗別</h2>
+                <div className="overflow-x-auto">
+                  <table className="w-full">
+                    <thead className="bg-gray-50">
+                      <tr>
+                        <th className="px-4 py-3 text-left font-semibold">店舗</th>
+                        <th className="px-4 py-3 text-left font-semibold">勤務したスタッフ</th>
+                        <th className="px-4 py-3 text-left font-semibold">シフト数</th>
+                        <th className="px-4 py-3 text-left font-semibold">総労働時間</th>
+                        {showCost && <th className="px-4 py-3 text-left font-semibold">総人件費</th>}
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {storeAnalytics.map((data) => (
+                        <tr key={data.storeId} className="border-t hover:bg-gray-50">
+                          <td className="px-4 py-3">{data.storeName}</td>
+                          <td className="px-4 py-3">{data.staffCount}名</td>
+                          <td className="px-4 py-3">{data.shiftCount}件</td>
+                          <td className="px-4 py-3">{data.totalHours.toFixed(1)}時間</td>
+                          {showCost && <td className="px-4 py-3">{Math.round(data.totalCost).toLocaleString()}円</td>}
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              </div>
+            )}
+
             {/* テーブル：詳細データ */}
             <div className="bg-white p-6 rounded-lg shadow">
-              <h2 className="text-xl font-semibold mb-4">詳細データ</h2>
+              <div className="flex justify-between items-center mb-4">
+                <h2 className="text-xl font-semibold">詳細データ</h2>
+                {analytics.length > 0 && (
+                  <div className="flex gap-2">
+                    {Object.entries(EXPORT_FORMATS).map(([format, { label }]) => (
+                      <button
+                        key={format}
+                        onClick={() => handleExport(format)}
+                        className="px-3 py-1 text-sm bg-white border border-green-600 text-green-700 rounded hover:bg-green-50"
+                      >
+                        📥 {label}
+                      </button>
+                    ))}
+                  </div>
+                )}
+              </div>
               
               {analytics.length === 0 ? (
                 <p className="text-gray-500 text-center py-8">
@@ -163,7 +290,8 @@ export default function AnalyticsPage() {
                         <th className="px-4 py-3 text-left font-semibold">スタッフ名</th>
                         <th className="px-4 py-3 text-left font-semibold">勤務日数</th>
                         <th className="px-4 py-3 text-left font-semibold">総労働時間</th>
-                        <th className="px-4 py-3 text-left font-semibold">総人件費</th>
+                        {showCost && <th className="px-4 py-3 text-left font-semibold">総人件費</th>}
+                        <th className="px-4 py-3 text-left font-semibold">欠勤</th>
                       </tr>
                     </thead>
                     <tbody>
@@ -172,7 +300,8 @@ export default function AnalyticsPage() {
                           <td className="px-4 py-3">{data.staffName}</td>
                           <td className="px-4 py-3">{data.shiftCount}日</td>
                           <td className="px-4 py-3">{data.totalHours.toFixed(1)}時間</td>
-                          <td className="px-4 py-3">{data.totalCost.toLocaleString()}円</td>
+                          {showCost && <td className="px-4 py-3">{data.totalCost.toLocaleString()}円</td>}
+                          <td className="px-4 py-3">{data.absenceCount}回</td>
                         </tr>
                       ))}
                     </tbody>
@@ -185,12 +314,22 @@ export default function AnalyticsPage() {
                         <td className="px-4 py-3">
                           {analytics.reduce((sum, a) => sum + a.totalHours, 0).toFixed(1)}時間
                         </td>
+                        {showCost && (
+                          <td className="px-4 py-3">
+                            {analytics.reduce((sum, a) => sum + a.totalCost, 0).toLocaleString()}円
+                          </td>
+                        )}
                         <td className="px-4 py-3">
-                          {analytics.reduce((sum, a) => sum + a.totalCost, 0).toLocaleString()}円
+                          {analytics.reduce((sum, a) => sum + a.absenceCount, 0)}回
                         </td>
                       </tr>
                     </tfoot>
                   </table>
+                  {absences.length > 0 && (
+                    <p className="text-sm text-gray-600 mt-4">
+                      欠勤 {absences.length}件のうち、代わりのスタッフを割り当てたのは {absences.filter(a => a.replacement_shift_id).length}件です
+                    </p>
+                  )}
                 </div>
               )}
             </div>
@@ -0,0 +1,91 @@
+// app/invite/page.js
+'use client'
+
+import { useState, useEffect } from 'react'
+import { useRouter } from 'next/navigation'
+import Link from 'next/link'
+import { supabase } from '@/lib/supabase'
+import { useAuth } from '@/contexts/AuthContext'
+import toast from 'react-hot-toast'
+
+// 招待リンク（/invite?code=...）を開いたときの画面
+// ログインしていれば招待を受けて、オーナーのアカウントにマネージャー・スタッフとして参加する
+export default function InvitePage() {
+  const router = useRouter()
+  const { user, loading, role, refreshMembership } = useAuth()
+
+  const [code, setCode] = useState('')
+  const [isAccepting, setIsAccepting] = useState(false)
+
+  useEffect(() => {
+    setCode(new URLSearchParams(window.location.search).get('code') || '')
+  }, [])
+
+  // ログイン・新規登録の後にこの画面へ戻る
+  const redirect = encodeURIComponent(`/invite?code=${code}`)
+
+  async function handleAccept() {
+    setIsAccepting(true)
+    try {
+      const { error } = await supabase.rpc('accept_invitation', { p_code: code })
+      if (error) throw error
+
+      await refreshMembership()
+      toast.success('アカウントに参加しました')
+      router.push('/')
+    } catch (err) {
+      console.error('招待の受け取りエラー:', err)
+      toast.error(err.message || '参加できませんでした')
+    } finally {
+      setIsAccepting(false)
+    }
+  }
+
+  return (
+    <div className='min-h-screen flex items-center justify-center bg-gray-50 px-4'>
+      <div className='max-w-md w-full bg-white p-8 rounded-lg shadow-sm border border-gray-200 text-center'>
+        <h1 className='text-2xl font-bold text-gray-900 mb-4'>シフト管理への招待</h1>
+
+        {loading ? (
+          <div className='flex items-center justify-center py-6'>
+            <div className='animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600'></div>
+            <span className='ml-3 text-gray-500'>読み込み中...</span>
+          </div>
+        ) : !code ? (
+          <p className='text-gray-600'>招待リンクが正しくありません。招待した人にリンクを確認してください。</p>
+        ) : !user ? (
+          <>
+            <p className='text-gray-600 mb-6'>参加するには、ログインするか新規登録してください。</p>
+            <div className='flex justify-center gap-4'>
+              <Link href={`/login?redirect=${redirect}`} className='px-6 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors'>
+                ログイン
+              </Link>
+              <Link href={`/signup?redirect=${redirect}`} className='px-6 py-2 border border-blue-600 text-blue-600 rounded-lg hover:bg-blue-50 transition-colors'>
+                新規登録
+              </Link>
+            </div>
+          </>
+        ) : role !== 'owner' ? (
+          <>
+            <p className='text-gray-600 mb-6'>このアカウント（{user.email}）は既にほかのアカウントに参加しています。</p>
+            <Link href='/' className='text-blue-600 hover:underline'>ホームに戻る</Link>
+          </>
+        ) : (
+          <>
+            <p className='text-gray-600 mb-2'>{user.email} で参加します。</p>
+            <p className='text-xs text-gray-500 mb-6'>
+              参加すると、招待したアカウントのシフトを表示します（このアカウントで登録したデータは表示されなくなります）。
+            </p>
+            <button
+              onClick={handleAccept}
+              disabled={isAccepting}
+              className='w-full bg-blue-600 text-white py-3 rounded-lg font-medium transition-all duration-200 hover:bg-blue-700 hover:shadow-md disabled:opacity-50'
+            >
+              {isAccepting ? '参加中...' : '参加する'}
+            </button>
+          </>
+        )}
+      </div>
+    </div>
+  )
+}
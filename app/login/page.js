@@ -4,7 +4,7 @@
 import { useState } from 'react'
 import { useRouter } from 'next/navigation'
 import Link from 'next/link'
-import { useAuth } from '@/contexts/AuthContext'
+import { useAuth, getRedirectPath } from '@/contexts/AuthContext'
 import toast from 'react-hot-toast'
 
 export default function LoginPage() {
@@ -28,7 +28,8 @@ export default function LoginPage() {
     try {
       await signIn(email, password)
       toast.success('ログインしました')
-      router.push('/')
+      // ログインが必要な画面から移動してきた場合は、その画面に戻る
+      router.push(getRedirectPath(window.location.search))
     } catch (err) {
       console.error('ログイン失敗:', err)
       if (err.message.includes('Invalid login credentials')) {
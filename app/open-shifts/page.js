@@ -0,0 +1,216 @@
+// app/open-shifts/page.js
+'use client'
+
+import { useState, useEffect } from 'react'
+import { supabase } from '@/lib/supabase'
+import { useAuth } from '@/contexts/AuthContext'
+import { useStore } from '@/contexts/StoreContext'
+import Link from 'next/link'
+import toast from 'react-hot-toast'
+import { getToday } from '@/lib/periods'
+import { CLAIM_MODES, CLAIM_STATUS, getOpenShiftCheckRange, getClaimIssues } from '@/lib/openShifts'
+
+// スタッフ向けのオープンシフト
+// 人数が足りない枠に応募する（勤務可能時間・週の労働時間などの条件を満たす枠だけ応募できる）
+export default function OpenShiftsPage() {
+  const { accountId, role, staffId } = useAuth()
+  // 募集の店舗の設定（週の始まりなど）で応募できるか確認する
+  const { stores } = useStore()
+
+  const [staffList, setStaffList] = useState([])
+  const [patterns, setPatterns] = useState([])
+  // スタッフとしてログインしている場合は、連携している自分のスタッフに固定する
+  const [selectedStaffId, setSelectedStaffId] = useState(role === 'staff' ? staffId || '' : '')
+  const [openShifts, setOpenShifts] = useState([])
+  const [myClaims, setMyClaims] = useState([])
+  // 募集ごとの応募できない理由（{ openShiftId: ['...'] }）
+  const [issuesByOpenShift, setIssuesByOpenShift] = useState({})
+  const [isLoading, setIsLoading] = useState(true)
+  const [claimingId, setClaimingId] = useState(null)
+
+  const today = getToday()
+  const selectedStaff = staffList.find(s => s.id === selectedStaffId) || null
+
+  useEffect(() => {
+    if (accountId) fetchMasterData()
+  }, [accountId])
+
+  useEffect(() => {
+    if (selectedStaffId) fetchOpenShifts()
+  }, [selectedStaffId, stores])
+
+  async function fetchMasterData() {
+    try {
+      setIsLoading(true)
+      const [staffResult, patternsResult] = await Promise.all([
+        supabase.from('staff').select('id, name, max_hours_per_week').eq('user_id', accountId).order('name'),
+        supabase.from('shift_patterns').select('*').eq('user_id', accountId),
+      ])
+      if (staffResult.error) throw staffResult.error
+      if (patternsResult.error) throw patternsResult.error
+
+      setStaffList(staffResult.data || [])
+      setPatterns(patternsResult.data || [])
+    } catch (err) {
+      console.error('データ取得エラー:', err)
+      toast.error('データの取得に失敗しました')
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  async function fetchOpenShifts() {
+    try {
+      const [openShiftsResult, claimsResult, availabilityResult, requestsResult] = await Promise.all([
+        supabase.from('open_shifts').select('*').eq('user_id', accountId).eq('status', 'open').gte('date', today).order('date').order('start_time'),
+        supabase.from('open_shift_claims').select('*').eq('user_id', accountId).eq('staff_id', selectedStaffId),
+        supabase.from('availability').select('day_of_week, start_time, end_time, priority').eq('user_id', accountId).eq('staff_id', selectedStaffId),
+        supabase.from('shift_requests').select('unavailable_dates').eq('user_id', accountId).eq('staff_id', selectedStaffId),
+      ])
+      if (openShiftsResult.error) throw openShiftsResult.error
+      if (claimsResult.error) throw claimsResult.error
+      if (availabilityResult.error) throw availabilityResult.error
+      if (requestsResult.error) throw requestsResult.error
+
+      const openShiftsData = openShiftsResult.data || []
+      setOpenShifts(openShiftsData)
+      setMyClaims(claimsResult.data || [])
+
+      if (openShiftsData.length === 0) {
+        setIssuesByOpenShift({})
+        return
+      }
+
+      // 応募条件の確認に使う、自分の保存済みシフト
+      const { startDate, endDate } = getOpenShiftCheckRange(openShiftsData, stores)
+      const { data: myShifts, error } = await supabase
+        .from('shifts')
+        .select('date, start_time, end_time, pattern_id')
+        .eq('user_id', accountId)
+        .eq('staff_id', selectedStaffId)
+        .gte('date', startDate)
+        .lte('date', endDate)
+      if (error) throw error
+
+      const unavailableDates = new Set((requestsResult.data || []).flatMap(r => r.unavailable_dates))
+      const staff = staffList.find(s => s.id === selectedStaffId)
+      setIssuesByOpenShift(Object.fromEntries(openShiftsData.map(openShift => [
+        openShift.id,
+        getClaimIssues(openShift, staff, {
+          staffShifts: myShifts || [],
+          availability: availabilityResult.data || [],
+          unavailableDates,
+          patterns,
+          stores,
+        }),
+      ])))
+    } catch (err) {
+      console.error('オープンシフト取得エラー:', err)
+      toast.error('オープンシフトの取得に失敗しました')
+    }
+  }
+
+  async function handleClaim(openShift) {
+    try {
+      setClaimingId(openShift.id)
+      const { data, error } = await supabase.rpc('claim_open_shift', {
+        p_open_shift_id: openShift.id,
+        p_staff_id: selectedStaffId,
+      })
+      if (error) throw error
+
+      toast.success(data.status === 'approved' ? 'シフトに入りました' : '応募しました。管理者の承認をお待ちください')
+    } catch (err) {
+      console.error('応募エラー:', err)
+      toast.error(err.message || '応募できませんでした。募集が締め切られた可能性があります')
+    } finally {
+      setClaimingId(null)
+      fetchOpenShifts()
+    }
+  }
+
+  return (
+    <div className='min-h-screen p-8 bg-gray-50'>
+      <div className='max-w-4xl mx-auto'>
+        {/* ヘッダー */}
+        <div className='mb-6'>
+          <Link href='/' className='text-blue-600 hover:underline mb-4 inline-block'>
+            ← ホームに戻る
+          </Link>
+          <h1 className='text-3xl font-bold'>オープンシフト</h1>
+          <p className='text-sm text-gray-600 mt-2'>
+            人数が足りない枠を募集しています。勤務可能時間や週の労働時間の上限を満たす枠に応募できます。
+          </p>
+        </div>
+
+        {isLoading ? (
+          <div className='flex items-center justify-center py-12'>
+            <div className='animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600'></div>
+            <span className='ml-3 text-gray-500'>読み込み中...</span>
+          </div>
+        ) : (
+          <>
+            <div className='bg-white p-6 rounded-lg shadow mb-6'>
+              <label className='block text-sm font-medium mb-1'>名前</label>
+              <select
+                value={selectedStaffId}
+                onChange={(e) => setSelectedStaffId(e.target.value)}
+                disabled={role === 'staff'}
+                className='w-full md:w-1/2 border rounded px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:bg-gray-100'
+              >
+                <option value=''>選択してください</option>
+                {staffList.map(staff => (
+                  <option key={staff.id} value={staff.id}>{staff.name}</option>
+                ))}
+              </select>
+            </div>
+
+            {selectedStaff && (
+              <div className='bg-white p-6 rounded-lg shadow'>
+                <h2 className='text-xl font-semibold mb-4'>募集中の枠</h2>
+                {openShifts.length === 0 ? (
+                  <p className='text-gray-500 text-center py-6'>募集中のオープンシフトはありません</p>
+                ) : (
+                  <ul className='divide-y'>
+                    {openShifts.map(openShift => {
+                      const claim = myClaims.find(c => c.open_shift_id === openShift.id)
+                      const issues = issuesByOpenShift[openShift.id] || []
+                      return (
+                        <li key={openShift.id} className='py-3 flex flex-wrap items-center gap-3'>
+                          <div className='flex-1'>
+                            <div className='font-medium'>
+                              {openShift.date} {openShift.start_time.slice(0, 5)}-{openShift.end_time.slice(0, 5)}
+                              <span className='ml-2 text-xs text-gray-500'>
+                                {CLAIM_MODES[openShift.claim_mode].label}・{openShift.slots}名募集
+                              </span>
+                            </div>
+                            {!claim && issues.length > 0 && (
+                              <div className='text-sm text-gray-500'>応募できません：{issues.join('・')}</div>
+                            )}
+                          </div>
+                          {claim ? (
+                            <span className={`px-2 py-1 text-xs rounded ${CLAIM_STATUS[claim.status].className}`}>
+                              {CLAIM_STATUS[claim.status].label}
+                            </span>
+                          ) : (
+                            <button
+                              onClick={() => handleClaim(openShift)}
+                              disabled={issues.length > 0 || claimingId === openShift.id}
+                              className='px-4 py-2 bg-blue-600 text-white rounded hover:bg-blue-700 disabled:bg-gray-400 disabled:cursor-not-allowed'
+                            >
+                              {openShift.claim_mode === 'first_come' ? 'シフトに入る' : '応募する'}
+                            </button>
+                          )}
+                        </li>
+                      )
+                    })}
+                  </ul>
+                )}
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  )
+}
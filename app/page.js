@@ -4,31 +4,38 @@
 import Link from 'next/link'
 import { useState, useEffect } from 'react'
 import { supabase } from '@/lib/supabase'
+import { subscribeToTables } from '@/lib/realtime'
 import { useAuth } from '@/contexts/AuthContext'
+import { useStore } from '@/contexts/StoreContext'
+import { ROLES, canAccessPath, isManagerRole } from '@/lib/roles'
+import { getMonthRange } from '@/lib/periods'
 import toast from 'react-hot-toast'
 
 export default function HomePage() {
-  const { user, signOut } = useAuth()
+  const { user, loading, accountId, role, signOut } = useAuth()
+  const { stores, currentStoreId, selectStore } = useStore()
   const [stats, setStats] = useState({ staffCount: 0, thisMonthShifts: 0 })
 
   useEffect(() => {
-    if (user) fetchStats()
-  }, [user])
+    if (!accountId) return
+    fetchStats()
+
+    // ほかのブラウザでスタッフやシフトが変わったら件数を更新する
+    return subscribeToTables('home', ['shifts', 'staff'], () => fetchStats())
+  }, [accountId])
 
   async function fetchStats() {
     const { count: staffCount } = await supabase
       .from('staff')
       .select('*', { count: 'exact', head: true })
-      .eq('user_id', user.id)
+      .eq('user_id', accountId)
 
-    const now = new Date()
-    const startOfMonth = new Date(now.getFullYear(), now.getMonth(), 1).toISOString().split('T')[0]
-    const endOfMonth = new Date(now.getFullYear(), now.getMonth() + 1, 0).toISOString().split('T')[0]
+    const { startDate: startOfMonth, endDate: endOfMonth } = getMonthRange(new Date())
     
     const { count: shiftCount } = await supabase
       .from('shifts')
       .select('*', { count: 'exact', head: true })
-      .eq('user_id', user.id)
+      .eq('user_id', accountId)
       .gte('date', startOfMonth)
       .lte('date', endOfMonth)
 
@@ -45,12 +52,20 @@ export default function HomePage() {
     }
   }
 
-  const menuItems = [
+  const allMenuItems = [
     { href: '/shifts/calendar', title: 'シフトカレンダー', desc: '月間シフトの確認・編集' },
     { href: '/shifts', title: 'シフト自動生成', desc: '条件を設定して自動作成' },
+    { href: '/shifts/patterns', title: 'シフトパターン', desc: '早番・遅番・夜勤などの勤務パターン' },
     { href: '/staff', title: 'スタッフ管理', desc: 'スタッフの登録・編集' },
+    { href: '/stores', title: '店舗管理', desc: '店舗の営業時間と所属スタッフ' },
+    { href: '/preferences', title: '希望シフト提出', desc: '希望日・NG日を締切までに提出' },
+    { href: '/schedule', title: 'シフト表', desc: '公開されたシフトの確認' },
+    { href: '/swaps', title: 'シフト交代', desc: 'シフトの交代を募集・引き受け' },
+    { href: '/open-shifts', title: 'オープンシフト', desc: '人数が足りない枠に応募' },
     { href: '/analytics', title: '勤務統計', desc: '勤務時間・出勤日数の集計' },
   ]
+  // 役割で開けない画面は出さない（ログイン前はすべて出し、開くとログイン画面へ移動する）
+  const menuItems = role ? allMenuItems.filter(item => canAccessPath(role, item.href)) : allMenuItems
 
   return (
     <div className='min-h-screen bg-gray-50'>
@@ -60,7 +75,23 @@ export default function HomePage() {
           <div className='flex items-center gap-4'>
             {user && (
               <>
+                {/* 店舗の切り替え（シフト・パターン・必要人数の画面は選択中の店舗を表示する） */}
+                {isManagerRole(role) && stores.length > 0 && (
+                  <select
+                    value={currentStoreId || ''}
+                    onChange={(e) => selectStore(e.target.value)}
+                    className='text-sm border border-gray-300 rounded px-2 py-1'
+                    aria-label='店舗'
+                  >
+                    {stores.map(store => (
+                      <option key={store.id} value={store.id}>{store.name}</option>
+                    ))}
+                  </select>
+                )}
                 <span className='text-sm text-gray-600 hidden sm:inline'>{user.email}</span>
+                {role && (
+                  <span className={`px-2 py-0.5 rounded text-xs ${ROLES[role].className}`}>{ROLES[role].label}</span>
+                )}
                 <button
                   onClick={handleLogout}
                   className='text-sm text-gray-500 hover:text-gray-700 transition-colors'
@@ -69,6 +100,11 @@ export default function HomePage() {
                 </button>
               </>
             )}
+            {!loading && !user && (
+              <Link href='/login' className='text-sm text-blue-600 hover:underline'>
+                ログイン
+              </Link>
+            )}
           </div>
         </div>
       </header>
@@ -109,14 +145,16 @@ export default function HomePage() {
           ))}
         </div>
 
-        <div className='mt-8 text-center'>
-          <Link
-            href='/shifts'
-            className='inline-block px-6 py-3 bg-blue-600 text-white font-medium rounded-lg transition-all duration-200 hover:bg-blue-700 hover:shadow-md'
-          >
-            シフトを作成する
-          </Link>
-        </div>
+        {(!role || canAccessPath(role, '/shifts')) && (
+          <div className='mt-8 text-center'>
+            <Link
+              href='/shifts'
+              className='inline-block px-6 py-3 bg-blue-600 text-white font-medium rounded-lg transition-all duration-200 hover:bg-blue-700 hover:shadow-md'
+            >
+              シフトを作成する
+            </Link>
+          </div>
+        )}
       </main>
 
       <footer className='mt-16 border-t py-6 text-center text-gray-400 text-sm'>
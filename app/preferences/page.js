@@ -0,0 +1,307 @@
+// app/preferences/page.js
+'use client'
+
+import { useState, useEffect } from 'react'
+import { supabase } from '@/lib/supabase'
+import { useAuth } from '@/contexts/AuthContext'
+import { useStore } from '@/contexts/StoreContext'
+import Link from 'next/link'
+import toast from 'react-hot-toast'
+import { getDateRange, getDayOfWeek } from '@/lib/shiftEngine'
+import { getToday, isAcceptingRequests } from '@/lib/periods'
+
+const WEEK_DAYS = ['日', '月', '火', '水', '木', '金', '土']
+
+// 日付をクリックするたびに 未選択 → 希望 → NG → 未選択 と切り替える
+const NEXT_MARK = { none: 'preferred', preferred: 'unavailable', unavailable: 'none' }
+
+export default function PreferencesPage() {
+  const { accountId, role, staffId } = useAuth()
+  // 提出期間は店舗ごとのため、期間に店舗名を添えて表示する
+  const { stores } = useStore()
+
+  const [periods, setPeriods] = useState([])
+  const [staffList, setStaffList] = useState([])
+  const [selectedPeriodId, setSelectedPeriodId] = useState('')
+  // スタッフとしてログインしている場合は、連携している自分のスタッフに固定する
+  const [selectedStaffId, setSelectedStaffId] = useState(role === 'staff' ? staffId || '' : '')
+  // 日付ごとの希望（{ '2026-04-01': 'preferred' }）
+  const [marks, setMarks] = useState({})
+  const [note, setNote] = useState('')
+  const [submittedAt, setSubmittedAt] = useState(null)
+  // 管理者から届いたリマインド（最新のもの）
+  const [reminder, setReminder] = useState(null)
+  const [isLoading, setIsLoading] = useState(true)
+  const [isSaving, setIsSaving] = useState(false)
+
+  const today = getToday()
+  const selectedPeriod = periods.find(p => p.id === selectedPeriodId) || null
+  const isClosed = selectedPeriod ? !isAcceptingRequests(selectedPeriod, today) : false
+  const isNotOpenYet = selectedPeriod ? today < selectedPeriod.opens_on : false
+
+  useEffect(() => {
+    if (accountId) fetchInitialData()
+  }, [accountId])
+
+  // 期間とスタッフを選んだら、提出済みの内容を読み込む
+  useEffect(() => {
+    if (selectedPeriodId && selectedStaffId) fetchRequest()
+  }, [selectedPeriodId, selectedStaffId])
+
+  async function fetchInitialData() {
+    try {
+      setIsLoading(true)
+
+      // 受付中で、対象期間が終わっていない提出期間だけを表示
+      const [periodsResult, staffResult] = await Promise.all([
+        supabase.from('collection_periods').select('*').eq('user_id', accountId).eq('status', 'open').gte('end_date', today).order('start_date'),
+        supabase.from('staff').select('id, name').eq('user_id', accountId).order('name'),
+      ])
+
+      if (periodsResult.error) throw periodsResult.error
+      if (staffResult.error) throw staffResult.error
+
+      setPeriods(periodsResult.data || [])
+      setStaffList(staffResult.data || [])
+      if (periodsResult.data?.length > 0) setSelectedPeriodId(periodsResult.data[0].id)
+    } catch (err) {
+      console.error('データ取得エラー:', err)
+      toast.error('データの取得に失敗しました')
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  async function fetchRequest() {
+    const [requestResult, reminderResult] = await Promise.all([
+      supabase
+        .from('shift_requests')
+        .select('*')
+        .eq('user_id', accountId)
+        .eq('period_id', selectedPeriodId)
+        .eq('staff_id', selectedStaffId)
+        .maybeSingle(),
+      supabase
+        .from('period_reminders')
+        .select('sent_at')
+        .eq('user_id', accountId)
+        .eq('period_id', selectedPeriodId)
+        .eq('staff_id', selectedStaffId)
+        .order('sent_at', { ascending: false })
+        .limit(1),
+    ])
+
+    if (requestResult.error) {
+      console.error('希望シフト取得エラー:', requestResult.error)
+      toast.error('提出済みの希望の取得に失敗しました')
+      return
+    }
+
+    const data = requestResult.data
+    setReminder(reminderResult.data?.[0] || null)
+
+    const nextMarks = {}
+    data?.preferred_dates.forEach(date => { nextMarks[date] = 'preferred' })
+    data?.unavailable_dates.forEach(date => { nextMarks[date] = 'unavailable' })
+    setMarks(nextMarks)
+    setNote(data?.note || '')
+    setSubmittedAt(data?.submitted_at || null)
+  }
+
+  function toggleDate(date) {
+    if (isClosed) return
+    setMarks(prev => ({ ...prev, [date]: NEXT_MARK[prev[date] || 'none'] }))
+  }
+
+  async function handleSubmit() {
+    if (!selectedPeriod || !selectedStaffId) {
+      toast.error('提出期間と名前を選択してください')
+      return
+    }
+    if (isClosed) {
+      toast.error(isNotOpenYet ? 'まだ受付開始前です' : '提出期限を過ぎています')
+      return
+    }
+
+    const datesOf = (mark) => Object.keys(marks).filter(date => marks[date] === mark).sort()
+
+    try {
+      setIsSaving(true)
+      const submittedAtNow = new Date().toISOString()
+
+      // 再提出は上書きする
+      const { error } = await supabase
+        .from('shift_requests')
+        .upsert({
+          user_id: accountId,
+          period_id: selectedPeriod.id,
+          staff_id: selectedStaffId,
+          preferred_dates: datesOf('preferred'),
+          unavailable_dates: datesOf('unavailable'),
+          note: note,
+          submitted_at: submittedAtNow,
+        }, { onConflict: 'period_id,staff_id' })
+
+      if (error) throw error
+
+      setSubmittedAt(submittedAtNow)
+      toast.success('希望シフトを提出しました')
+    } catch (err) {
+      console.error('希望シフト提出エラー:', err)
+      toast.error('提出に失敗しました')
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  // カレンダー表示用に、先頭を曜日に合わせて空白で埋める
+  const periodDates = selectedPeriod ? getDateRange(selectedPeriod.start_date, selectedPeriod.end_date) : []
+  const calendarCells = periodDates.length > 0
+    ? [...Array(getDayOfWeek(periodDates[0])).fill(null), ...periodDates]
+    : []
+
+  return (
+    <div className="min-h-screen p-8 bg-gray-50">
+      <div className="max-w-4xl mx-auto">
+        {/* ヘッダー */}
+        <div className="mb-6">
+          <Link href="/" className="text-blue-600 hover:underline mb-4 inline-block">
+            ← ホームに戻る
+          </Link>
+          <h1 className="text-3xl font-bold">希望シフト提出</h1>
+        </div>
+
+        {isLoading ? (
+          <div className="flex items-center justify-center py-12">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+            <span className="ml-3 text-gray-500">読み込み中...</span>
+          </div>
+        ) : periods.length === 0 ? (
+          <div className="bg-white p-6 rounded-lg shadow text-center text-gray-500">
+            現在受付中の提出期間はありません
+          </div>
+        ) : (
+          <>
+            {/* 期間・名前の選択 */}
+            <div className="bg-white p-6 rounded-lg shadow mb-6 grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div>
+                <label className="block text-sm font-medium mb-1">提出期間</label>
+                <select
+                  value={selectedPeriodId}
+                  onChange={(e) => setSelectedPeriodId(e.target.value)}
+                  className="w-full border rounded px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                >
+                  {periods.map(period => (
+                    <option key={period.id} value={period.id}>
+                      {stores.find(store => store.id === period.store_id)?.name ?? ''} {period.start_date} 〜 {period.end_date}（締切 {period.deadline}）
+                    </option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm font-medium mb-1">名前</label>
+                <select
+                  value={selectedStaffId}
+                  onChange={(e) => setSelectedStaffId(e.target.value)}
+                  disabled={role === 'staff'}
+                  className="w-full border rounded px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:bg-gray-100"
+                >
+                  <option value="">選択してください</option>
+                  {staffList.map(staff => (
+                    <option key={staff.id} value={staff.id}>{staff.name}</option>
+                  ))}
+                </select>
+              </div>
+            </div>
+
+            {selectedPeriod && selectedStaffId && (
+              <div className="bg-white p-6 rounded-lg shadow">
+                <div className="flex justify-between items-center mb-4">
+                  <h2 className="text-xl font-semibold">希望日・NG日</h2>
+                  <span className={`text-sm ${isClosed ? 'text-red-600' : 'text-gray-600'}`}>
+                    {isNotOpenYet
+                      ? `${selectedPeriod.opens_on} から受付開始`
+                      : isClosed ? '提出期限を過ぎています' : `締切: ${selectedPeriod.deadline}`}
+                    {submittedAt && `（提出済み: ${new Date(submittedAt).toLocaleString('ja-JP')}）`}
+                  </span>
+                </div>
+
+                {/* 未提出のままリマインドが届いている場合 */}
+                {reminder && !submittedAt && !isClosed && (
+                  <div className="bg-yellow-50 border border-yellow-200 text-yellow-800 px-4 py-3 rounded mb-4 text-sm">
+                    管理者から提出のリマインドが届いています（{new Date(reminder.sent_at).toLocaleString('ja-JP')}）。
+                    締切 {selectedPeriod.deadline} までに提出してください。
+                  </div>
+                )}
+
+                <p className="text-sm text-gray-600 mb-4">
+                  日付をクリックすると
+                  <span className="mx-1 px-1 bg-green-100 text-green-800 rounded">希望</span>→
+                  <span className="mx-1 px-1 bg-red-100 text-red-800 rounded">NG</span>→ 未選択 の順に切り替わります
+                </p>
+
+                {/* カレンダー */}
+                <div className="grid grid-cols-7 gap-1 mb-6">
+                  {WEEK_DAYS.map((day, i) => (
+                    <div
+                      key={day}
+                      className={`text-center text-sm font-semibold py-1 ${
+                        i === 0 ? 'text-red-500' : i === 6 ? 'text-blue-500' : ''
+                      }`}
+                    >
+                      {day}
+                    </div>
+                  ))}
+                  {calendarCells.map((date, index) => {
+                    if (!date) return <div key={index} />
+                    const mark = marks[date] || 'none'
+                    return (
+                      <button
+                        key={date}
+                        type="button"
+                        onClick={() => toggleDate(date)}
+                        disabled={isClosed}
+                        className={`h-16 rounded border text-sm transition ${
+                          mark === 'preferred'
+                            ? 'bg-green-100 border-green-400 text-green-800'
+                            : mark === 'unavailable'
+                              ? 'bg-red-100 border-red-400 text-red-800'
+                              : 'bg-white hover:bg-gray-50'
+                        } ${isClosed ? 'cursor-not-allowed opacity-70' : ''}`}
+                      >
+                        <div>{Number(date.slice(8, 10))}</div>
+                        <div className="text-xs">
+                          {mark === 'preferred' ? '希望' : mark === 'unavailable' ? 'NG' : ''}
+                        </div>
+                      </button>
+                    )
+                  })}
+                </div>
+
+                <div className="mb-6">
+                  <label className="block text-sm font-medium mb-1">備考</label>
+                  <textarea
+                    value={note}
+                    onChange={(e) => setNote(e.target.value)}
+                    disabled={isClosed}
+                    rows={3}
+                    className="w-full border rounded px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    placeholder="例：10日は午前のみ可能です"
+                  />
+                </div>
+
+                <button
+                  onClick={handleSubmit}
+                  disabled={isSaving || isClosed}
+                  className="px-6 py-3 rounded font-semibold text-white bg-blue-600 hover:bg-blue-700 transition disabled:bg-gray-400 disabled:cursor-not-allowed"
+                >
+                  {isSaving ? '提出中...' : submittedAt ? '再提出する' : '提出する'}
+                </button>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  )
+}
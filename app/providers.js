@@ -1,14 +1,63 @@
 // app/providers.js
 'use client'
 
+import { useEffect } from 'react'
+import Link from 'next/link'
+import { usePathname, useRouter } from 'next/navigation'
 import { Toaster } from 'react-hot-toast'
+import { AuthProvider, useAuth, isProtectedPath } from '@/contexts/AuthContext'
+import { StoreProvider } from '@/contexts/StoreContext'
+import { canAccessPath } from '@/lib/roles'
 
-// Toast通知をアプリ全体で使えるようにするプロバイダー
+// ログインが必要な画面を、ログインしていなければログイン画面へ移動させる
+// 開こうとしていた画面は redirect に残し、ログイン後にそこへ戻る
+// 役割で開けない画面（スタッフが管理画面を開いた場合など）は、画面の代わりにメッセージを表示する
+function AuthGuard({ children }) {
+  const { user, loading, role } = useAuth()
+  const pathname = usePathname()
+  const router = useRouter()
+  const isProtected = isProtectedPath(pathname)
+
+  useEffect(() => {
+    if (!isProtected || loading || user) return
+    const destination = `${window.location.pathname}${window.location.search}`
+    router.replace(`/login?redirect=${encodeURIComponent(destination)}`)
+  }, [isProtected, loading, user])
+
+  // 確認中・移動するまでは画面を表示しない
+  if (isProtected && (loading || !user)) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+        <span className="ml-3 text-gray-500">読み込み中...</span>
+      </div>
+    )
+  }
+
+  if (isProtected && !canAccessPath(role, pathname)) {
+    return (
+      <div className="min-h-screen flex flex-col items-center justify-center gap-4">
+        <p className="text-gray-700">この画面を開く権限がありません</p>
+        <Link href="/" className="text-blue-600 hover:underline">
+          ホームに戻る
+        </Link>
+      </div>
+    )
+  }
+
+  return children
+}
+
+// Toast通知・ログイン状態・選択中の店舗をアプリ全体で使えるようにするプロバイダー
 // Toasterコンポーネントを配置することで、どこからでもtoast()を呼び出せる
 export function Providers({ children }) {
   return (
-    <>
-      {children}
+    <AuthProvider>
+      <StoreProvider>
+        <AuthGuard>
+          {children}
+        </AuthGuard>
+      </StoreProvider>
       {/* 
         Toast通知の表示位置と設定
         position: 画面右上に表示
@@ -24,6 +73,6 @@ export function Providers({ children }) {
           },
         }}
       />
-    </>
+    </AuthProvider>
   )
 }
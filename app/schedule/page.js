@@ -0,0 +1,174 @@
+// app/schedule/page.js
+'use client'
+
+import { useState, useEffect } from 'react'
+import { supabase } from '@/lib/supabase'
+import { useAuth } from '@/contexts/AuthContext'
+import Link from 'next/link'
+import toast from 'react-hot-toast'
+import { getDateRange, getDayOfWeek, crossesMidnight } from '@/lib/shiftEngine'
+import { SHIFT_STATUS, getShiftStatus } from '@/lib/shiftStatus'
+import { getMonthRange } from '@/lib/periods'
+
+const WEEK_DAYS = ['日', '月', '火', '水', '木', '金', '土']
+
+// スタッフ向けのシフト表
+// 公開済み・確定済みのシフトだけを表示する（下書きは表示しない）
+export default function PublishedSchedulePage() {
+  const { accountId, role, staffId } = useAuth()
+
+  const [shifts, setShifts] = useState([])
+  const [staffList, setStaffList] = useState([])
+  const [patterns, setPatterns] = useState([])
+  const [currentMonth, setCurrentMonth] = useState(new Date())
+  // 自分のシフトだけに絞り込む（未選択なら全員）
+  // スタッフとしてログインしている場合は、連携している自分のスタッフに固定する
+  const [selectedStaffId, setSelectedStaffId] = useState(role === 'staff' ? staffId || '' : '')
+  const [isLoading, setIsLoading] = useState(true)
+
+  const year = currentMonth.getFullYear()
+  const month = currentMonth.getMonth()
+  const { startDate, endDate } = getMonthRange(currentMonth)
+
+  useEffect(() => {
+    if (accountId) fetchMasterData()
+  }, [accountId])
+
+  useEffect(() => {
+    if (accountId) fetchShifts()
+  }, [accountId, currentMonth])
+
+  async function fetchMasterData() {
+    const [staffResult, patternsResult] = await Promise.all([
+      supabase.from('staff').select('id, name').eq('user_id', accountId).order('name'),
+      supabase.from('shift_patterns').select('*').eq('user_id', accountId),
+    ])
+    setStaffList(staffResult.data || [])
+    setPatterns(patternsResult.data || [])
+  }
+
+  async function fetchShifts() {
+    try {
+      setIsLoading(true)
+      const { data, error } = await supabase
+        .from('shifts')
+        .select('*, staff:staff_id(name)')
+        .eq('user_id', accountId)
+        .eq('is_published', true)
+        .gte('date', startDate)
+        .lte('date', endDate)
+        .order('date')
+        .order('start_time')
+
+      if (error) throw error
+
+      setShifts(data || [])
+    } catch (err) {
+      console.error('シフト取得エラー:', err)
+      toast.error('シフトの取得に失敗しました')
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  function changeMonth(delta) {
+    setCurrentMonth(prev => {
+      const newDate = new Date(prev)
+      newDate.setMonth(newDate.getMonth() + delta)
+      return newDate
+    })
+  }
+
+  const visibleShifts = selectedStaffId ? shifts.filter(s => s.staff_id === selectedStaffId) : shifts
+  // シフトのある日だけを表示
+  const dates = getDateRange(startDate, endDate).filter(date => visibleShifts.some(s => s.date === date))
+
+  return (
+    <div className='min-h-screen p-8 bg-gray-50'>
+      <div className='max-w-4xl mx-auto'>
+        {/* ヘッダー */}
+        <div className='mb-6'>
+          <Link href='/' className='text-blue-600 hover:underline mb-4 inline-block'>
+            ← ホームに戻る
+          </Link>
+          <h1 className='text-3xl font-bold'>シフト表</h1>
+          <p className='text-sm text-gray-600 mt-2'>公開されたシフトを表示しています</p>
+        </div>
+
+        <div className='bg-white p-4 rounded-lg shadow mb-6 flex flex-wrap items-center gap-4'>
+          <div className='flex items-center gap-2'>
+            <button
+              onClick={() => changeMonth(-1)}
+              className='px-3 py-2 bg-gray-200 rounded hover:bg-gray-300'
+            >
+              ← 前月
+            </button>
+            <span className='font-semibold'>{year}年 {month + 1}月</span>
+            <button
+              onClick={() => changeMonth(1)}
+              className='px-3 py-2 bg-gray-200 rounded hover:bg-gray-300'
+            >
+              翌月 →
+            </button>
+          </div>
+          <select
+            value={selectedStaffId}
+            onChange={(e) => setSelectedStaffId(e.target.value)}
+            disabled={role === 'staff'}
+            className='ml-auto border rounded px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:bg-gray-100'
+          >
+            <option value=''>全員</option>
+            {staffList.map(staff => (
+              <option key={staff.id} value={staff.id}>{staff.name}</option>
+            ))}
+          </select>
+        </div>
+
+        {isLoading ? (
+          <div className='flex items-center justify-center py-12'>
+            <div className='animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600'></div>
+            <span className='ml-3 text-gray-500'>読み込み中...</span>
+          </div>
+        ) : dates.length === 0 ? (
+          <div className='bg-white p-6 rounded-lg shadow text-center text-gray-500'>
+            この月の公開済みシフトはありません
+          </div>
+        ) : (
+          <div className='bg-white rounded-lg shadow divide-y'>
+            {dates.map(date => {
+              const dayOfWeek = getDayOfWeek(date)
+              return (
+                <div key={date} className='p-4 flex gap-4'>
+                  <div className={`w-20 font-semibold ${
+                    dayOfWeek === 0 ? 'text-red-500' : dayOfWeek === 6 ? 'text-blue-500' : ''
+                  }`}>
+                    {Number(date.slice(5, 7))}/{Number(date.slice(8, 10))}（{WEEK_DAYS[dayOfWeek]}）
+                  </div>
+                  <div className='flex-1 space-y-1'>
+                    {visibleShifts.filter(s => s.date === date).map(shift => {
+                      const pattern = patterns.find(p => p.id === shift.pattern_id)
+                      const status = getShiftStatus(shift)
+                      return (
+                        <div key={shift.id} className='flex items-center gap-3 text-sm'>
+                          <span className='w-24 truncate'>{shift.staff?.name || '不明'}</span>
+                          <span className='text-gray-700'>
+                            {pattern && `${pattern.name} `}
+                            {shift.start_time.slice(0, 5)}-{shift.end_time.slice(0, 5)}
+                            {crossesMidnight(shift.start_time, shift.end_time) && '(翌)'}
+                          </span>
+                          <span className={`px-2 py-0.5 text-xs rounded ${SHIFT_STATUS[status].className}`}>
+                            {SHIFT_STATUS[status].label}
+                          </span>
+                        </div>
+                      )
+                    })}
+                  </div>
+                </div>
+              )
+            })}
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
@@ -3,36 +3,217 @@
 
 import { useState, useEffect } from 'react'
 import { supabase } from '@/lib/supabase'
+import { useAuth } from '@/contexts/AuthContext'
+import { useStore } from '@/contexts/StoreContext'
 import Link from 'next/link'
 import toast from 'react-hot-toast'
+import { addDays, crossesMidnight, getDateRange, getDayOfWeek, getWeekStart } from '@/lib/shiftEngine'
+import { SHIFT_STATUS, getShiftStatus, getStatusColumns } from '@/lib/shiftStatus'
+import { rankReplacementCandidates } from '@/lib/replacement'
+import { getRuleCheckRange, checkShiftPlacement, getStoreConstraints } from '@/lib/shiftRules'
+import { PRIORITY_OPTIONS } from '@/lib/availability'
+import { getToday, getMonthRange, formatLocalDate } from '@/lib/periods'
+import { getTimelineBars, getTimelineRange, getOpeningRange } from '@/lib/timeline'
+import { ShiftTimeline } from '@/components/ShiftTimeline'
+import { subscribeToTables } from '@/lib/realtime'
+import { canSeeWages, fetchStaffWages, fetchStaffWageRanks } from '@/lib/roles'
 
 export default function ShiftCalendarPage() {
+  const { accountId, role } = useAuth()
+  // 時給はオーナーだけに表示する（代わりのスタッフも、オーナーのときだけ時給の安い順に並べる）
+  const showWages = canSeeWages(role)
+  // 選択中の店舗のシフトを表示・編集する
+  const { currentStoreId, currentStore } = useStore()
+
+  // シフト・スタッフ・パターンはすべての店舗の分を持つ
+  // （ほかの店舗のシフトも、週の上限・連続勤務・重複の確認に使うため）
   const [shifts, setShifts] = useState([])
   const [staffList, setStaffList] = useState([])
+  // 選択中の店舗に所属するスタッフ
+  const [storeStaffIds, setStoreStaffIds] = useState(new Set())
+  const [patterns, setPatterns] = useState([])
   const [currentMonth, setCurrentMonth] = useState(new Date())
+  // 表示形式（month: 月, week: 週, day: 日）と、週・日表示の基準日
+  const [viewMode, setViewMode] = useState('month')
+  const [focusDate, setFocusDate] = useState(getToday())
   const [selectedShift, setSelectedShift] = useState(null)
   const [isEditModalOpen, setIsEditModalOpen] = useState(false)
+  // 編集モーダルの入力値（パターンを選ぶと時刻が自動入力される）
+  const [editForm, setEditForm] = useState({ staff_id: '', pattern_id: '', start_time: '', end_time: '' })
+  // 公開・確定の対象（'month' = 表示中の月、それ以外は提出期間のID）
+  const [periods, setPeriods] = useState([])
+  const [statusTarget, setStatusTarget] = useState('month')
+  // 欠勤の入力（編集モーダル内）と、記録した欠勤の代わりのスタッフ候補
+  const [absenceForm, setAbsenceForm] = useState({ open: false, reason: '' })
+  const [absence, setAbsence] = useState(null)
+  // 読み込み中はnull
+  const [candidates, setCandidates] = useState(null)
+  // 移動・担当変更の確認に使う勤務可能時間とNG日（スタッフIDごと）
+  const [availabilityByStaff, setAvailabilityByStaff] = useState({})
+  const [unavailableDatesByStaff, setUnavailableDatesByStaff] = useState({})
+  // ドラッグ中のシフトと、ドロップ先の日付の確認結果（{ date, conflict, warnings }）
+  const [draggingShift, setDraggingShift] = useState(null)
+  const [dropTarget, setDropTarget] = useState(null)
+  // ほかの画面から届いたシフトの変更と、編集中のシフトとの競合（{ type: 'updated' | 'deleted', shift }）
+  const [remoteChange, setRemoteChange] = useState(null)
+  const [editConflict, setEditConflict] = useState(null)
+
+  const storeShifts = shifts.filter(s => s.store_id === currentStoreId)
+  const storeStaffList = staffList.filter(s => storeStaffIds.has(s.id))
+  const storePatterns = patterns.filter(p => p.store_id === currentStoreId)
 
   useEffect(() => {
+    if (!accountId || !currentStoreId) return
     fetchStaff()
+    fetchPatterns()
+    fetchPeriods()
+    fetchRuleData()
     fetchShifts()
-  }, [currentMonth])
+
+    // ほかのブラウザでの変更を反映する
+    return subscribeToTables('calendar', ['shifts', 'staff'], (payload) => {
+      if (payload.table === 'staff') fetchStaff()
+      if (payload.table === 'shifts') setRemoteChange(payload)
+      fetchShifts()
+    })
+  }, [accountId, currentStoreId, currentMonth])
+
+  // 編集中のシフトがほかの画面で変更・削除されたら、モーダルに競合を表示する
+  // 自分の操作で更新した場合は selectedShift も同じ内容になっているため競合にしない
+  useEffect(() => {
+    if (!remoteChange || !isEditModalOpen || !selectedShift?.id) return
+
+    const changed = remoteChange.eventType === 'DELETE' ? remoteChange.old : remoteChange.new
+    if (changed?.id !== selectedShift.id) return
+
+    if (remoteChange.eventType === 'DELETE') {
+      setEditConflict({ type: 'deleted', shift: null })
+      return
+    }
+    const columns = ['staff_id', 'date', 'start_time', 'end_time', 'pattern_id', 'is_published', 'is_confirmed', 'is_locked']
+    if (columns.some(column => changed[column] !== selectedShift[column])) {
+      setEditConflict({ type: 'updated', shift: changed })
+    }
+  }, [remoteChange])
 
   async function fetchStaff() {
-    const { data } = await supabase.from('staff').select('*').order('name')
-    setStaffList(data || [])
+    const [staffResult, storeStaffResult] = await Promise.all([
+      supabase.from('staff').select('*').eq('user_id', accountId).order('name'),
+      supabase.from('store_staff').select('staff_id').eq('user_id', accountId).eq('store_id', currentStoreId),
+    ])
+    // 時給はオーナーだけ、代わりのスタッフの候補に使う時給の順位はマネージャーも取得する
+    const [wages, wageRanks] = await Promise.all([
+      showWages ? fetchStaffWages(accountId).catch(() => ({})) : {},
+      fetchStaffWageRanks().catch(() => ({})),
+    ])
+    setStaffList((staffResult.data || []).map(staff => ({
+      ...staff,
+      hourly_wage: wages[staff.id] ?? null,
+      wage_rank: wageRanks[staff.id] ?? null,
+    })))
+    setStoreStaffIds(new Set((storeStaffResult.data || []).map(s => s.staff_id)))
+  }
+
+  async function fetchPatterns() {
+    const { data } = await supabase.from('shift_patterns').select('*').eq('user_id', accountId).order('start_time')
+    setPatterns(data || [])
+  }
+
+  async function fetchPeriods() {
+    const { data } = await supabase.from('collection_periods').select('*').eq('user_id', accountId).eq('store_id', currentStoreId).order('start_date', { ascending: false })
+    setPeriods(data || [])
   }
 
+  async function fetchRuleData() {
+    const [availabilityResult, requestsResult] = await Promise.all([
+      supabase.from('availability').select('staff_id, day_of_week, start_time, end_time, priority').eq('user_id', accountId),
+      supabase.from('shift_requests').select('staff_id, unavailable_dates').eq('user_id', accountId),
+    ])
+
+    setAvailabilityByStaff((availabilityResult.data || []).reduce((acc, a) => {
+      if (!acc[a.staff_id]) acc[a.staff_id] = []
+      acc[a.staff_id].push(a)
+      return acc
+    }, {}))
+    setUnavailableDatesByStaff((requestsResult.data || []).reduce((acc, r) => {
+      if (!acc[r.staff_id]) acc[r.staff_id] = new Set()
+      r.unavailable_dates.forEach(date => acc[r.staff_id].add(date))
+      return acc
+    }, {}))
+  }
+
+  // シフトのパターンを取得（パターン未設定ならnull）
+  function getPattern(shift) {
+    return patterns.find(p => p.id === shift.pattern_id) || null
+  }
+
+  // 編集モーダルを開く
+  function openEditModal(shift) {
+    setSelectedShift(shift)
+    setEditConflict(null)
+    setEditForm({
+      staff_id: shift.staff_id,
+      pattern_id: shift.pattern_id || '',
+      start_time: shift.start_time?.slice(0, 5) || '',
+      end_time: shift.end_time?.slice(0, 5) || '',
+    })
+    setAbsenceForm({ open: false, reason: '' })
+    setIsEditModalOpen(true)
+  }
+
+  // 日付を指定してシフトを追加するモーダルを開く（idのないシフトとして扱う）
+  function openCreateModal(dateStr) {
+    setSelectedShift({ id: null, date: dateStr })
+    setEditConflict(null)
+    setEditForm({ staff_id: '', pattern_id: '', start_time: '', end_time: '' })
+    setAbsenceForm({ open: false, reason: '' })
+    setIsEditModalOpen(true)
+  }
+
+  // ほかの画面で変更された最新の内容で編集し直す
+  function reloadConflictedShift() {
+    const staff = staffList.find(s => s.id === editConflict.shift.staff_id)
+    openEditModal({ ...editConflict.shift, staff: staff ? { name: staff.name } : null })
+  }
+
+  // パターンを選んだら時刻を合わせる
+  function handlePatternSelect(e) {
+    const pattern = patterns.find(p => p.id === e.target.value)
+    if (!pattern) {
+      setEditForm(prev => ({ ...prev, pattern_id: '' }))
+      return
+    }
+    setEditForm(prev => ({
+      ...prev,
+      pattern_id: pattern.id,
+      start_time: pattern.start_time.slice(0, 5),
+      end_time: pattern.end_time.slice(0, 5),
+    }))
+  }
+
+  // 時刻を手で変えたらパターンとの対応を外す（パターンと一致する場合は残す）
+  function handleTimeChange(e) {
+    const { name, value } = e.target
+    setEditForm(prev => {
+      const next = { ...prev, [name]: value }
+      const pattern = patterns.find(p => p.id === prev.pattern_id)
+      if (pattern && (pattern.start_time.slice(0, 5) !== next.start_time || pattern.end_time.slice(0, 5) !== next.end_time)) {
+        next.pattern_id = ''
+      }
+      return next
+    })
+  }
+
+  // 表示中の月のシフトに加えて、週の上限・連続勤務を確認できるよう前後の週も取得する
+  // 週・日表示でも同じデータを使う（前日から日付をまたいで続くシフトのため、さらに1日前から取得）
   async function fetchShifts() {
-    const year = currentMonth.getFullYear()
-    const month = currentMonth.getMonth()
-    const startDate = new Date(year, month, 1).toISOString().split('T')[0]
-    const endDate = new Date(year, month + 1, 0).toISOString().split('T')[0]
+    const { startDate, endDate } = getRuleCheckRange(Object.values(getMonthRange(currentMonth)))
 
     const { data, error } = await supabase
       .from('shifts')
       .select('*, staff:staff_id(name)')
-      .gte('date', startDate)
+      .eq('user_id', accountId)
+      .gte('date', addDays(startDate, -1))
       .lte('date', endDate)
       .order('date')
       .order('start_time')
@@ -68,8 +249,56 @@ export default function ShiftCalendarPage() {
   // 指定日のシフトを取得
   function getShiftsForDate(date) {
     if (!date) return []
-    const dateStr = date.toISOString().split('T')[0]
-    return shifts.filter(s => s.date === dateStr)
+    const dateStr = formatLocalDate(date)
+    return storeShifts.filter(s => s.date === dateStr)
+  }
+
+  // 変更後のシフトを確認（同じ開始時刻のシフトとの重複と、制約違反）
+  function checkPlacement(shift) {
+    const staff = staffList.find(s => s.id === shift.staff_id)
+    if (!staff) return { conflict: false, warnings: [] }
+
+    return checkShiftPlacement(shift, shifts, {
+      staff,
+      availability: availabilityByStaff[staff.id] || [],
+      unavailableDates: unavailableDatesByStaff[staff.id],
+      patterns,
+    })
+  }
+
+  // ドラッグ＆ドロップでシフトを別の日に移動する
+  function handleDragStart(e, shift) {
+    e.dataTransfer.effectAllowed = 'move'
+    e.dataTransfer.setData('text/plain', shift.id)
+    setDraggingShift(shift)
+  }
+
+  function handleDragOver(e, dateStr) {
+    if (!draggingShift) return
+    e.preventDefault()
+    if (dropTarget?.date === dateStr) return
+    setDropTarget({ date: dateStr, ...checkPlacement({ ...draggingShift, date: dateStr }) })
+  }
+
+  function handleDragEnd() {
+    setDraggingShift(null)
+    setDropTarget(null)
+  }
+
+  async function handleDrop(e, dateStr) {
+    e.preventDefault()
+    const shift = draggingShift
+    handleDragEnd()
+    if (!shift || shift.date === dateStr) return
+
+    const { conflict, warnings } = checkPlacement({ ...shift, date: dateStr })
+    if (conflict) {
+      toast.error(`${shift.staff?.name || 'スタッフ'}さんは ${dateStr} に同じ開始時刻のシフトがあるため移動できません`)
+      return
+    }
+    if (warnings.length > 0 && !confirm(`${warnings.join('\n')}\n\n制約を満たしていませんが、${dateStr} に移動しますか？`)) return
+
+    await updateShift(shift.id, { date: dateStr }, `${dateStr} に移動しました`)
   }
 
   // 月を変更
@@ -81,39 +310,288 @@ export default function ShiftCalendarPage() {
     })
   }
 
+  // 表示形式を切り替える（週・日表示は表示中の月の中の日から始める）
+  function changeViewMode(mode) {
+    const { startDate, endDate } = getMonthRange(currentMonth)
+    if (mode !== 'month' && (focusDate < startDate || focusDate > endDate)) {
+      setFocusDate(startDate)
+    }
+    setViewMode(mode)
+  }
+
+  // 週・日表示の基準日を移動する（月が変わったらその月のシフトを読み込み直す）
+  function moveFocusDate(delta) {
+    const next = addDays(focusDate, delta)
+    const [year, month] = next.split('-').map(Number)
+    setFocusDate(next)
+    if (year !== currentMonth.getFullYear() || month - 1 !== currentMonth.getMonth()) {
+      setCurrentMonth(new Date(year, month - 1, 1))
+    }
+  }
+
+  // 日付を選んで日表示にする
+  function showDay(date) {
+    setFocusDate(date)
+    setViewMode('day')
+  }
+
+  // 期間内の選択中の店舗のシフトの状態をまとめて変更
+  // 公開・下書きに戻す操作では、確定済みのシフトはそのままにする
+  async function handleChangeStatus(status) {
+    const period = periods.find(p => p.id === statusTarget)
+    const { startDate, endDate } = period
+      ? { startDate: period.start_date, endDate: period.end_date }
+      : getMonthRange(currentMonth)
+    const messages = {
+      draft: `${startDate}〜${endDate} の公開を取り消し、下書きに戻しますか？（確定済みのシフトは変わりません）`,
+      published: `${startDate}〜${endDate} のシフトをスタッフに公開しますか？`,
+      confirmed: `${startDate}〜${endDate} のシフトを確定しますか？確定したシフトは再生成で変更されず、確定を解除するまで編集できません。`,
+    }
+    if (!confirm(messages[status])) return
+
+    let query = supabase
+      .from('shifts')
+      .update(getStatusColumns(status))
+      .eq('user_id', accountId)
+      .eq('store_id', currentStoreId)
+      .gte('date', startDate)
+      .lte('date', endDate)
+    if (status !== 'confirmed') query = query.eq('is_confirmed', false)
+
+    const { error } = await query
+    if (error) {
+      console.error('状態変更エラー:', error)
+      toast.error('状態の変更に失敗しました')
+      return
+    }
+    toast.success(`${startDate}〜${endDate} のシフトを「${SHIFT_STATUS[status].label}」にしました`)
+    fetchShifts()
+  }
+
+  // 確定を解除して編集できるようにする（公開済みに戻す）
+  async function handleUnconfirmShift() {
+    if (!confirm('このシフトの確定を解除しますか？')) return
+
+    const { data, error } = await supabase
+      .from('shifts')
+      .update(getStatusColumns('published'))
+      .eq('user_id', accountId)
+      .eq('id', selectedShift.id)
+      .select('*, staff:staff_id(name)')
+      .single()
+
+    if (error) {
+      toast.error('確定の解除に失敗しました')
+      return
+    }
+    toast.success('確定を解除しました')
+    setSelectedShift(data)
+    fetchShifts()
+  }
+
+  // 固定を切り替える（固定したシフトは再生成・再最適化で変更されない）
+  async function handleToggleLock() {
+    const { data, error } = await supabase
+      .from('shifts')
+      .update({ is_locked: !selectedShift.is_locked })
+      .eq('user_id', accountId)
+      .eq('id', selectedShift.id)
+      .select('*, staff:staff_id(name)')
+      .single()
+
+    if (error) {
+      toast.error('固定の変更に失敗しました')
+      return
+    }
+    toast.success(data.is_locked ? 'シフトを固定しました' : '固定を解除しました')
+    setSelectedShift(data)
+    fetchShifts()
+  }
+
+  // シフトを欠勤にする
+  // 欠勤として記録したうえでシフトを削除し、代わりのスタッフの候補を表示する
+  async function handleMarkAbsent() {
+    const { data, error } = await supabase.rpc('mark_shift_absent', {
+      p_shift_id: selectedShift.id,
+      p_reason: absenceForm.reason || null,
+    })
+
+    if (error) {
+      console.error('欠勤登録エラー:', error)
+      toast.error('欠勤の登録に失敗しました')
+      return
+    }
+    toast.success(`${selectedShift.staff?.name || 'スタッフ'}さんを欠勤にしました`)
+    setIsEditModalOpen(false)
+    setAbsence({ ...data, staffName: selectedShift.staff?.name })
+    setCandidates(null)
+    fetchShifts()
+    fetchReplacementCandidates(data)
+  }
+
+  // 代わりのスタッフの候補を取得
+  async function fetchReplacementCandidates(target) {
+    // 割り当てるときにサーバー（assign_replacement）で確かめるのと同じく、店舗の設定で判定する
+    const constraints = getStoreConstraints(currentStore)
+    const { startDate, endDate } = getRuleCheckRange([target.date], constraints)
+    const [shiftsResult, availabilityResult, requestsResult] = await Promise.all([
+      supabase.from('shifts').select('staff_id, date, start_time, end_time, pattern_id').eq('user_id', accountId).gte('date', startDate).lte('date', endDate),
+      supabase.from('availability').select('staff_id, day_of_week, start_time, end_time, priority').eq('user_id', accountId),
+      supabase.from('shift_requests').select('staff_id').eq('user_id', accountId).contains('unavailable_dates', [target.date]),
+    ])
+
+    if (shiftsResult.error || availabilityResult.error || requestsResult.error) {
+      console.error('候補取得エラー:', shiftsResult.error || availabilityResult.error || requestsResult.error)
+      toast.error('代わりのスタッフの候補を取得できませんでした')
+      setCandidates([])
+      return
+    }
+
+    const availabilityByStaff = (availabilityResult.data || []).reduce((acc, a) => {
+      if (!acc[a.staff_id]) acc[a.staff_id] = []
+      acc[a.staff_id].push(a)
+      return acc
+    }, {})
+
+    setCandidates(rankReplacementCandidates(target, {
+      staffList: storeStaffList,
+      shifts: shiftsResult.data || [],
+      availabilityByStaff,
+      unavailableStaffIds: new Set((requestsResult.data || []).map(r => r.staff_id)),
+      patterns,
+      constraints,
+    }))
+  }
+
+  // 候補のスタッフを代わりに割り当てる
+  async function handleAssignReplacement(staff) {
+    const { error } = await supabase.rpc('assign_replacement', {
+      p_absence_id: absence.id,
+      p_staff_id: staff.id,
+    })
+
+    if (error) {
+      console.error('代わりのスタッフ割り当てエラー:', error)
+      toast.error(error.message || '割り当てに失敗しました')
+      return
+    }
+    toast.success(`${staff.name}さんを割り当てました`)
+    setAbsence(null)
+    fetchShifts()
+  }
+
   // シフト削除
   async function handleDeleteShift(shiftId) {
     if (!confirm('このシフトを削除しますか？')) return
 
-    const { error } = await supabase.from('shifts').delete().eq('id', shiftId)
+    const { data, error } = await supabase
+      .from('shifts')
+      .delete()
+      .eq('user_id', accountId)
+      .eq('id', shiftId)
+      .eq('is_confirmed', false)
+      .select()
     if (error) {
       toast.error('削除に失敗しました')
       return
     }
+    if (data.length === 0) {
+      toast.error('確定済みのシフトは削除できません')
+      fetchShifts()
+      return
+    }
     toast.success('シフトを削除しました')
+    setIsEditModalOpen(false)
     fetchShifts()
   }
 
-  // シフト更新
-  async function handleUpdateShift(e) {
-    e.preventDefault()
-    const formData = new FormData(e.target)
-
-    const { error } = await supabase
+  // シフトを更新して成否を返す
+  // 確定済みのシフトは更新しない（画面を開いている間に確定された場合も含む）
+  async function updateShift(shiftId, changes, successMessage) {
+    const { data, error } = await supabase
       .from('shifts')
-      .update({
-        start_time: formData.get('start_time'),
-        end_time: formData.get('end_time'),
-      })
-      .eq('id', selectedShift.id)
+      .update(changes)
+      .eq('user_id', accountId)
+      .eq('id', shiftId)
+      .eq('is_confirmed', false)
+      .select()
 
     if (error) {
-      toast.error('更新に失敗しました')
+      // 23505: 一意制約（同じスタッフ・日付・開始時刻）違反
+      toast.error(error.code === '23505' ? '同じスタッフ・日付・開始時刻のシフトが既にあります' : '更新に失敗しました')
+      return false
+    }
+    if (data.length === 0) {
+      toast.error('確定済みのシフトは編集できません')
+      fetchShifts()
+      return false
+    }
+    toast.success(successMessage)
+    fetchShifts()
+    return true
+  }
+
+  // シフトの追加・更新（担当スタッフの変更を含む）
+  async function handleSaveShift(e) {
+    e.preventDefault()
+
+    if (!editForm.staff_id) {
+      toast.error('スタッフを選択してください')
+      return
+    }
+    if (!editForm.start_time || !editForm.end_time || editForm.start_time === editForm.end_time) {
+      toast.error('開始時間と終了時間を正しく入力してください')
       return
     }
-    toast.success('シフトを更新しました')
+    if (editConflict) {
+      toast.error('ほかの画面で変更されたため保存できません。最新の内容を確認してください')
+      return
+    }
+    if (editPlacement.conflict) {
+      toast.error('同じスタッフ・日付・開始時刻のシフトが既にあります')
+      return
+    }
+    if (editPlacement.warnings.length > 0 && !confirm(`${editPlacement.warnings.join('\n')}\n\n制約を満たしていませんが、保存しますか？`)) return
+
+    const values = {
+      staff_id: editForm.staff_id,
+      start_time: editForm.start_time,
+      end_time: editForm.end_time,
+      pattern_id: editForm.pattern_id || null,
+    }
+
+    if (!selectedShift.id) {
+      // 追加したシフトは下書きになる
+      const { error } = await supabase.from('shifts').insert([{ ...values, user_id: accountId, store_id: currentStoreId, date: selectedShift.date }])
+      if (error) {
+        toast.error(error.code === '23505' ? '同じスタッフ・日付・開始時刻のシフトが既にあります' : '追加に失敗しました')
+        return
+      }
+      toast.success('シフトを追加しました')
+      setIsEditModalOpen(false)
+      fetchShifts()
+      return
+    }
+
+    const isReassigned = values.staff_id !== selectedShift.staff_id
+    const updated = await updateShift(selectedShift.id, values, isReassigned ? '担当スタッフを変更しました' : 'シフトを更新しました')
+    if (!updated) return
+
+    // 担当スタッフの変更は交代と同じ変更履歴に残す
+    if (isReassigned) {
+      const { error } = await supabase.from('shift_change_logs').insert([{
+        user_id: accountId,
+        shift_id: selectedShift.id,
+        date: selectedShift.date,
+        start_time: values.start_time,
+        end_time: values.end_time,
+        from_staff_id: selectedShift.staff_id,
+        to_staff_id: values.staff_id,
+        source: 'manual',
+      }])
+      if (error) console.error('変更履歴の記録エラー:', error)
+    }
     setIsEditModalOpen(false)
-    fetchShifts()
   }
 
   // 印刷
@@ -123,6 +601,20 @@ export default function ShiftCalendarPage() {
 
   const calendarDays = getCalendarDays()
   const weekDays = ['日', '月', '火', '水', '木', '金', '土']
+  const isSelectedConfirmed = selectedShift ? getShiftStatus(selectedShift) === 'confirmed' : false
+  const isNewShift = selectedShift ? !selectedShift.id : false
+  // 編集中の内容の確認結果（入力が足りない間はnull）
+  const editPlacement = isEditModalOpen && editForm.staff_id && editForm.start_time && editForm.end_time
+    ? checkPlacement({ ...selectedShift, ...editForm, pattern_id: editForm.pattern_id || null })
+    : null
+  const monthRange = getMonthRange(currentMonth)
+  // 週・日表示の日付と、日ごとのタイムライン（週表示ではすべての日で時間の範囲をそろえる）
+  const timelineDates = viewMode === 'week'
+    ? getDateRange(getWeekStart(focusDate), addDays(getWeekStart(focusDate), 6))
+    : [focusDate]
+  const barsByDate = Object.fromEntries(timelineDates.map(date => [date, getTimelineBars(date, storeShifts)]))
+  const timelineRange = getTimelineRange(Object.values(barsByDate).flat(), getOpeningRange(currentStore))
+  const monthShifts = storeShifts.filter(s => s.date >= monthRange.startDate && s.date <= monthRange.endDate)
 
   return (
     <div className="min-h-screen p-8 bg-gray-50">
@@ -133,7 +625,10 @@ export default function ShiftCalendarPage() {
             <Link href="/" className="text-blue-600 hover:underline mb-2 inline-block">
               ← ホームに戻る
             </Link>
-            <h1 className="text-3xl font-bold">シフトカレンダー</h1>
+            <h1 className="text-3xl font-bold">
+              シフトカレンダー
+              <span className="ml-3 text-lg font-normal text-gray-500">{currentStore?.name}</span>
+            </h1>
           </div>
           <div className="flex gap-2">
             <Link
@@ -142,6 +637,24 @@ export default function ShiftCalendarPage() {
             >
               シフト生成
             </Link>
+            <Link
+              href="/shifts/roster"
+              className="px-4 py-2 bg-white border border-blue-600 text-blue-600 rounded hover:bg-blue-50"
+            >
+              勤務表
+            </Link>
+            <Link
+              href="/shifts/swaps"
+              className="px-4 py-2 bg-white border border-blue-600 text-blue-600 rounded hover:bg-blue-50"
+            >
+              交代の承認
+            </Link>
+            <Link
+              href="/shifts/open-shifts"
+              className="px-4 py-2 bg-white border border-blue-600 text-blue-600 rounded hover:bg-blue-50"
+            >
+              オープンシフト
+            </Link>
             <button
               onClick={handlePrint}
               className="px-4 py-2 bg-green-600 text-white rounded hover:bg-green-700"
@@ -154,100 +667,243 @@ export default function ShiftCalendarPage() {
         {/* 印刷用ヘッダー */}
         <div className="hidden print:block mb-4">
           <h1 className="text-2xl font-bold text-center">
-            シフト表 {currentMonth.getFullYear()}年{currentMonth.getMonth() + 1}月
+            {currentStore?.name} シフト表 {currentMonth.getFullYear()}年{currentMonth.getMonth() + 1}月
           </h1>
         </div>
 
-        {/* 月切り替え */}
-        <div className="flex justify-center items-center gap-4 mb-6">
-          <button
-            onClick={() => changeMonth(-1)}
-            className="px-4 py-2 bg-gray-200 rounded hover:bg-gray-300 print:hidden"
-          >
-            ← 前月
-          </button>
-          <h2 className="text-2xl font-semibold">
-            {currentMonth.getFullYear()}年 {currentMonth.getMonth() + 1}月
-          </h2>
-          <button
-            onClick={() => changeMonth(1)}
-            className="px-4 py-2 bg-gray-200 rounded hover:bg-gray-300 print:hidden"
-          >
-            翌月 →
-          </button>
+        {/* 表示形式の切り替え */}
+        <div className="flex justify-center gap-1 mb-4 print:hidden">
+          {[['month', '月'], ['week', '週'], ['day', '日']].map(([mode, label]) => (
+            <button
+              key={mode}
+              onClick={() => changeViewMode(mode)}
+              className={`px-4 py-1 rounded text-sm ${viewMode === mode ? 'bg-blue-600 text-white' : 'bg-gray-200 hover:bg-gray-300'}`}
+            >
+              {label}
+            </button>
+          ))}
         </div>
 
-        {/* カレンダー */}
-        <div className="bg-white rounded-lg shadow overflow-hidden">
-          {/* 曜日ヘッダー */}
-          <div className="grid grid-cols-7 bg-gray-100">
-            {weekDays.map((day, i) => (
-              <div
-                key={day}
-                className={`p-2 text-center font-semibold border-b ${
-                  i === 0 ? 'text-red-500' : i === 6 ? 'text-blue-500' : ''
-                }`}
-              >
-                {day}
-              </div>
+        {/* 月・週・日の切り替え */}
+        {viewMode === 'month' ? (
+          <div className="flex justify-center items-center gap-4 mb-6">
+            <button
+              onClick={() => changeMonth(-1)}
+              className="px-4 py-2 bg-gray-200 rounded hover:bg-gray-300 print:hidden"
+            >
+              ← 前月
+            </button>
+            <h2 className="text-2xl font-semibold">
+              {currentMonth.getFullYear()}年 {currentMonth.getMonth() + 1}月
+            </h2>
+            <button
+              onClick={() => changeMonth(1)}
+              className="px-4 py-2 bg-gray-200 rounded hover:bg-gray-300 print:hidden"
+            >
+              翌月 →
+            </button>
+          </div>
+        ) : (
+          <div className="flex justify-center items-center gap-4 mb-6">
+            <button
+              onClick={() => moveFocusDate(viewMode === 'week' ? -7 : -1)}
+              className="px-4 py-2 bg-gray-200 rounded hover:bg-gray-300 print:hidden"
+            >
+              {viewMode === 'week' ? '← 前週' : '← 前日'}
+            </button>
+            <h2 className="text-2xl font-semibold">
+              {viewMode === 'week'
+                ? `${timelineDates[0]} 〜 ${timelineDates[timelineDates.length - 1]}`
+                : `${focusDate}（${weekDays[getDayOfWeek(focusDate)]}）`}
+            </h2>
+            <button
+              onClick={() => moveFocusDate(viewMode === 'week' ? 7 : 1)}
+              className="px-4 py-2 bg-gray-200 rounded hover:bg-gray-300 print:hidden"
+            >
+              {viewMode === 'week' ? '翌週 →' : '翌日 →'}
+            </button>
+          </div>
+        )}
+
+        {/* 公開・確定 */}
+        <div className="bg-white p-4 rounded-lg shadow mb-6 flex flex-wrap items-center gap-3 print:hidden">
+          <div className="flex gap-2 text-sm">
+            {Object.entries(SHIFT_STATUS).map(([status, { label, className }]) => (
+              <span key={status} className={`px-2 py-1 rounded ${className}`}>
+                {label}: {monthShifts.filter(s => getShiftStatus(s) === status).length}件
+              </span>
             ))}
           </div>
+          <div className="flex flex-wrap items-center gap-2 ml-auto">
+            <select
+              value={statusTarget}
+              onChange={(e) => setStatusTarget(e.target.value)}
+              className="border rounded px-3 py-2 text-sm"
+            >
+              <option value="month">表示中の月</option>
+              {periods.map(period => (
+                <option key={period.id} value={period.id}>
+                  {period.start_date} 〜 {period.end_date}
+                </option>
+              ))}
+            </select>
+            <button
+              onClick={() => handleChangeStatus('draft')}
+              className="px-3 py-2 text-sm bg-gray-200 rounded hover:bg-gray-300"
+            >
+              下書きに戻す
+            </button>
+            <button
+              onClick={() => handleChangeStatus('published')}
+              className="px-3 py-2 text-sm bg-blue-600 text-white rounded hover:bg-blue-700"
+            >
+              公開する
+            </button>
+            <button
+              onClick={() => handleChangeStatus('confirmed')}
+              className="px-3 py-2 text-sm bg-green-600 text-white rounded hover:bg-green-700"
+            >
+              確定する
+            </button>
+          </div>
+        </div>
 
-          {/* 日付グリッド */}
-          <div className="grid grid-cols-7">
-            {calendarDays.map((date, index) => {
-              const dayShifts = getShiftsForDate(date)
-              const isToday = date && date.toDateString() === new Date().toDateString()
-              const dayOfWeek = date ? date.getDay() : null
+        {/* タイムライン（週・日表示） */}
+        {viewMode !== 'month' && (
+          <div className="bg-white rounded-lg shadow p-4 space-y-6">
+            {timelineDates.map(date => (
+              <div key={date}>
+                {viewMode === 'week' && (
+                  <button
+                    onClick={() => showDay(date)}
+                    className={`mb-1 font-semibold hover:underline ${
+                      getDayOfWeek(date) === 0 ? 'text-red-500' : getDayOfWeek(date) === 6 ? 'text-blue-500' : ''
+                    }`}
+                  >
+                    {date}（{weekDays[getDayOfWeek(date)]}）
+                  </button>
+                )}
+                <ShiftTimeline
+                  bars={barsByDate[date]}
+                  range={timelineRange}
+                  patterns={patterns}
+                  onSelect={openEditModal}
+                  compact={viewMode === 'week'}
+                />
+              </div>
+            ))}
+          </div>
+        )}
 
-              return (
+        {/* カレンダー */}
+        {viewMode === 'month' && (
+          <div className="bg-white rounded-lg shadow overflow-hidden">
+            {/* 曜日ヘッダー */}
+            <div className="grid grid-cols-7 bg-gray-100">
+              {weekDays.map((day, i) => (
                 <div
-                  key={index}
-                  className={`min-h-[120px] border p-1 ${
-                    !date ? 'bg-gray-50' : ''
-                  } ${isToday ? 'bg-yellow-50' : ''}`}
+                  key={day}
+                  className={`p-2 text-center font-semibold border-b ${
+                    i === 0 ? 'text-red-500' : i === 6 ? 'text-blue-500' : ''
+                  }`}
                 >
-                  {date && (
-                    <>
-                      <div className={`text-sm font-semibold mb-1 ${
-                        dayOfWeek === 0 ? 'text-red-500' : 
-                        dayOfWeek === 6 ? 'text-blue-500' : ''
-                      }`}>
-                        {date.getDate()}
-                      </div>
-                      <div className="space-y-1">
-                        {dayShifts.map(shift => (
-                          <div
-                            key={shift.id}
-                            className="text-xs p-1 bg-blue-100 rounded cursor-pointer hover:bg-blue-200 print:cursor-default"
-                            onClick={() => {
-                              setSelectedShift(shift)
-                              setIsEditModalOpen(true)
-                            }}
+                  {day}
+                </div>
+              ))}
+            </div>
+
+            {/* 日付グリッド */}
+            <div className="grid grid-cols-7">
+              {calendarDays.map((date, index) => {
+                const dayShifts = getShiftsForDate(date)
+                const isToday = date && date.toDateString() === new Date().toDateString()
+                const dayOfWeek = date ? date.getDay() : null
+                const dateStr = date ? formatLocalDate(date) : null
+                // ドラッグ中のシフトをこの日に移動した場合の確認結果
+                const drop = dropTarget && dropTarget.date === dateStr && draggingShift?.date !== dateStr ? dropTarget : null
+
+                return (
+                  <div
+                    key={index}
+                    className={`group min-h-[120px] border p-1 ${
+                      !date ? 'bg-gray-50' : ''
+                    } ${isToday ? 'bg-yellow-50' : ''} ${
+                      drop ? (drop.conflict ? 'bg-red-50 ring-2 ring-inset ring-red-400' : drop.warnings.length > 0 ? 'bg-yellow-50 ring-2 ring-inset ring-yellow-400' : 'bg-blue-50 ring-2 ring-inset ring-blue-400') : ''
+                    }`}
+                    onDragOver={date ? (e) => handleDragOver(e, dateStr) : undefined}
+                    onDrop={date ? (e) => handleDrop(e, dateStr) : undefined}
+                  >
+                    {date && (
+                      <>
+                        <div className="flex justify-between items-center mb-1">
+                          <div className={`text-sm font-semibold ${
+                            dayOfWeek === 0 ? 'text-red-500' : 
+                            dayOfWeek === 6 ? 'text-blue-500' : ''
+                          }`}>
+                            {date.getDate()}
+                          </div>
+                          <button
+                            onClick={() => openCreateModal(dateStr)}
+                            className="px-1 text-xs text-blue-600 rounded opacity-0 group-hover:opacity-100 hover:bg-blue-100 print:hidden"
+                            title="シフトを追加"
                           >
-                            <div className="font-semibold truncate">
-                              {shift.staff?.name || '不明'}
-                            </div>
-                            <div className="text-gray-600">
-                              {shift.start_time?.slice(0, 5)}-{shift.end_time?.slice(0, 5)}
-                            </div>
+                            ＋追加
+                          </button>
+                        </div>
+                        {drop && (drop.conflict || drop.warnings.length > 0) && (
+                          <div className={`text-xs mb-1 ${drop.conflict ? 'text-red-700' : 'text-yellow-800'}`}>
+                            {drop.conflict ? '同じ開始時刻のシフトがあるため移動できません' : `⚠️ ${drop.warnings.join('・')}`}
                           </div>
-                        ))}
-                      </div>
-                    </>
-                  )}
-                </div>
-              )
-            })}
+                        )}
+                        <div className="space-y-1">
+                          {dayShifts.map(shift => {
+                            // パターンの色を背景（薄め）と左線に使う
+                            // 状態は枠線で表す（下書き: 点線、確定済み: 緑枠と🔒）。固定したシフトには📌を付ける
+                            // 確定済み以外はドラッグで別の日に移動できる
+                            const pattern = getPattern(shift)
+                            const status = getShiftStatus(shift)
+                            return (
+                              <div
+                                key={shift.id}
+                                className={`text-xs p-1 bg-blue-100 rounded border-l-4 border-blue-400 cursor-pointer hover:opacity-80 print:cursor-default ${SHIFT_STATUS[status].cellClassName} ${draggingShift?.id === shift.id ? 'opacity-50' : ''}`}
+                                style={pattern ? { backgroundColor: `${pattern.color}33`, borderLeftColor: pattern.color } : undefined}
+                                draggable={status !== 'confirmed'}
+                                onDragStart={(e) => handleDragStart(e, shift)}
+                                onDragEnd={handleDragEnd}
+                                onClick={() => openEditModal(shift)}
+                                title={SHIFT_STATUS[status].label}
+                              >
+                                <div className="font-semibold truncate">
+                                  {status === 'confirmed' && '🔒 '}
+                                  {shift.is_locked && '📌 '}
+                                  {shift.staff?.name || '不明'}
+                                  {status === 'draft' && <span className="ml-1 font-normal text-gray-500 print:hidden">下書き</span>}
+                                </div>
+                                <div className="text-gray-600">
+                                  {pattern && `${pattern.name} `}
+                                  {shift.start_time?.slice(0, 5)}-{shift.end_time?.slice(0, 5)}
+                                  {crossesMidnight(shift.start_time, shift.end_time) && '(翌)'}
+                                </div>
+                              </div>
+                            )
+                          })}
+                        </div>
+                      </>
+                    )}
+                  </div>
+                )
+              })}
+            </div>
           </div>
-        </div>
+
+        )}
 
         {/* スタッフ別集計 */}
         <div className="mt-8 bg-white rounded-lg shadow p-6 print:break-before-page">
           <h3 className="text-xl font-semibold mb-4">スタッフ別勤務日数</h3>
           <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
-            {staffList.map(staff => {
-              const count = shifts.filter(s => s.staff_id === staff.id).length
+            {storeStaffList.map(staff => {
+              const count = monthShifts.filter(s => s.staff_id === staff.id).length
               return (
                 <div key={staff.id} className="p-3 bg-gray-50 rounded">
                   <div className="font-semibold">{staff.name}</div>
@@ -263,26 +919,119 @@ export default function ShiftCalendarPage() {
       {isEditModalOpen && selectedShift && (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center print:hidden">
           <div className="bg-white p-6 rounded-lg shadow-lg w-96">
-            <h3 className="text-xl font-semibold mb-4">シフト編集</h3>
-            <form onSubmit={handleUpdateShift}>
+            <div className="flex justify-between items-center mb-4">
+              <h3 className="text-xl font-semibold">{isNewShift ? 'シフト追加' : 'シフト編集'}</h3>
+              <span className={`px-2 py-1 text-xs rounded ${SHIFT_STATUS[getShiftStatus(selectedShift)].className}`}>
+                {SHIFT_STATUS[getShiftStatus(selectedShift)].label}
+              </span>
+            </div>
+            {!isSelectedConfirmed && !isNewShift && (
+              <label className="flex items-center gap-2 mb-4 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={!!selectedShift.is_locked}
+                  onChange={handleToggleLock}
+                />
+                📌 固定する（シフトの再生成・空き埋めで変更しない）
+              </label>
+            )}
+            {absenceForm.open && (
+              <div className="bg-red-50 border border-red-200 px-3 py-3 rounded mb-4">
+                <label className="block text-sm font-medium mb-1">欠勤の理由（任意）</label>
+                <input
+                  type="text"
+                  value={absenceForm.reason}
+                  onChange={(e) => setAbsenceForm(prev => ({ ...prev, reason: e.target.value }))}
+                  className="w-full border rounded px-3 py-2 mb-2"
+                  placeholder="例：体調不良"
+                />
+                <div className="flex gap-2">
+                  <button
+                    type="button"
+                    onClick={handleMarkAbsent}
+                    className="flex-1 bg-red-600 text-white py-2 rounded hover:bg-red-700"
+                  >
+                    欠勤として記録
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => setAbsenceForm({ open: false, reason: '' })}
+                    className="px-4 py-2 bg-gray-200 rounded hover:bg-gray-300"
+                  >
+                    やめる
+                  </button>
+                </div>
+              </div>
+            )}
+            {editConflict && (
+              <div className="bg-orange-50 border border-orange-300 text-orange-800 px-3 py-2 rounded mb-4 text-sm">
+                {editConflict.type === 'deleted' ? (
+                  'このシフトはほかの画面で削除されました。'
+                ) : (
+                  <>
+                    このシフトはほかの画面で変更されました。このまま保存すると相手の変更を上書きするため、最新の内容を読み込んでください。
+                    <button
+                      type="button"
+                      onClick={reloadConflictedShift}
+                      className="block mt-2 px-3 py-1 bg-orange-600 text-white rounded hover:bg-orange-700"
+                    >
+                      最新の内容を読み込む
+                    </button>
+                  </>
+                )}
+              </div>
+            )}
+            {isSelectedConfirmed && (
+              <div className="bg-green-50 border border-green-200 text-green-800 px-3 py-2 rounded mb-4 text-sm">
+                確定済みのシフトです。編集・削除するには確定を解除してください。
+              </div>
+            )}
+            <form onSubmit={handleSaveShift}>
               <div className="mb-4">
                 <label className="block text-sm font-medium mb-1">スタッフ</label>
-                <div className="p-2 bg-gray-100 rounded">
-                  {selectedShift.staff?.name || '不明'}
-                </div>
+                <select
+                  value={editForm.staff_id}
+                  onChange={(e) => setEditForm(prev => ({ ...prev, staff_id: e.target.value }))}
+                  disabled={isSelectedConfirmed}
+                  className="w-full border rounded px-3 py-2 disabled:bg-gray-100"
+                >
+                  <option value="">選択してください</option>
+                  {/* 店舗から外れたスタッフのシフトも、担当者として表示できるようにする */}
+                  {staffList.filter(s => storeStaffIds.has(s.id) || s.id === selectedShift.staff_id).map(staff => (
+                    <option key={staff.id} value={staff.id}>{staff.name}</option>
+                  ))}
+                </select>
               </div>
               <div className="mb-4">
                 <label className="block text-sm font-medium mb-1">日付</label>
                 <div className="p-2 bg-gray-100 rounded">{selectedShift.date}</div>
               </div>
+              <div className="mb-4">
+                <label className="block text-sm font-medium mb-1">シフトパターン</label>
+                <select
+                  value={editForm.pattern_id}
+                  onChange={handlePatternSelect}
+                  disabled={isSelectedConfirmed}
+                  className="w-full border rounded px-3 py-2 disabled:bg-gray-100"
+                >
+                  <option value="">カスタム（時間を直接入力）</option>
+                  {storePatterns.map(pattern => (
+                    <option key={pattern.id} value={pattern.id}>
+                      {pattern.name}（{pattern.start_time.slice(0, 5)}-{pattern.end_time.slice(0, 5)}）
+                    </option>
+                  ))}
+                </select>
+              </div>
               <div className="grid grid-cols-2 gap-4 mb-4">
                 <div>
                   <label className="block text-sm font-medium mb-1">開始時間</label>
                   <input
                     type="time"
                     name="start_time"
-                    defaultValue={selectedShift.start_time?.slice(0, 5)}
-                    className="w-full border rounded px-3 py-2"
+                    value={editForm.start_time}
+                    onChange={handleTimeChange}
+                    disabled={isSelectedConfirmed}
+                    className="w-full border rounded px-3 py-2 disabled:bg-gray-100"
                   />
                 </div>
                 <div>
@@ -290,25 +1039,67 @@ export default function ShiftCalendarPage() {
                   <input
                     type="time"
                     name="end_time"
-                    defaultValue={selectedShift.end_time?.slice(0, 5)}
-                    className="w-full border rounded px-3 py-2"
+                    value={editForm.end_time}
+                    onChange={handleTimeChange}
+                    disabled={isSelectedConfirmed}
+                    className="w-full border rounded px-3 py-2 disabled:bg-gray-100"
                   />
                 </div>
               </div>
+              {editForm.start_time && editForm.end_time && crossesMidnight(editForm.start_time, editForm.end_time) && (
+                <p className="text-xs text-gray-500 -mt-2 mb-4">終了時間は翌日として扱います</p>
+              )}
+              {!isSelectedConfirmed && editPlacement && (editPlacement.conflict || editPlacement.warnings.length > 0) && (
+                <div className={`px-3 py-2 rounded mb-4 text-sm border ${
+                  editPlacement.conflict ? 'bg-red-50 border-red-200 text-red-800' : 'bg-yellow-50 border-yellow-200 text-yellow-800'
+                }`}>
+                  {editPlacement.conflict ? (
+                    '同じスタッフ・日付・開始時刻のシフトが既にあるため保存できません'
+                  ) : (
+                    <ul className="list-disc list-inside">
+                      {editPlacement.warnings.map(warning => <li key={warning}>{warning}</li>)}
+                    </ul>
+                  )}
+                </div>
+              )}
               <div className="flex gap-2">
-                <button
-                  type="submit"
-                  className="flex-1 bg-blue-600 text-white py-2 rounded hover:bg-blue-700"
-                >
-                  更新
-                </button>
-                <button
-                  type="button"
-                  onClick={() => handleDeleteShift(selectedShift.id)}
-                  className="px-4 py-2 bg-red-600 text-white rounded hover:bg-red-700"
-                >
-                  削除
-                </button>
+                {isSelectedConfirmed ? (
+                  <button
+                    type="button"
+                    onClick={handleUnconfirmShift}
+                    className="flex-1 bg-green-600 text-white py-2 rounded hover:bg-green-700"
+                  >
+                    確定を解除
+                  </button>
+                ) : (
+                  <>
+                    <button
+                      type="submit"
+                      disabled={editPlacement?.conflict || !!editConflict}
+                      className="flex-1 bg-blue-600 text-white py-2 rounded hover:bg-blue-700 disabled:bg-gray-400 disabled:cursor-not-allowed"
+                    >
+                      {isNewShift ? '追加' : '更新'}
+                    </button>
+                    {!isNewShift && editConflict?.type !== 'deleted' && (
+                      <button
+                        type="button"
+                        onClick={() => handleDeleteShift(selectedShift.id)}
+                        className="px-4 py-2 bg-red-600 text-white rounded hover:bg-red-700"
+                      >
+                        削除
+                      </button>
+                    )}
+                  </>
+                )}
+                {!absenceForm.open && !isNewShift && editConflict?.type !== 'deleted' && (
+                  <button
+                    type="button"
+                    onClick={() => setAbsenceForm({ open: true, reason: '' })}
+                    className="px-4 py-2 bg-white border border-red-600 text-red-600 rounded hover:bg-red-50"
+                  >
+                    欠勤
+                  </button>
+                )}
                 <button
                   type="button"
                   onClick={() => setIsEditModalOpen(false)}
@@ -322,6 +1113,68 @@ export default function ShiftCalendarPage() {
         </div>
       )}
 
+      {/* 代わりのスタッフ */}
+      {absence && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center print:hidden">
+          <div className="bg-white p-6 rounded-lg shadow-lg w-full max-w-2xl max-h-[80vh] overflow-y-auto">
+            <h3 className="text-xl font-semibold mb-1">代わりのスタッフ</h3>
+            <p className="text-sm text-gray-600 mb-4">
+              {absence.date} {absence.start_time.slice(0, 5)}-{absence.end_time.slice(0, 5)}（{absence.staffName || '不明'}さんの欠勤）
+              ／ 勤務可能で、週の労働時間・連続勤務の上限を超えないスタッフを{showWages ? '時給の安い順に' : ''}表示しています
+            </p>
+            {candidates === null ? (
+              <p className="text-gray-500 text-center py-6">候補を読み込み中...</p>
+            ) : candidates.length === 0 ? (
+              <p className="text-gray-500 text-center py-6">ほかにスタッフがいません</p>
+            ) : (
+              <table className="w-full text-sm">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-3 py-2 text-left font-semibold">スタッフ</th>
+                    {showWages && <th className="px-3 py-2 text-left font-semibold">時給</th>}
+                    <th className="px-3 py-2 text-left font-semibold">今週</th>
+                    <th className="px-3 py-2 text-left font-semibold">勤務可能時間</th>
+                    <th className="px-3 py-2"></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {candidates.map(({ staff, reasons, priority, weeklyHours }) => (
+                    <tr key={staff.id} className={`border-t ${reasons.length > 0 ? 'text-gray-400' : ''}`}>
+                      <td className="px-3 py-2">{staff.name}</td>
+                      {showWages && <td className="px-3 py-2">{staff.hourly_wage?.toLocaleString()}円</td>}
+                      <td className="px-3 py-2">{weeklyHours.toFixed(1)}時間</td>
+                      <td className="px-3 py-2">
+                        {reasons.length > 0
+                          ? reasons.join('・')
+                          : PRIORITY_OPTIONS.find(o => o.value === priority)?.label}
+                      </td>
+                      <td className="px-3 py-2 text-right">
+                        {reasons.length === 0 && (
+                          <button
+                            onClick={() => handleAssignReplacement(staff)}
+                            className="px-3 py-1 bg-blue-600 text-white rounded hover:bg-blue-700"
+                          >
+                            割り当て
+                          </button>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+            <div className="mt-4 text-right">
+              <button
+                onClick={() => setAbsence(null)}
+                className="px-4 py-2 bg-gray-300 rounded hover:bg-gray-400"
+              >
+                割り当てずに閉じる
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
       {/* 印刷用スタイル */}
       <style jsx global>{`
         @media print {
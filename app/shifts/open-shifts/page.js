@@ -0,0 +1,284 @@
+// app/shifts/open-shifts/page.js
+'use client'
+
+import { useState, useEffect } from 'react'
+import { supabase } from '@/lib/supabase'
+import { useAuth } from '@/contexts/AuthContext'
+import { useStore } from '@/contexts/StoreContext'
+import Link from 'next/link'
+import toast from 'react-hot-toast'
+import { CLAIM_MODES, OPEN_SHIFT_STATUS, getOpenShiftCheckRange, getClaimIssues } from '@/lib/openShifts'
+
+// 募集の表示（日付と時間）
+function formatOpenShift(openShift) {
+  return `${openShift.date} ${openShift.start_time.slice(0, 5)}-${openShift.end_time.slice(0, 5)}`
+}
+
+export default function OpenShiftManagementPage() {
+  const { accountId } = useAuth()
+  // 選択中の店舗の募集を表示する
+  const { stores, currentStoreId, currentStore } = useStore()
+
+  const [openShifts, setOpenShifts] = useState([])
+  const [staffList, setStaffList] = useState([])
+  const [patterns, setPatterns] = useState([])
+  // 承認待ちの応募ごとの応募できない理由（{ claimId: ['...'] }）
+  const [issuesByClaim, setIssuesByClaim] = useState({})
+  const [isLoading, setIsLoading] = useState(true)
+
+  useEffect(() => {
+    if (accountId && currentStoreId) fetchData()
+  }, [accountId, currentStoreId])
+
+  async function fetchData() {
+    try {
+      setIsLoading(true)
+      const [openShiftsResult, staffResult, patternsResult] = await Promise.all([
+        supabase
+          .from('open_shifts')
+          .select('*, claims:open_shift_claims(*, staff:staff_id(name))')
+          .eq('user_id', accountId)
+          .eq('store_id', currentStoreId)
+          .order('date', { ascending: false })
+          .order('start_time')
+          .limit(100),
+        supabase.from('staff').select('*').eq('user_id', accountId).order('name'),
+        supabase.from('shift_patterns').select('*').eq('user_id', accountId),
+      ])
+
+      if (openShiftsResult.error) throw openShiftsResult.error
+      if (staffResult.error) throw staffResult.error
+      if (patternsResult.error) throw patternsResult.error
+
+      setOpenShifts(openShiftsResult.data || [])
+      setStaffList(staffResult.data || [])
+      setPatterns(patternsResult.data || [])
+
+      const issues = {}
+      for (const openShift of (openShiftsResult.data || []).filter(o => o.status === 'open')) {
+        for (const claim of openShift.claims.filter(c => c.status === 'pending')) {
+          issues[claim.id] = await checkClaim(openShift, claim, staffResult.data || [], patternsResult.data || [])
+        }
+      }
+      setIssuesByClaim(issues)
+    } catch (err) {
+      console.error('オープンシフト取得エラー:', err)
+      toast.error('データの取得に失敗しました')
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  // 応募したスタッフに割り当てられるか確認
+  async function checkClaim(openShift, claim, staff, patternList) {
+    const claimant = staff.find(s => s.id === claim.staff_id)
+    if (!claimant) return ['スタッフが見つかりません']
+
+    const { startDate, endDate } = getOpenShiftCheckRange([openShift], stores)
+    const [shiftsResult, availabilityResult, requestsResult] = await Promise.all([
+      supabase
+        .from('shifts')
+        .select('date, start_time, end_time, pattern_id')
+        .eq('user_id', accountId)
+        .eq('staff_id', claimant.id)
+        .gte('date', startDate)
+        .lte('date', endDate),
+      supabase.from('availability').select('day_of_week, start_time, end_time, priority').eq('user_id', accountId).eq('staff_id', claimant.id),
+      supabase.from('shift_requests').select('unavailable_dates').eq('user_id', accountId).eq('staff_id', claimant.id).contains('unavailable_dates', [openShift.date]),
+    ])
+
+    if (shiftsResult.error) throw shiftsResult.error
+    if (availabilityResult.error) throw availabilityResult.error
+    if (requestsResult.error) throw requestsResult.error
+
+    return getClaimIssues(openShift, claimant, {
+      staffShifts: shiftsResult.data || [],
+      availability: availabilityResult.data || [],
+      unavailableDates: new Set((requestsResult.data || []).flatMap(r => r.unavailable_dates)),
+      patterns: patternList,
+      stores,
+    })
+  }
+
+  async function handleApprove(openShift, claim) {
+    try {
+      // 応募してからシフトが変わっている場合もあるため、採用の直前にもう一度確認する
+      const issues = await checkClaim(openShift, claim, staffList, patterns)
+      if (issues.length > 0) {
+        setIssuesByClaim(prev => ({ ...prev, [claim.id]: issues }))
+        toast.error('条件を満たさないため採用できません')
+        return
+      }
+
+      const { error } = await supabase.rpc('approve_open_shift_claim', { p_claim_id: claim.id })
+      if (error) throw error
+
+      toast.success(`${claim.staff?.name}さんを採用し、シフトを作成しました`)
+      fetchData()
+    } catch (err) {
+      console.error('応募採用エラー:', err)
+      toast.error(err.message || '採用に失敗しました')
+    }
+  }
+
+  async function handleReject(claim) {
+    if (!confirm(`${claim.staff?.name}さんの応募を不採用にしますか？`)) return
+
+    const { error } = await supabase
+      .from('open_shift_claims')
+      .update({ status: 'rejected', decided_at: new Date().toISOString() })
+      .eq('user_id', accountId)
+      .eq('id', claim.id)
+      .eq('status', 'pending')
+
+    if (error) {
+      console.error('応募不採用エラー:', error)
+      toast.error('更新に失敗しました')
+      return
+    }
+    toast.success('不採用にしました')
+    fetchData()
+  }
+
+  async function handleCancel(openShift) {
+    if (!confirm(`${formatOpenShift(openShift)} の募集を取り消しますか？`)) return
+
+    const { error } = await supabase
+      .from('open_shifts')
+      .update({ status: 'cancelled' })
+      .eq('user_id', accountId)
+      .eq('id', openShift.id)
+      .eq('status', 'open')
+
+    if (error) {
+      console.error('募集取り消しエラー:', error)
+      toast.error('取り消しに失敗しました')
+      return
+    }
+    toast.success('募集を取り消しました')
+    fetchData()
+  }
+
+  const activeOpenShifts = openShifts.filter(o => o.status === 'open')
+  const closedOpenShifts = openShifts.filter(o => o.status !== 'open')
+
+  return (
+    <div className="min-h-screen p-8 bg-gray-50">
+      <div className="max-w-6xl mx-auto">
+        {/* ヘッダー */}
+        <div className="mb-6">
+          <Link href="/shifts" className="text-blue-600 hover:underline mb-4 inline-block">
+            ← シフト生成に戻る
+          </Link>
+          <h1 className="text-3xl font-bold">
+            オープンシフトの管理
+            <span className="ml-3 text-lg font-normal text-gray-500">{currentStore?.name}</span>
+          </h1>
+          <p className="text-sm text-gray-600 mt-2">
+            シフト生成で人数が足りなかった枠を募集できます。先着順の募集は応募した時点でシフトが作成され、承認制の募集はここで採用を決めます。
+          </p>
+        </div>
+
+        {isLoading ? (
+          <div className="flex items-center justify-center py-12">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+            <span className="ml-3 text-gray-500">読み込み中...</span>
+          </div>
+        ) : (
+          <>
+            {/* 募集中 */}
+            <div className="bg-white p-6 rounded-lg shadow mb-8">
+              <h2 className="text-xl font-semibold mb-4">募集中（{activeOpenShifts.length}件）</h2>
+              {activeOpenShifts.length === 0 ? (
+                <p className="text-gray-500 text-center py-6">募集中のオープンシフトはありません</p>
+              ) : (
+                <div className="space-y-4">
+                  {activeOpenShifts.map(openShift => {
+                    const approvedCount = openShift.claims.filter(c => c.status === 'approved').length
+                    const pendingClaims = openShift.claims.filter(c => c.status === 'pending')
+                    return (
+                      <div key={openShift.id} className="border rounded p-4">
+                        <div className="flex flex-wrap justify-between items-start gap-4">
+                          <div>
+                            <div className="font-semibold">{formatOpenShift(openShift)}</div>
+                            <div className="text-sm text-gray-600">
+                              {CLAIM_MODES[openShift.claim_mode].label}・{approvedCount}/{openShift.slots}名
+                            </div>
+                          </div>
+                          <button
+                            onClick={() => handleCancel(openShift)}
+                            className="text-red-600 hover:text-red-700 font-medium"
+                          >
+                            募集を取り消す
+                          </button>
+                        </div>
+
+                        {pendingClaims.length > 0 && (
+                          <ul className="mt-3 divide-y border-t">
+                            {pendingClaims.map(claim => {
+                              const issues = issuesByClaim[claim.id] || []
+                              return (
+                                <li key={claim.id} className="py-2">
+                                  <div className="flex justify-between items-center">
+                                    <span>{claim.staff?.name}</span>
+                                    <div className="flex gap-2">
+                                      <button
+                                        onClick={() => handleReject(claim)}
+                                        className="px-3 py-1 bg-gray-200 rounded hover:bg-gray-300 text-sm"
+                                      >
+                                        不採用
+                                      </button>
+                                      <button
+                                        onClick={() => handleApprove(openShift, claim)}
+                                        disabled={issues.length > 0}
+                                        className="px-3 py-1 bg-blue-600 text-white rounded hover:bg-blue-700 text-sm disabled:bg-gray-400 disabled:cursor-not-allowed"
+                                      >
+                                        採用
+                                      </button>
+                                    </div>
+                                  </div>
+                                  {issues.length > 0 && (
+                                    <div className="text-sm text-red-700 mt-1">{issues.join('・')}</div>
+                                  )}
+                                </li>
+                              )
+                            })}
+                          </ul>
+                        )}
+                      </div>
+                    )
+                  })}
+                </div>
+              )}
+            </div>
+
+            {/* 締め切り済み */}
+            <div className="bg-white p-6 rounded-lg shadow">
+              <h2 className="text-xl font-semibold mb-4">締め切り済み</h2>
+              {closedOpenShifts.length === 0 ? (
+                <p className="text-gray-500 text-center py-6">締め切り済みの募集はありません</p>
+              ) : (
+                <ul className="divide-y text-sm">
+                  {closedOpenShifts.map(openShift => (
+                    <li key={openShift.id} className="py-2 flex flex-wrap items-center gap-2">
+                      <span className={`px-2 py-0.5 text-xs rounded ${OPEN_SHIFT_STATUS[openShift.status].className}`}>
+                        {OPEN_SHIFT_STATUS[openShift.status].label}
+                      </span>
+                      <span>{formatOpenShift(openShift)}</span>
+                      <span className="text-gray-600">
+                        {openShift.claims
+                          .filter(c => c.status === 'approved')
+                          .map(c => c.staff?.name)
+                          .join('、') || '採用なし'}
+                      </span>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  )
+}
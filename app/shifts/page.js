@@ -3,23 +3,78 @@
 
 import { useState, useEffect } from 'react'
 import { supabase } from '@/lib/supabase'
+import { useAuth } from '@/contexts/AuthContext'
+import { useStore } from '@/contexts/StoreContext'
 import Link from 'next/link'
 import toast from 'react-hot-toast'
+import { addDays, getDateRange, getDayOfWeek, getWeekStart, DEFAULT_CONSTRAINTS } from '@/lib/shiftEngine'
+import { PERIOD_STATUS, getToday } from '@/lib/periods'
+import { CLAIM_MODES } from '@/lib/openShifts'
+import { diffShifts, buildShiftChanges, DIFF_TYPES } from '@/lib/shiftDiff'
+import { getStoreConstraints } from '@/lib/shiftRules'
+
+const WEEK_DAYS = ['日', '月', '火', '水', '木', '金', '土']
 
 export default function ShiftsPage() {
-  // スタッフ一覧
+  const { accountId } = useAuth()
+  // 選択中の店舗のシフトを生成する
+  const { currentStoreId, currentStore } = useStore()
+
+  // スタッフ一覧（選択中の店舗に所属するスタッフ）
   const [staffList, setStaffList] = useState([])
   
+  // シフトパターン（未登録ならAPI側のデフォルトを使う）
+  const [patterns, setPatterns] = useState([])
+  
+  // 時間帯別の必要人数（設定した曜日は1日の最低・最大人数の代わりに使われる）
+  const [requirements, setRequirements] = useState([])
+  
   // 制約条件の入力値
   const [constraints, setConstraints] = useState({
     startDate: '',
     endDate: '',
     minStaffPerDay: 2,
     maxStaffPerDay: 5,
+    weekStartDay: DEFAULT_CONSTRAINTS.week_start_day,
+    maxConsecutiveDays: DEFAULT_CONSTRAINTS.max_consecutive_days,
+    maxDaysPerWeek: DEFAULT_CONSTRAINTS.max_days_per_week,
   })
   
-  // 生成されたシフト
-  const [generatedShifts, setGeneratedShifts] = useState([])
+  // 生成方法
+  // regenerate: 確定済み・固定したシフト以外を作り直す
+  // fillGaps: 保存済みのシフトをすべて残し、足りない分だけを埋める
+  const [generationMode, setGenerationMode] = useState('regenerate')
+  
+  // 固定する日（保存済みのシフトをそのまま残し、新しく割り当てない）
+  const [lockedDates, setLockedDates] = useState([])
+  
+  // 生成結果と保存済みシフトの差分（プレビュー）
+  // 反映するまでDBは変更しない
+  const [preview, setPreview] = useState([])
+  
+  // プレビューで反映対象に選んだ差分のキー
+  const [selectedKeys, setSelectedKeys] = useState(new Set())
+  
+  // 反映中はtrue（二重送信を防ぐため）
+  const [isApplying, setIsApplying] = useState(false)
+  
+  // 生成時の警告（人数不足など）
+  const [warnings, setWarnings] = useState([])
+  
+  // 生成で人数が足りなかった枠（反映後にオープンシフトとして募集できる）
+  const [openShiftCandidates, setOpenShiftCandidates] = useState([])
+  
+  // オープンシフトの募集方法
+  const [openShiftClaimMode, setOpenShiftClaimMode] = useState('approval')
+  
+  // 募集の登録中はtrue
+  const [isPostingOpenShifts, setIsPostingOpenShifts] = useState(false)
+  
+  // 希望シフトの提出期間
+  const [periods, setPeriods] = useState([])
+  
+  // 受付中の提出期間があっても生成する（通常は締め切ってから生成する）
+  const [ignoreOpenPeriods, setIgnoreOpenPeriods] = useState(false)
   
   // ローディング状態
   // 自動生成中はtrueにして、ボタンを無効化する
@@ -29,17 +84,43 @@ export default function ShiftsPage() {
   // エラーメッセージ
   const [errorMessage, setErrorMessage] = useState('')
 
-  // 初期表示時にスタッフ一覧を取得
+  // 初期表示時にスタッフ一覧とシフトパターンを取得
   useEffect(() => {
+    if (!accountId || !currentStoreId) return
     fetchStaff()
-  }, [])
+    fetchPatterns()
+    fetchRequirements()
+    fetchPeriods()
+  }, [accountId, currentStoreId])
 
-  // スタッフ一覧を取得
+  // 週の始まり・連続勤務・週の勤務日数は店舗の設定を初期値にする（応募・交代などの確認も店舗の設定を使う）
+  useEffect(() => {
+    if (!currentStore) return
+    const storeConstraints = getStoreConstraints(currentStore)
+    setConstraints(prev => ({
+      ...prev,
+      weekStartDay: storeConstraints.week_start_day,
+      maxConsecutiveDays: storeConstraints.max_consecutive_days,
+      maxDaysPerWeek: storeConstraints.max_days_per_week,
+    }))
+  }, [currentStore])
+
+  // 選択中の店舗に所属するスタッフ一覧を取得
   async function fetchStaff() {
     try {
+      const { data: members, error: membersError } = await supabase
+        .from('store_staff')
+        .select('staff_id')
+        .eq('user_id', accountId)
+        .eq('store_id', currentStoreId)
+      
+      if (membersError) throw membersError
+      
       const { data, error } = await supabase
         .from('staff')
         .select('*')
+        .eq('user_id', accountId)
+        .in('id', (members || []).map(m => m.staff_id))
         .order('name')
       
       if (error) throw error
@@ -51,18 +132,199 @@ export default function ShiftsPage() {
     }
   }
 
+  // シフトパターン一覧を取得
+  async function fetchPatterns() {
+    const { data, error } = await supabase
+      .from('shift_patterns')
+      .select('id, name, start_time, end_time, break_minutes')
+      .eq('user_id', accountId)
+      .eq('store_id', currentStoreId)
+      .order('start_time')
+    
+    if (error) {
+      console.error('シフトパターン取得エラー:', error)
+      toast.error('シフトパターンの取得に失敗しました')
+      return
+    }
+    setPatterns(data || [])
+  }
+
+  // 時間帯別の必要人数を取得
+  async function fetchRequirements() {
+    const { data, error } = await supabase
+      .from('staffing_requirements')
+      .select('day_of_week, start_time, end_time, required_staff')
+      .eq('user_id', accountId)
+      .eq('store_id', currentStoreId)
+    
+    if (error) {
+      console.error('必要人数取得エラー:', error)
+      toast.error('時間帯別の必要人数の取得に失敗しました')
+      return
+    }
+    setRequirements(data || [])
+  }
+
+  // 選択中の店舗の希望シフトの提出期間を取得（対象期間が終わっていないもの）
+  async function fetchPeriods() {
+    const today = getToday()
+    const { data, error } = await supabase
+      .from('collection_periods')
+      .select('*')
+      .eq('user_id', accountId)
+      .eq('store_id', currentStoreId)
+      .gte('end_date', today)
+      .order('start_date')
+    
+    if (error) {
+      console.error('提出期間取得エラー:', error)
+      return
+    }
+    setPeriods(data || [])
+  }
+
+  // 生成期間と重なる提出期間の希望シフトを取得してスタッフIDごとにまとめる
+  // 期間外の日付は除き、同じ日が希望とNGの両方にある場合はNGを優先する
+  async function fetchShiftRequests(dates) {
+    const startDate = dates[0]
+    const endDate = dates[dates.length - 1]
+    
+    const { data: overlapping, error: periodError } = await supabase
+      .from('collection_periods')
+      .select('id')
+      .eq('user_id', accountId)
+      .lte('start_date', endDate)
+      .gte('end_date', startDate)
+    
+    if (periodError) throw periodError
+    if (!overlapping || overlapping.length === 0) return {}
+    
+    const { data, error } = await supabase
+      .from('shift_requests')
+      .select('staff_id, preferred_dates, unavailable_dates')
+      .eq('user_id', accountId)
+      .in('period_id', overlapping.map(p => p.id))
+    
+    if (error) throw error
+    
+    const targetDates = new Set(dates)
+    const byStaff = {}
+    for (const request of data || []) {
+      if (!byStaff[request.staff_id]) {
+        byStaff[request.staff_id] = { preferred: new Set(), unavailable: new Set() }
+      }
+      request.preferred_dates.filter(d => targetDates.has(d)).forEach(d => byStaff[request.staff_id].preferred.add(d))
+      request.unavailable_dates.filter(d => targetDates.has(d)).forEach(d => byStaff[request.staff_id].unavailable.add(d))
+    }
+    
+    return Object.fromEntries(Object.entries(byStaff).map(([staffId, { preferred, unavailable }]) => [
+      staffId,
+      {
+        preferred_dates: [...preferred].filter(d => !unavailable.has(d)),
+        unavailable_dates: [...unavailable],
+      },
+    ]))
+  }
+
+  // 勤務可能時間を取得してスタッフIDごとにまとめる
+  async function fetchAvailability() {
+    const { data, error } = await supabase
+      .from('availability')
+      .select('staff_id, day_of_week, start_time, end_time, priority')
+      .eq('user_id', accountId)
+      .in('staff_id', staffList.map(s => s.id))
+    
+    if (error) throw error
+    
+    return (data || []).reduce((acc, a) => {
+      if (!acc[a.staff_id]) acc[a.staff_id] = []
+      acc[a.staff_id].push({
+        day_of_week: a.day_of_week,
+        start_time: a.start_time,
+        end_time: a.end_time,
+        priority: a.priority,
+      })
+      return acc
+    }, {})
+  }
+
+  // ほかの店舗のシフトも渡すため、休憩時間をシフトに付けておく
+  // （APIに渡すパターンは選択中の店舗の分だけのため）
+  function withBreakMinutes(shifts) {
+    return shifts.map(({ pattern, ...shift }) => ({ ...shift, break_minutes: pattern?.break_minutes }))
+  }
+
+  // 期間直前の選択中の店舗の確定済みシフトを取得
+  // 取得範囲は「開始日が属する週の初日」と「連続勤務上限（生成に使う値）の日数分前」の早い方から開始日の前日まで
+  async function fetchPreviousShifts(startDate) {
+    const weekStart = getWeekStart(startDate, constraints.weekStartDay)
+    const consecutiveStart = addDays(startDate, -constraints.maxConsecutiveDays)
+    const fromDate = weekStart < consecutiveStart ? weekStart : consecutiveStart
+    
+    const { data, error } = await supabase
+      .from('shifts')
+      .select('staff_id, date, start_time, end_time, pattern_id, pattern:pattern_id(break_minutes)')
+      .eq('user_id', accountId)
+      .eq('store_id', currentStoreId)
+      .eq('is_confirmed', true)
+      .gte('date', fromDate)
+      .lte('date', addDays(startDate, -1))
+    
+    if (error) throw error
+    
+    return withBreakMinutes(data || [])
+  }
+
+  // 対象期間の保存済みシフトを取得（選択中の店舗）
+  async function fetchExistingShifts(dates) {
+    const { data, error } = await supabase
+      .from('shifts')
+      .select('id, staff_id, date, start_time, end_time, pattern_id, is_confirmed, is_locked')
+      .eq('user_id', accountId)
+      .eq('store_id', currentStoreId)
+      .gte('date', dates[0])
+      .lte('date', dates[dates.length - 1])
+    
+    if (error) throw error
+    
+    return data || []
+  }
+
+  // 対象期間のほかの店舗の保存済みシフトを取得
+  async function fetchOtherStoreShifts(dates) {
+    const { data, error } = await supabase
+      .from('shifts')
+      .select('staff_id, date, start_time, end_time, pattern_id, pattern:pattern_id(break_minutes)')
+      .eq('user_id', accountId)
+      .neq('store_id', currentStoreId)
+      .in('staff_id', staffList.map(s => s.id))
+      .gte('date', dates[0])
+      .lte('date', dates[dates.length - 1])
+    
+    if (error) throw error
+    
+    return withBreakMinutes(data || [])
+  }
+
+  function toggleLockedDate(date) {
+    setLockedDates(prev => prev.includes(date) ? prev.filter(d => d !== date) : [...prev, date].sort())
+  }
+
   // 制約条件の入力変更
   function handleConstraintChange(e) {
     const { name, value } = e.target
     setConstraints(prev => ({
       ...prev,
-      [name]: name.includes('Staff') ? parseInt(value) : value
+      [name]: name === 'startDate' || name === 'endDate' ? value : parseInt(value)
     }))
   }
 
   // シフト自動生成
   async function handleGenerateShift() {
     setErrorMessage('')
+    setWarnings([])
+    setPreview([])
+    setOpenShiftCandidates([])
     
     // バリデーション
     if (!constraints.startDate || !constraints.endDate) {
@@ -75,6 +337,23 @@ export default function ShiftsPage() {
       return
     }
     
+    // 希望シフトを受付中の期間と重なる場合は生成しない
+    // 全員の希望がそろう前に生成してしまうのを防ぐため
+    const openPeriods = periods.filter(p =>
+      p.status === 'open' &&
+      p.start_date <= constraints.endDate &&
+      constraints.startDate <= p.end_date
+    )
+    if (openPeriods.length > 0 && !ignoreOpenPeriods) {
+      toast.error('希望シフトの受付中の期間が含まれています。締め切ってから生成してください')
+      return
+    }
+    
+    if (!(constraints.maxConsecutiveDays >= 1) || !(constraints.maxDaysPerWeek >= 1 && constraints.maxDaysPerWeek <= 7)) {
+      toast.error('連続勤務の上限は1日以上、週の勤務日数の上限は1〜7日で入力してください')
+      return
+    }
+    
     if (staffList.length < constraints.minStaffPerDay) {
       toast.error(`スタッフ数が足りません。最低${constraints.minStaffPerDay}名必要です。`)
       return
@@ -86,27 +365,59 @@ export default function ShiftsPage() {
       setIsGenerating(true)
       
       // 対象日付の配列を作成
-      const dates = []
-      const currentDate = new Date(constraints.startDate)
-      const endDate = new Date(constraints.endDate)
+      const dates = getDateRange(constraints.startDate, constraints.endDate)
       
-      while (currentDate <= endDate) {
-        dates.push(currentDate.toISOString().split('T')[0])
-        currentDate.setDate(currentDate.getDate() + 1)
-      }
+      // 勤務可能時間を取得
+      // 曜日ごとの時間帯と優先度をスタッフ単位でまとめてAPIに渡す
+      const availabilityByStaff = await fetchAvailability()
+      
+      // 期間直前の保存済みシフトを取得
+      // 前の期間から続く連続勤務や、週の途中から生成したときの
+      // 週の勤務日数・労働時間の上限を正しく判定するため
+      const previousShifts = await fetchPreviousShifts(dates[0])
+      
+      // スタッフから提出された希望日・NG日を取得
+      const requestsByStaff = await fetchShiftRequests(dates)
+      
+      // 対象期間の保存済みシフトのうち、残すものを固定シフトとして渡す
+      // 固定したシフトも含めて連続勤務・週の上限・必要人数を判定するため
+      const existingShifts = await fetchExistingShifts(dates)
+      const targetLockedDates = lockedDates.filter(date => dates.includes(date))
+      const lockedShifts = existingShifts.filter(s =>
+        generationMode === 'fillGaps' ||
+        s.is_confirmed ||
+        s.is_locked ||
+        targetLockedDates.includes(s.date)
+      )
+      
+      // ほかの店舗のシフトを取得
+      // 掛け持ちのスタッフの1日1シフト・連続勤務・週の上限を、すべての店舗を合わせて判定するため
+      const otherShifts = await fetchOtherStoreShifts(dates)
       
       // APIリクエスト用のデータ
       const requestData = {
         staff: staffList.map(s => ({
           id: s.id,
           name: s.name,
-          max_hours: s.max_hours_per_week || 40
+          max_hours: s.max_hours_per_week || 40,
+          availability: availabilityByStaff[s.id] || [],
+          preferred_dates: requestsByStaff[s.id]?.preferred_dates || [],
+          unavailable_dates: requestsByStaff[s.id]?.unavailable_dates || []
         })),
         dates: dates,
         constraints: {
           min_staff_per_day: constraints.minStaffPerDay,
           max_staff_per_day: constraints.maxStaffPerDay,
-        }
+          week_start_day: constraints.weekStartDay,
+          max_consecutive_days: constraints.maxConsecutiveDays,
+          max_days_per_week: constraints.maxDaysPerWeek,
+        },
+        previous_shifts: previousShifts,
+        other_shifts: otherShifts,
+        patterns: patterns,
+        requirements: requirements,
+        locked_shifts: lockedShifts,
+        locked_dates: targetLockedDates
       }
       
       // シフト自動生成APIを呼び出す
@@ -128,11 +439,15 @@ export default function ShiftsPage() {
       }
       
       // 生成成功
-      toast.success(`シフトを生成しました（${result.shifts.length}件）`)
-      setGeneratedShifts(result.shifts)
+      toast.success(`シフトを生成しました（${result.shifts.length}件）。内容を確認して反映してください`)
+      setWarnings(result.warnings || [])
+      setOpenShiftCandidates(result.open_shifts || [])
+      if (result.warnings?.length > 0) {
+        toast(`人数が足りない時間帯があります（${result.warnings.length}件）`, { icon: '⚠️' })
+      }
       
-      // Supabaseに保存
-      await saveShiftsToDatabase(result.shifts)
+      // 保存済みのシフトと比較してプレビューを作る
+      buildPreview(existingShifts, result.shifts)
       
     } catch (err) {
       console.error('シフト生成エラー:', err)
@@ -143,33 +458,99 @@ export default function ShiftsPage() {
     }
   }
 
-  // 生成したシフトをデータベースに保存
-  async function saveShiftsToDatabase(shifts) {
+  // 保存済みのシフトと生成結果の差分を作る
+  function buildPreview(existingShifts, generated) {
+    const diff = diffShifts(existingShifts, generated)
+    setPreview(diff)
+    // 初期状態では、変更のある差分をすべて選択しておく
+    setSelectedKeys(new Set(diff.filter(isActionable).map(item => item.key)))
+  }
+
+  // 反映できる差分か（確定・固定・変更なしは対象外）
+  function isActionable(item) {
+    return item.type === 'added' || item.type === 'changed' || item.type === 'removed'
+  }
+
+  function toggleSelected(key) {
+    setSelectedKeys(prev => {
+      const next = new Set(prev)
+      if (next.has(key)) {
+        next.delete(key)
+      } else {
+        next.add(key)
+      }
+      return next
+    })
+  }
+
+  // 選択した差分をデータベースに反映
+  // 削除・更新・追加は apply_shift_changes で1つのトランザクションとして実行する
+  // 追加するシフトは選択中の店舗のシフトにする
+  async function applyPreview(items) {
+    const changes = buildShiftChanges(items)
+    const inserts = changes.inserts.map(shift => ({ ...shift, store_id: currentStoreId }))
+    const { updates, deletes } = changes
+    
+    if (inserts.length + updates.length + deletes.length === 0) {
+      toast.error('反映する変更が選択されていません')
+      return
+    }
+    
     try {
-      // 既存のシフトを削除（同じ期間）
-      const dates = [...new Set(shifts.map(s => s.date))]
-      await supabase
-        .from('shifts')
-        .delete()
-        .in('date', dates)
+      setIsApplying(true)
       
-      // 新しいシフトを挿入
-      const { error } = await supabase
-        .from('shifts')
-        .insert(shifts.map(s => ({
-          staff_id: s.staff_id,
-          date: s.date,
-          start_time: s.start_time,
-          end_time: s.end_time,
-          is_confirmed: false
-        })))
+      const { error } = await supabase.rpc('apply_shift_changes', {
+        p_inserts: inserts,
+        p_updates: updates,
+        p_deletes: deletes,
+      })
       
       if (error) throw error
       
-      toast.success('シフトをデータベースに保存しました')
+      toast.success(`シフトを反映しました（追加${inserts.length}件・変更${updates.length}件・削除${deletes.length}件）`)
+      setPreview([])
+      setSelectedKeys(new Set())
     } catch (err) {
       console.error('保存エラー:', err)
-      toast.error('データベースへの保存に失敗しました')
+      toast.error('データベースへの保存に失敗しました。シフトは変更されていません')
+    } finally {
+      setIsApplying(false)
+    }
+  }
+
+  // プレビューを破棄（生成しなかったことにするため、不足枠の募集も出さない）
+  function discardPreview() {
+    setPreview([])
+    setSelectedKeys(new Set())
+    setOpenShiftCandidates([])
+  }
+
+  // 人数が足りなかった枠をオープンシフトとして募集
+  async function handlePostOpenShifts() {
+    try {
+      setIsPostingOpenShifts(true)
+      
+      const rows = openShiftCandidates.map(slot => ({
+        user_id: accountId,
+        store_id: currentStoreId,
+        date: slot.date,
+        start_time: slot.start_time,
+        end_time: slot.end_time,
+        pattern_id: slot.pattern_id,
+        slots: slot.count,
+        claim_mode: openShiftClaimMode,
+      }))
+      
+      const { error } = await supabase.from('open_shifts').insert(rows)
+      if (error) throw error
+      
+      toast.success(`オープンシフトを募集しました（${rows.length}件）`)
+      setOpenShiftCandidates([])
+    } catch (err) {
+      console.error('オープンシフト登録エラー:', err)
+      toast.error('オープンシフトの登録に失敗しました')
+    } finally {
+      setIsPostingOpenShifts(false)
     }
   }
 
@@ -187,7 +568,10 @@ export default function ShiftsPage() {
           <Link href="/" className="text-blue-600 hover:underline mb-4 inline-block">
             ← ホームに戻る
           </Link>
-          <h1 className="text-3xl font-bold">シフト自動生成</h1>
+          <h1 className="text-3xl font-bold">
+            シフト自動生成
+            <span className="ml-3 text-lg font-normal text-gray-500">{currentStore?.name}</span>
+          </h1>
         </div>
 
         {/* エラーメッセージ */}
@@ -256,8 +640,121 @@ export default function ShiftsPage() {
                 min="1"
               />
             </div>
+
+            <div>
+              <label className="block text-sm font-medium mb-1">
+                週の始まり
+              </label>
+              <select
+                name="weekStartDay"
+                value={constraints.weekStartDay}
+                onChange={handleConstraintChange}
+                className="w-full border rounded px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
+              >
+                {WEEK_DAYS.map((day, index) => (
+                  <option key={index} value={index}>{day}曜日</option>
+                ))}
+              </select>
+              <p className="text-xs text-gray-500 mt-1">
+                週あたりの勤務日数・労働時間はこの曜日から7日単位で数えます（初期値は店舗の設定）
+              </p>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium mb-1">
+                連続勤務の上限（日）
+              </label>
+              <input
+                type="number"
+                name="maxConsecutiveDays"
+                value={constraints.maxConsecutiveDays}
+                onChange={handleConstraintChange}
+                className="w-full border rounded px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                min="1"
+              />
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium mb-1">
+                週の勤務日数の上限（日）
+              </label>
+              <input
+                type="number"
+                name="maxDaysPerWeek"
+                value={constraints.maxDaysPerWeek}
+                onChange={handleConstraintChange}
+                className="w-full border rounded px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                min="1"
+                max="7"
+              />
+            </div>
           </div>
 
+          {/* 生成方法 */}
+          <div className="mt-6">
+            <label className="block text-sm font-medium mb-2">生成方法</label>
+            <div className="space-y-1 text-sm text-gray-700">
+              <label className="flex items-center gap-2">
+                <input
+                  type="radio"
+                  name="generationMode"
+                  checked={generationMode === 'regenerate'}
+                  onChange={() => setGenerationMode('regenerate')}
+                />
+                作り直す（確定済み・固定したシフトと、固定した日は残す）
+              </label>
+              <label className="flex items-center gap-2">
+                <input
+                  type="radio"
+                  name="generationMode"
+                  checked={generationMode === 'fillGaps'}
+                  onChange={() => setGenerationMode('fillGaps')}
+                />
+                空きだけ埋める（保存済みのシフトはすべて残し、足りない人数だけを追加）
+              </label>
+            </div>
+          </div>
+
+          {/* 固定する日 */}
+          {constraints.startDate && constraints.endDate && constraints.startDate <= constraints.endDate && (
+            <div className="mt-4">
+              <label className="block text-sm font-medium mb-2">
+                固定する日 <span className="text-gray-500 font-normal">（保存済みのシフトをそのまま残し、新しく割り当てません）</span>
+              </label>
+              <div className="flex flex-wrap gap-1">
+                {getDateRange(constraints.startDate, constraints.endDate).map(date => {
+                  const dayOfWeek = getDayOfWeek(date)
+                  return (
+                    <button
+                      key={date}
+                      type="button"
+                      onClick={() => toggleLockedDate(date)}
+                      className={`px-2 py-1 text-xs rounded border transition ${
+                        lockedDates.includes(date)
+                          ? 'bg-gray-700 border-gray-700 text-white'
+                          : `bg-white hover:bg-gray-50 ${dayOfWeek === 0 ? 'text-red-500' : dayOfWeek === 6 ? 'text-blue-500' : ''}`
+                      }`}
+                    >
+                      {Number(date.slice(5, 7))}/{Number(date.slice(8, 10))}
+                    </button>
+                  )
+                })}
+              </div>
+              <p className="text-xs text-gray-500 mt-1">
+                シフト単位で固定するには、シフトカレンダーで「固定する」を選んでください
+              </p>
+            </div>
+          )}
+
+          <label className="flex items-center gap-2 mt-4 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={ignoreOpenPeriods}
+              onChange={(e) => setIgnoreOpenPeriods(e.target.checked)}
+            />
+            希望シフトの受付中でも生成する
+          </label>
+
           <div className="mt-6">
             <button
               onClick={handleGenerateShift}
@@ -285,31 +782,182 @@ export default function ShiftsPage() {
           </div>
 
           <p className="text-sm text-gray-600 mt-4">
-            登録スタッフ数: {staffList.length}名
+            この店舗のスタッフ数: {staffList.length}名 ／ シフトパターン: {patterns.length > 0 ? `${patterns.length}件` : 'デフォルト（午前・午後・フル）'}
+            <Link href="/shifts/patterns" className="ml-2 text-blue-600 hover:underline">
+              パターンを管理
+            </Link>
+          </p>
+          <p className="text-sm text-gray-600 mt-1">
+            時間帯別の必要人数: {requirements.length > 0 ? `${new Set(requirements.map(r => r.day_of_week)).size}曜日分を設定済み（設定した曜日は上の最低・最大人数より優先）` : '未設定'}
+            <Link href="/shifts/requirements" className="ml-2 text-blue-600 hover:underline">
+              必要人数を設定
+            </Link>
+          </p>
+        </div>
+
+        {/* 希望シフトの提出期間 */}
+        <div className="bg-white p-6 rounded-lg shadow mb-8">
+          <h2 className="text-xl font-semibold mb-2">希望シフトの受付</h2>
+          <p className="text-sm text-gray-600 mb-4">
+            スタッフは「希望シフト提出」画面から、締切日までに希望日・NG日を提出できます。
+            提出された希望は、期間が重なるシフト生成に自動で反映されます。
+            受付中の期間を含むシフトは、締め切るまで生成できません。
           </p>
+          
+          <Link href="/shifts/periods" className="text-blue-600 hover:underline text-sm">
+            提出期間の作成・提出状況の確認 →
+          </Link>
+          
+          {periods.length > 0 && (
+            <ul className="mt-4 text-sm text-gray-700 space-y-1">
+              {periods.map(period => (
+                <li key={period.id} className="flex items-center gap-2">
+                  <span className={`px-2 py-0.5 text-xs rounded ${PERIOD_STATUS[period.status].className}`}>
+                    {PERIOD_STATUS[period.status].label}
+                  </span>
+                  {period.start_date} 〜 {period.end_date}（締切 {period.deadline}）
+                </li>
+              ))}
+            </ul>
+          )}
         </div>
 
-        {/* 生成されたシフト */}
-        {generatedShifts.length > 0 && (
+        {/* 人数不足の警告 */}
+        {warnings.length > 0 && (
+          <div className="bg-yellow-50 border border-yellow-200 text-yellow-800 px-4 py-3 rounded mb-8">
+            <p className="font-semibold">人数が足りない日・時間帯があります</p>
+            <ul className="text-sm list-disc list-inside mt-1">
+              {warnings.map((warning, index) => (
+                <li key={index}>{warning}</li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        {/* 人数が足りなかった枠の募集（生成結果を反映した後に表示） */}
+        {openShiftCandidates.length > 0 && preview.length === 0 && (
+          <div className="bg-white p-6 rounded-lg shadow mb-8">
+            <h2 className="text-xl font-semibold mb-2">不足分をオープンシフトとして募集</h2>
+            <p className="text-sm text-gray-600 mb-4">
+              人数が足りなかった枠を募集すると、条件を満たすスタッフが「オープンシフト」画面から応募できます。
+            </p>
+            <ul className="text-sm text-gray-700 space-y-1 mb-4">
+              {openShiftCandidates.map(slot => (
+                <li key={`${slot.date}_${slot.start_time}_${slot.end_time}`}>
+                  {slot.date} {slot.start_time}-{slot.end_time}：{slot.count}名
+                </li>
+              ))}
+            </ul>
+            <div className="flex flex-wrap items-center gap-4">
+              <select
+                value={openShiftClaimMode}
+                onChange={(e) => setOpenShiftClaimMode(e.target.value)}
+                className="border rounded px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
+              >
+                {Object.entries(CLAIM_MODES).map(([mode, { label }]) => (
+                  <option key={mode} value={mode}>{label}</option>
+                ))}
+              </select>
+              <button
+                onClick={handlePostOpenShifts}
+                disabled={isPostingOpenShifts}
+                className="px-4 py-2 bg-blue-600 text-white rounded hover:bg-blue-700 disabled:opacity-50"
+              >
+                {isPostingOpenShifts ? '登録中...' : '募集する'}
+              </button>
+              <Link href="/shifts/open-shifts" className="text-blue-600 hover:underline text-sm">
+                募集の管理 →
+              </Link>
+            </div>
+          </div>
+        )}
+
+        {/* 生成結果のプレビュー（保存済みシフトとの差分） */}
+        {preview.length > 0 && (
           <div className="bg-white p-6 rounded-lg shadow">
-            <h2 className="text-xl font-semibold mb-4">生成されたシフト</h2>
+            <div className="flex flex-wrap justify-between items-center gap-4 mb-4">
+              <div>
+                <h2 className="text-xl font-semibold">生成結果のプレビュー</h2>
+                <p className="text-sm text-gray-600 mt-1">
+                  保存済みのシフトとの差分です。チェックした変更だけを反映します。確定済みのシフトは変更されません。
+                  追加したシフトは下書きになり、カレンダーで公開するまでスタッフには表示されません。
+                </p>
+              </div>
+              <div className="flex gap-2">
+                <button
+                  onClick={discardPreview}
+                  disabled={isApplying}
+                  className="px-4 py-2 bg-gray-200 rounded hover:bg-gray-300 disabled:opacity-50"
+                >
+                  破棄
+                </button>
+                <button
+                  onClick={() => applyPreview(preview.filter(item => selectedKeys.has(item.key)))}
+                  disabled={isApplying || selectedKeys.size === 0}
+                  className="px-4 py-2 bg-white border border-blue-600 text-blue-600 rounded hover:bg-blue-50 disabled:opacity-50"
+                >
+                  選択した変更を反映（{selectedKeys.size}件）
+                </button>
+                <button
+                  onClick={() => applyPreview(preview)}
+                  disabled={isApplying}
+                  className="px-4 py-2 bg-blue-600 text-white rounded hover:bg-blue-700 disabled:opacity-50"
+                >
+                  {isApplying ? '反映中...' : 'すべて反映'}
+                </button>
+              </div>
+            </div>
+            
+            {/* 差分の件数 */}
+            <div className="flex flex-wrap gap-2 mb-4 text-sm">
+              {Object.entries(DIFF_TYPES).map(([type, { label, className }]) => (
+                <span key={type} className={`px-2 py-1 rounded ${className}`}>
+                  {label}: {preview.filter(item => item.type === type).length}件
+                </span>
+              ))}
+            </div>
             
             <div className="overflow-x-auto">
               <table className="w-full">
                 <thead className="bg-gray-50">
                   <tr>
+                    <th className="px-4 py-3 text-left font-semibold">反映</th>
+                    <th className="px-4 py-3 text-left font-semibold">種類</th>
                     <th className="px-4 py-3 text-left font-semibold">日付</th>
                     <th className="px-4 py-3 text-left font-semibold">スタッフ</th>
-                    <th className="px-4 py-3 text-left font-semibold">時間</th>
+                    <th className="px-4 py-3 text-left font-semibold">現在</th>
+                    <th className="px-4 py-3 text-left font-semibold">生成後</th>
                   </tr>
                 </thead>
                 <tbody>
-                  {generatedShifts.map((shift, index) => (
-                    <tr key={index} className="border-t hover:bg-gray-50">
-                      <td className="px-4 py-3">{shift.date}</td>
-                      <td className="px-4 py-3">{getStaffName(shift.staff_id)}</td>
+                  {preview.map(item => (
+                    <tr key={item.key} className={`border-t hover:bg-gray-50 ${isActionable(item) ? '' : 'text-gray-400'}`}>
+                      <td className="px-4 py-3">
+                        {isActionable(item) && (
+                          <input
+                            type="checkbox"
+                            checked={selectedKeys.has(item.key)}
+                            onChange={() => toggleSelected(item.key)}
+                          />
+                        )}
+                      </td>
+                      <td className="px-4 py-3">
+                        <span className={`px-2 py-0.5 text-xs rounded ${DIFF_TYPES[item.type].className}`}>
+                          {DIFF_TYPES[item.type].label}
+                        </span>
+                      </td>
+                      <td className="px-4 py-3">{item.date}</td>
+                      <td className="px-4 py-3">{getStaffName(item.staff_id)}</td>
+                      <td className="px-4 py-3">
+                        {item.before ? `${item.before.start_time.slice(0, 5)} - ${item.before.end_time.slice(0, 5)}` : '-'}
+                      </td>
                       <td className="px-4 py-3">
-                        {shift.start_time} - {shift.end_time}
+                        {item.after ? (
+                          <>
+                            {item.after.pattern_name && <span className="mr-2">{item.after.pattern_name}</span>}
+                            {item.after.start_time.slice(0, 5)} - {item.after.end_time.slice(0, 5)}
+                          </>
+                        ) : '-'}
                       </td>
                     </tr>
                   ))}
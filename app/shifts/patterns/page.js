@@ -0,0 +1,327 @@
+// app/shifts/patterns/page.js
+'use client'
+
+import { useState, useEffect } from 'react'
+import { supabase } from '@/lib/supabase'
+import { useAuth } from '@/contexts/AuthContext'
+import { useStore } from '@/contexts/StoreContext'
+import Link from 'next/link'
+import toast from 'react-hot-toast'
+import { ConfirmDialog } from '@/components/ConfirmDialog'
+import { crossesMidnight, getShiftHours } from '@/lib/shiftEngine'
+
+const EMPTY_FORM = {
+  name: '',
+  start_time: '09:00',
+  end_time: '17:00',
+  break_minutes: '60',
+  color: '#3b82f6',
+}
+
+export default function ShiftPatternsPage() {
+  const { accountId } = useAuth()
+  // パターンは店舗ごとに登録する
+  const { currentStoreId, currentStore } = useStore()
+
+  const [patterns, setPatterns] = useState([])
+  const [isLoading, setIsLoading] = useState(true)
+  const [formData, setFormData] = useState(EMPTY_FORM)
+  // 編集中のパターンID（nullなら新規登録）
+  const [editingId, setEditingId] = useState(null)
+  const [deleteDialog, setDeleteDialog] = useState({ open: false, patternId: null, patternName: '' })
+
+  useEffect(() => {
+    if (accountId && currentStoreId) fetchPatterns()
+  }, [accountId, currentStoreId])
+
+  async function fetchPatterns() {
+    try {
+      setIsLoading(true)
+      const { data, error } = await supabase
+        .from('shift_patterns')
+        .select('*')
+        .eq('user_id', accountId)
+        .eq('store_id', currentStoreId)
+        .order('start_time')
+
+      if (error) throw error
+
+      setPatterns(data || [])
+    } catch (err) {
+      console.error('シフトパターン取得エラー:', err)
+      toast.error('シフトパターンの取得に失敗しました')
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  function handleInputChange(e) {
+    const { name, value } = e.target
+    setFormData(prev => ({ ...prev, [name]: value }))
+  }
+
+  function handleEdit(pattern) {
+    setEditingId(pattern.id)
+    setFormData({
+      name: pattern.name,
+      start_time: pattern.start_time.slice(0, 5),
+      end_time: pattern.end_time.slice(0, 5),
+      break_minutes: String(pattern.break_minutes),
+      color: pattern.color,
+    })
+  }
+
+  function handleCancelEdit() {
+    setEditingId(null)
+    setFormData(EMPTY_FORM)
+  }
+
+  async function handleSubmit(e) {
+    e.preventDefault()
+
+    if (!formData.name || !formData.start_time || !formData.end_time) {
+      toast.error('名前と時間を入力してください')
+      return
+    }
+
+    // DBの制約（check_pattern_time）と同じ条件
+    if (formData.start_time === formData.end_time) {
+      toast.error('開始時刻と終了時刻が同じです')
+      return
+    }
+
+    const breakMinutes = parseInt(formData.break_minutes) || 0
+    if (breakMinutes < 0) {
+      toast.error('休憩時間は0分以上で入力してください')
+      return
+    }
+    if (getShiftHours(formData, breakMinutes) <= 0) {
+      toast.error('休憩時間が勤務時間より長くなっています')
+      return
+    }
+
+    const payload = {
+      name: formData.name,
+      start_time: formData.start_time,
+      end_time: formData.end_time,
+      break_minutes: breakMinutes,
+      color: formData.color,
+    }
+
+    try {
+      const { error } = editingId
+        ? await supabase.from('shift_patterns').update(payload).eq('user_id', accountId).eq('id', editingId)
+        : await supabase.from('shift_patterns').insert([{ ...payload, user_id: accountId, store_id: currentStoreId }])
+
+      if (error) throw error
+
+      toast.success(editingId ? 'シフトパターンを更新しました' : 'シフトパターンを登録しました')
+      handleCancelEdit()
+      fetchPatterns()
+    } catch (err) {
+      console.error('シフトパターン保存エラー:', err)
+      toast.error('シフトパターンの保存に失敗しました')
+    }
+  }
+
+  async function confirmDelete() {
+    const { error } = await supabase.from('shift_patterns').delete().eq('user_id', accountId).eq('id', deleteDialog.patternId)
+    if (error) {
+      console.error('シフトパターン削除エラー:', error)
+      toast.error('削除に失敗しました')
+      return
+    }
+    toast.success('シフトパターンを削除しました')
+    if (editingId === deleteDialog.patternId) handleCancelEdit()
+    fetchPatterns()
+  }
+
+  return (
+    <div className="min-h-screen p-8 bg-gray-50">
+      <div className="max-w-6xl mx-auto">
+        {/* ヘッダー */}
+        <div className="mb-6">
+          <Link href="/shifts" className="text-blue-600 hover:underline mb-4 inline-block">
+            ← シフト生成に戻る
+          </Link>
+          <h1 className="text-3xl font-bold">
+            シフトパターン
+            <span className="ml-3 text-lg font-normal text-gray-500">{currentStore?.name}</span>
+          </h1>
+          <p className="text-sm text-gray-600 mt-2">
+            ここで登録したパターンが、シフト自動生成・カレンダーの編集・勤務統計の労働時間計算に使われます。
+            未登録の場合は午前／午後／フルの3パターンで生成します。
+          </p>
+        </div>
+
+        {/* 登録フォーム */}
+        <div className="bg-white p-6 rounded-lg shadow mb-8">
+          <h2 className="text-xl font-semibold mb-4">
+            {editingId ? 'シフトパターンの編集' : 'シフトパターンの登録'}
+          </h2>
+          <form onSubmit={handleSubmit}>
+            <div className="grid grid-cols-1 md:grid-cols-5 gap-4">
+              <div className="md:col-span-2">
+                <label className="block text-sm font-medium mb-1">
+                  名前 <span className="text-red-500">*</span>
+                </label>
+                <input
+                  type="text"
+                  name="name"
+                  value={formData.name}
+                  onChange={handleInputChange}
+                  className="w-full border rounded px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  placeholder="早番"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium mb-1">
+                  開始時刻 <span className="text-red-500">*</span>
+                </label>
+                <input
+                  type="time"
+                  name="start_time"
+                  value={formData.start_time}
+                  onChange={handleInputChange}
+                  className="w-full border rounded px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium mb-1">
+                  終了時刻 <span className="text-red-500">*</span>
+                </label>
+                <input
+                  type="time"
+                  name="end_time"
+                  value={formData.end_time}
+                  onChange={handleInputChange}
+                  className="w-full border rounded px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium mb-1">休憩（分）</label>
+                <input
+                  type="number"
+                  name="break_minutes"
+                  value={formData.break_minutes}
+                  onChange={handleInputChange}
+                  className="w-full border rounded px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  min="0"
+                  step="5"
+                />
+              </div>
+            </div>
+
+            <div className="flex items-center gap-4 mt-4">
+              <label className="text-sm font-medium">色</label>
+              <input
+                type="color"
+                name="color"
+                value={formData.color}
+                onChange={handleInputChange}
+                className="h-9 w-14 border rounded cursor-pointer"
+              />
+              {formData.start_time && formData.end_time && formData.start_time !== formData.end_time && (
+                <span className="text-sm text-gray-600">
+                  実働 {getShiftHours(formData, parseInt(formData.break_minutes) || 0).toFixed(2)}時間
+                  {crossesMidnight(formData.start_time, formData.end_time) && '（日付をまたぐシフト）'}
+                </span>
+              )}
+            </div>
+
+            <div className="flex gap-2 mt-6">
+              <button
+                type="submit"
+                className="px-6 py-2 bg-blue-600 text-white rounded font-semibold hover:bg-blue-700"
+              >
+                {editingId ? '更新' : '登録'}
+              </button>
+              {editingId && (
+                <button
+                  type="button"
+                  onClick={handleCancelEdit}
+                  className="px-4 py-2 bg-gray-300 rounded hover:bg-gray-400"
+                >
+                  キャンセル
+                </button>
+              )}
+            </div>
+          </form>
+        </div>
+
+        {/* パターン一覧 */}
+        <div className="bg-white p-6 rounded-lg shadow">
+          <h2 className="text-xl font-semibold mb-4">パターン一覧</h2>
+          {isLoading ? (
+            <div className="flex items-center justify-center py-8">
+              <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+              <span className="ml-3 text-gray-500">読み込み中...</span>
+            </div>
+          ) : patterns.length === 0 ? (
+            <p className="text-gray-500 text-center py-8">まだシフトパターンがありません</p>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="w-full">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-4 py-3 text-left font-semibold">名前</th>
+                    <th className="px-4 py-3 text-left font-semibold">時間</th>
+                    <th className="px-4 py-3 text-left font-semibold">休憩</th>
+                    <th className="px-4 py-3 text-left font-semibold">実働</th>
+                    <th className="px-4 py-3 text-left font-semibold">操作</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {patterns.map(pattern => (
+                    <tr key={pattern.id} className="border-t hover:bg-gray-50">
+                      <td className="px-4 py-3">
+                        <span className="inline-flex items-center gap-2">
+                          <span className="w-3 h-3 rounded-sm" style={{ backgroundColor: pattern.color }} />
+                          {pattern.name}
+                        </span>
+                      </td>
+                      <td className="px-4 py-3">
+                        {pattern.start_time.slice(0, 5)} - {pattern.end_time.slice(0, 5)}
+                        {crossesMidnight(pattern.start_time, pattern.end_time) && (
+                          <span className="ml-2 text-xs text-gray-500">翌日</span>
+                        )}
+                      </td>
+                      <td className="px-4 py-3">{pattern.break_minutes}分</td>
+                      <td className="px-4 py-3">
+                        {getShiftHours(pattern, pattern.break_minutes).toFixed(2)}時間
+                      </td>
+                      <td className="px-4 py-3 space-x-4">
+                        <button
+                          onClick={() => handleEdit(pattern)}
+                          className="text-blue-600 hover:text-blue-700 font-medium"
+                        >
+                          編集
+                        </button>
+                        <button
+                          onClick={() => setDeleteDialog({ open: true, patternId: pattern.id, patternName: pattern.name })}
+                          className="text-red-600 hover:text-red-700 font-medium"
+                        >
+                          削除
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      </div>
+
+      <ConfirmDialog
+        open={deleteDialog.open}
+        onOpenChange={(open) => setDeleteDialog({ ...deleteDialog, open })}
+        onConfirm={confirmDelete}
+        title="シフトパターンの削除"
+        description={`${deleteDialog.patternName} を削除しますか？登録済みのシフトは削除されません。`}
+        confirmText="削除"
+        variant="danger"
+      />
+    </div>
+  )
+}
@@ -0,0 +1,365 @@
+// app/shifts/periods/page.js
+'use client'
+
+import { useState, useEffect } from 'react'
+import { supabase } from '@/lib/supabase'
+import { useAuth } from '@/contexts/AuthContext'
+import { useStore } from '@/contexts/StoreContext'
+import Link from 'next/link'
+import toast from 'react-hot-toast'
+import { PERIOD_STATUS, getToday } from '@/lib/periods'
+
+export default function CollectionPeriodsPage() {
+  const { accountId } = useAuth()
+  // 選択中の店舗の提出期間を表示する
+  const { currentStoreId, currentStore } = useStore()
+
+  const [periods, setPeriods] = useState([])
+  const [staffList, setStaffList] = useState([])
+  const [selectedPeriodId, setSelectedPeriodId] = useState('')
+  // 選択中の期間の提出状況
+  const [requests, setRequests] = useState([])
+  const [reminders, setReminders] = useState([])
+  const [periodForm, setPeriodForm] = useState({ startDate: '', endDate: '', opensOn: getToday(), deadline: '' })
+  const [isLoading, setIsLoading] = useState(true)
+
+  const selectedPeriod = periods.find(p => p.id === selectedPeriodId) || null
+
+  useEffect(() => {
+    if (accountId && currentStoreId) fetchInitialData()
+  }, [accountId, currentStoreId])
+
+  useEffect(() => {
+    if (selectedPeriodId) fetchCollectionStatus()
+  }, [selectedPeriodId])
+
+  // 提出期間と、提出状況を表示するスタッフ（選択中の店舗に所属するスタッフ）を取得
+  async function fetchInitialData() {
+    try {
+      setIsLoading(true)
+      const [periodsResult, staffResult, storeStaffResult] = await Promise.all([
+        supabase.from('collection_periods').select('*').eq('user_id', accountId).eq('store_id', currentStoreId).order('start_date', { ascending: false }),
+        supabase.from('staff').select('id, name').eq('user_id', accountId).order('name'),
+        supabase.from('store_staff').select('staff_id').eq('user_id', accountId).eq('store_id', currentStoreId),
+      ])
+
+      if (periodsResult.error) throw periodsResult.error
+      if (staffResult.error) throw staffResult.error
+      if (storeStaffResult.error) throw storeStaffResult.error
+
+      const storeStaffIds = new Set((storeStaffResult.data || []).map(m => m.staff_id))
+      setPeriods(periodsResult.data || [])
+      setStaffList((staffResult.data || []).filter(staff => storeStaffIds.has(staff.id)))
+      // 店舗を切り替えて選択中の期間がなくなった場合は、最新の期間を選ぶ
+      setSelectedPeriodId(prev =>
+        periodsResult.data?.some(p => p.id === prev) ? prev : periodsResult.data?.[0]?.id ?? ''
+      )
+    } catch (err) {
+      console.error('提出期間取得エラー:', err)
+      toast.error('データの取得に失敗しました')
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  async function fetchCollectionStatus() {
+    const [requestsResult, remindersResult] = await Promise.all([
+      supabase.from('shift_requests').select('*').eq('user_id', accountId).eq('period_id', selectedPeriodId),
+      supabase.from('period_reminders').select('*').eq('user_id', accountId).eq('period_id', selectedPeriodId).order('sent_at', { ascending: false }),
+    ])
+
+    if (requestsResult.error || remindersResult.error) {
+      console.error('提出状況取得エラー:', requestsResult.error || remindersResult.error)
+      toast.error('提出状況の取得に失敗しました')
+      return
+    }
+
+    setRequests(requestsResult.data || [])
+    setReminders(remindersResult.data || [])
+  }
+
+  async function handleCreatePeriod(e) {
+    e.preventDefault()
+
+    const { startDate, endDate, opensOn, deadline } = periodForm
+    if (!startDate || !endDate || !opensOn || !deadline) {
+      toast.error('対象期間・受付開始日・締切日を入力してください')
+      return
+    }
+    if (startDate > endDate) {
+      toast.error('対象期間の終了日は開始日以降を指定してください')
+      return
+    }
+    if (opensOn > deadline) {
+      toast.error('締切日は受付開始日以降を指定してください')
+      return
+    }
+
+    const { data, error } = await supabase
+      .from('collection_periods')
+      .insert([{ user_id: accountId, store_id: currentStoreId, start_date: startDate, end_date: endDate, opens_on: opensOn, deadline: deadline, status: 'open' }])
+      .select()
+      .single()
+
+    if (error) {
+      console.error('提出期間作成エラー:', error)
+      toast.error('提出期間の作成に失敗しました')
+      return
+    }
+
+    toast.success('希望シフトの受付を開始しました')
+    setPeriodForm({ startDate: '', endDate: '', opensOn: getToday(), deadline: '' })
+    setSelectedPeriodId(data.id)
+    fetchInitialData()
+  }
+
+  async function handleChangeStatus(status) {
+    // 公開するときは、期間の店舗の下書きシフトの公開と期間の状態の変更を publish_collection_period でまとめて行う
+    const { error } = status === 'published'
+      ? await supabase.rpc('publish_collection_period', { p_period_id: selectedPeriodId })
+      : await supabase
+        .from('collection_periods')
+        .update({ status })
+        .eq('user_id', accountId)
+        .eq('id', selectedPeriodId)
+
+    if (error) {
+      console.error('状態変更エラー:', error)
+      toast.error('状態の変更に失敗しました')
+      return
+    }
+    toast.success(`「${PERIOD_STATUS[status].label}」にしました`)
+    fetchInitialData()
+  }
+
+  // 未提出のスタッフにリマインドを送る
+  // 送ったリマインドは希望シフト提出画面に表示される
+  async function handleSendReminders(staffIds) {
+    if (staffIds.length === 0) {
+      toast('未提出のスタッフはいません')
+      return
+    }
+
+    const { error } = await supabase
+      .from('period_reminders')
+      .insert(staffIds.map(staffId => ({ user_id: accountId, period_id: selectedPeriodId, staff_id: staffId })))
+
+    if (error) {
+      console.error('リマインド送信エラー:', error)
+      toast.error('リマインドの送信に失敗しました')
+      return
+    }
+    toast.success(`${staffIds.length}名にリマインドを送りました`)
+    fetchCollectionStatus()
+  }
+
+  // スタッフごとの提出状況
+  const statusRows = staffList.map(staff => ({
+    staff,
+    request: requests.find(r => r.staff_id === staff.id) || null,
+    lastReminder: reminders.find(r => r.staff_id === staff.id) || null,
+  }))
+  const notSubmitted = statusRows.filter(row => !row.request)
+
+  return (
+    <div className="min-h-screen p-8 bg-gray-50">
+      <div className="max-w-6xl mx-auto">
+        {/* ヘッダー */}
+        <div className="mb-6">
+          <Link href="/shifts" className="text-blue-600 hover:underline mb-4 inline-block">
+            ← シフト生成に戻る
+          </Link>
+          <h1 className="text-3xl font-bold">
+            希望シフトの受付
+            <span className="ml-3 text-lg font-normal text-gray-500">{currentStore?.name}</span>
+          </h1>
+        </div>
+
+        {/* 提出期間の作成 */}
+        <div className="bg-white p-6 rounded-lg shadow mb-8">
+          <h2 className="text-xl font-semibold mb-4">提出期間の作成</h2>
+          <form onSubmit={handleCreatePeriod} className="grid grid-cols-1 md:grid-cols-5 gap-4 items-end">
+            <div>
+              <label className="block text-sm font-medium mb-1">対象期間（開始）</label>
+              <input
+                type="date"
+                value={periodForm.startDate}
+                onChange={(e) => setPeriodForm(prev => ({ ...prev, startDate: e.target.value }))}
+                className="w-full border rounded px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium mb-1">対象期間（終了）</label>
+              <input
+                type="date"
+                value={periodForm.endDate}
+                onChange={(e) => setPeriodForm(prev => ({ ...prev, endDate: e.target.value }))}
+                className="w-full border rounded px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium mb-1">受付開始日</label>
+              <input
+                type="date"
+                value={periodForm.opensOn}
+                onChange={(e) => setPeriodForm(prev => ({ ...prev, opensOn: e.target.value }))}
+                className="w-full border rounded px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium mb-1">提出締切</label>
+              <input
+                type="date"
+                value={periodForm.deadline}
+                onChange={(e) => setPeriodForm(prev => ({ ...prev, deadline: e.target.value }))}
+                className="w-full border rounded px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+            </div>
+            <button
+              type="submit"
+              className="px-4 py-2 bg-blue-600 text-white rounded hover:bg-blue-700"
+            >
+              受付を開始
+            </button>
+          </form>
+        </div>
+
+        {isLoading ? (
+          <div className="flex items-center justify-center py-12">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+            <span className="ml-3 text-gray-500">読み込み中...</span>
+          </div>
+        ) : periods.length === 0 ? (
+          <p className="text-gray-500 text-center py-8">まだ提出期間がありません</p>
+        ) : (
+          <div className="bg-white p-6 rounded-lg shadow">
+            {/* 期間の選択と状態 */}
+            <div className="flex flex-wrap items-center gap-4 mb-6">
+              <select
+                value={selectedPeriodId}
+                onChange={(e) => setSelectedPeriodId(e.target.value)}
+                className="border rounded px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
+              >
+                {periods.map(period => (
+                  <option key={period.id} value={period.id}>
+                    {period.start_date} 〜 {period.end_date}（{PERIOD_STATUS[period.status].label}）
+                  </option>
+                ))}
+              </select>
+
+              {selectedPeriod && (
+                <>
+                  <span className={`px-2 py-1 text-sm rounded ${PERIOD_STATUS[selectedPeriod.status].className}`}>
+                    {PERIOD_STATUS[selectedPeriod.status].label}
+                  </span>
+                  <span className="text-sm text-gray-600">
+                    受付 {selectedPeriod.opens_on} 〜 {selectedPeriod.deadline}
+                  </span>
+                  {selectedPeriod.status === 'open' && selectedPeriod.deadline < getToday() && (
+                    <span className="text-sm text-red-600">締切日を過ぎています</span>
+                  )}
+
+                  <div className="flex gap-2 ml-auto">
+                    {selectedPeriod.status === 'open' && (
+                      <button
+                        onClick={() => handleChangeStatus('closed')}
+                        className="px-4 py-2 bg-gray-700 text-white rounded hover:bg-gray-800"
+                      >
+                        締め切る
+                      </button>
+                    )}
+                    {selectedPeriod.status === 'closed' && (
+                      <>
+                        <button
+                          onClick={() => handleChangeStatus('open')}
+                          className="px-4 py-2 bg-gray-200 rounded hover:bg-gray-300"
+                        >
+                          受付を再開
+                        </button>
+                        <button
+                          onClick={() => handleChangeStatus('published')}
+                          className="px-4 py-2 bg-blue-600 text-white rounded hover:bg-blue-700"
+                        >
+                          公開済みにする
+                        </button>
+                      </>
+                    )}
+                  </div>
+                </>
+              )}
+            </div>
+
+            {/* 提出状況 */}
+            <div className="flex justify-between items-center mb-4">
+              <h2 className="text-xl font-semibold">
+                提出状況（{statusRows.length - notSubmitted.length} / {statusRows.length}名）
+              </h2>
+              {selectedPeriod?.status === 'open' && (
+                <button
+                  onClick={() => handleSendReminders(notSubmitted.map(row => row.staff.id))}
+                  className="px-4 py-2 bg-yellow-500 text-white rounded hover:bg-yellow-600"
+                >
+                  未提出者全員にリマインド
+                </button>
+              )}
+            </div>
+
+            <div className="overflow-x-auto">
+              <table className="w-full">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-4 py-3 text-left font-semibold">スタッフ</th>
+                    <th className="px-4 py-3 text-left font-semibold">状態</th>
+                    <th className="px-4 py-3 text-left font-semibold">希望日</th>
+                    <th className="px-4 py-3 text-left font-semibold">NG日</th>
+                    <th className="px-4 py-3 text-left font-semibold">備考</th>
+                    <th className="px-4 py-3 text-left font-semibold">リマインド</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {statusRows.map(({ staff, request, lastReminder }) => (
+                    <tr key={staff.id} className="border-t hover:bg-gray-50">
+                      <td className="px-4 py-3">{staff.name}</td>
+                      <td className="px-4 py-3">
+                        {request ? (
+                          <span className="text-green-700">
+                            提出済み
+                            <span className="block text-xs text-gray-500">
+                              {new Date(request.submitted_at).toLocaleString('ja-JP')}
+                            </span>
+                          </span>
+                        ) : (
+                          <span className="text-red-600">未提出</span>
+                        )}
+                      </td>
+                      <td className="px-4 py-3">{request ? `${request.preferred_dates.length}日` : '-'}</td>
+                      <td className="px-4 py-3">{request ? `${request.unavailable_dates.length}日` : '-'}</td>
+                      <td className="px-4 py-3 text-sm text-gray-700 max-w-xs whitespace-pre-wrap">
+                        {request?.note || '-'}
+                      </td>
+                      <td className="px-4 py-3 text-sm">
+                        {lastReminder && (
+                          <span className="block text-xs text-gray-500">
+                            {new Date(lastReminder.sent_at).toLocaleString('ja-JP')} に送信
+                          </span>
+                        )}
+                        {!request && selectedPeriod?.status === 'open' && (
+                          <button
+                            onClick={() => handleSendReminders([staff.id])}
+                            className="text-blue-600 hover:text-blue-700 font-medium"
+                          >
+                            リマインド
+                          </button>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,298 @@
+// app/shifts/requirements/page.js
+'use client'
+
+import { useState, useEffect } from 'react'
+import { supabase } from '@/lib/supabase'
+import { useAuth } from '@/contexts/AuthContext'
+import { useStore } from '@/contexts/StoreContext'
+import Link from 'next/link'
+import toast from 'react-hot-toast'
+import { ConfirmDialog } from '@/components/ConfirmDialog'
+
+const WEEK_DAYS = ['日', '月', '火', '水', '木', '金', '土']
+
+// 曜日の一括選択
+const DAY_PRESETS = [
+  { label: '平日', days: [1, 2, 3, 4, 5] },
+  { label: '土日', days: [0, 6] },
+  { label: '毎日', days: [0, 1, 2, 3, 4, 5, 6] },
+]
+
+export default function StaffingRequirementsPage() {
+  const { accountId } = useAuth()
+  // 必要人数は店舗ごとに設定する
+  const { currentStoreId, currentStore } = useStore()
+
+  const [requirements, setRequirements] = useState([])
+  const [isLoading, setIsLoading] = useState(true)
+  const [formData, setFormData] = useState({
+    days: [1, 2, 3, 4, 5],
+    start_time: '11:00',
+    end_time: '14:00',
+    required_staff: '2',
+  })
+  const [deleteDialog, setDeleteDialog] = useState({ open: false, requirement: null })
+
+  useEffect(() => {
+    if (accountId && currentStoreId) fetchRequirements()
+  }, [accountId, currentStoreId])
+
+  async function fetchRequirements() {
+    try {
+      setIsLoading(true)
+      const { data, error } = await supabase
+        .from('staffing_requirements')
+        .select('*')
+        .eq('user_id', accountId)
+        .eq('store_id', currentStoreId)
+        .order('day_of_week')
+        .order('start_time')
+
+      if (error) throw error
+
+      setRequirements(data || [])
+    } catch (err) {
+      console.error('必要人数取得エラー:', err)
+      toast.error('必要人数の取得に失敗しました')
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  function handleInputChange(e) {
+    const { name, value } = e.target
+    setFormData(prev => ({ ...prev, [name]: value }))
+  }
+
+  function toggleDay(day) {
+    setFormData(prev => ({
+      ...prev,
+      days: prev.days.includes(day) ? prev.days.filter(d => d !== day) : [...prev.days, day].sort(),
+    }))
+  }
+
+  async function handleSubmit(e) {
+    e.preventDefault()
+
+    if (formData.days.length === 0) {
+      toast.error('曜日を選択してください')
+      return
+    }
+
+    // DBの制約（check_requirement_time）と同じ条件
+    if (!formData.start_time || !formData.end_time || formData.end_time <= formData.start_time) {
+      toast.error('終了時刻は開始時刻より後にしてください')
+      return
+    }
+
+    const requiredStaff = parseInt(formData.required_staff)
+    if (!requiredStaff || requiredStaff < 1) {
+      toast.error('必要人数は1人以上で入力してください')
+      return
+    }
+
+    try {
+      // 選んだ曜日の数だけ行を作る
+      const { error } = await supabase.from('staffing_requirements').insert(
+        formData.days.map(day => ({
+          user_id: accountId,
+          store_id: currentStoreId,
+          day_of_week: day,
+          start_time: formData.start_time,
+          end_time: formData.end_time,
+          required_staff: requiredStaff,
+        }))
+      )
+
+      if (error) throw error
+
+      toast.success('必要人数を登録しました')
+      fetchRequirements()
+    } catch (err) {
+      console.error('必要人数登録エラー:', err)
+      toast.error('必要人数の登録に失敗しました')
+    }
+  }
+
+  async function confirmDelete() {
+    const { error } = await supabase
+      .from('staffing_requirements')
+      .delete()
+      .eq('user_id', accountId)
+      .eq('id', deleteDialog.requirement.id)
+
+    if (error) {
+      console.error('必要人数削除エラー:', error)
+      toast.error('削除に失敗しました')
+      return
+    }
+    toast.success('削除しました')
+    fetchRequirements()
+  }
+
+  return (
+    <div className="min-h-screen p-8 bg-gray-50">
+      <div className="max-w-6xl mx-auto">
+        {/* ヘッダー */}
+        <div className="mb-6">
+          <Link href="/shifts" className="text-blue-600 hover:underline mb-4 inline-block">
+            ← シフト生成に戻る
+          </Link>
+          <h1 className="text-3xl font-bold">
+            時間帯別の必要人数
+            <span className="ml-3 text-lg font-normal text-gray-500">{currentStore?.name}</span>
+          </h1>
+          <p className="text-sm text-gray-600 mt-2">
+            設定した曜日は、1日の最低・最大人数の代わりに、各時間帯の必要人数を満たすようにシフトパターンを選びます。
+            満たせなかった時間帯は生成結果に表示されます。
+          </p>
+        </div>
+
+        {/* 登録フォーム */}
+        <div className="bg-white p-6 rounded-lg shadow mb-8">
+          <h2 className="text-xl font-semibold mb-4">必要人数の登録</h2>
+          <form onSubmit={handleSubmit}>
+            <div className="mb-4">
+              <label className="block text-sm font-medium mb-2">
+                曜日 <span className="text-red-500">*</span>
+              </label>
+              <div className="flex flex-wrap items-center gap-2">
+                {WEEK_DAYS.map((day, i) => (
+                  <button
+                    key={day}
+                    type="button"
+                    onClick={() => toggleDay(i)}
+                    className={`w-10 h-10 rounded border font-semibold transition ${
+                      formData.days.includes(i)
+                        ? 'bg-blue-600 border-blue-600 text-white'
+                        : 'bg-white border-gray-300 hover:bg-gray-50'
+                    }`}
+                  >
+                    {day}
+                  </button>
+                ))}
+                <span className="mx-2 text-gray-300">|</span>
+                {DAY_PRESETS.map(preset => (
+                  <button
+                    key={preset.label}
+                    type="button"
+                    onClick={() => setFormData(prev => ({ ...prev, days: preset.days }))}
+                    className="px-3 py-2 text-sm bg-gray-100 rounded hover:bg-gray-200"
+                  >
+                    {preset.label}
+                  </button>
+                ))}
+              </div>
+            </div>
+
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              <div>
+                <label className="block text-sm font-medium mb-1">開始時刻</label>
+                <input
+                  type="time"
+                  name="start_time"
+                  value={formData.start_time}
+                  onChange={handleInputChange}
+                  className="w-full border rounded px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium mb-1">終了時刻</label>
+                <input
+                  type="time"
+                  name="end_time"
+                  value={formData.end_time}
+                  onChange={handleInputChange}
+                  className="w-full border rounded px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium mb-1">必要人数</label>
+                <input
+                  type="number"
+                  name="required_staff"
+                  value={formData.required_staff}
+                  onChange={handleInputChange}
+                  className="w-full border rounded px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  min="1"
+                />
+              </div>
+            </div>
+
+            <button
+              type="submit"
+              className="mt-6 px-6 py-2 bg-blue-600 text-white rounded font-semibold hover:bg-blue-700"
+            >
+              登録
+            </button>
+          </form>
+        </div>
+
+        {/* 曜日別一覧 */}
+        <div className="bg-white p-6 rounded-lg shadow">
+          <h2 className="text-xl font-semibold mb-4">登録済みの必要人数</h2>
+          {isLoading ? (
+            <div className="flex items-center justify-center py-8">
+              <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+              <span className="ml-3 text-gray-500">読み込み中...</span>
+            </div>
+          ) : requirements.length === 0 ? (
+            <p className="text-gray-500 text-center py-8">
+              未設定です（全曜日で1日の最低・最大人数を使って生成します）
+            </p>
+          ) : (
+            <div className="grid grid-cols-1 md:grid-cols-7 gap-3">
+              {WEEK_DAYS.map((day, i) => {
+                const dayRequirements = requirements.filter(r => r.day_of_week === i)
+                return (
+                  <div key={day} className="border rounded p-2">
+                    <div className={`text-center font-semibold mb-2 ${
+                      i === 0 ? 'text-red-500' : i === 6 ? 'text-blue-500' : ''
+                    }`}>
+                      {day}
+                    </div>
+                    {dayRequirements.length === 0 ? (
+                      <p className="text-xs text-gray-400 text-center">最低・最大人数</p>
+                    ) : (
+                      <div className="space-y-1">
+                        {dayRequirements.map(r => (
+                          <div key={r.id} className="text-xs p-1 bg-blue-50 rounded flex justify-between items-center">
+                            <span>
+                              {r.start_time.slice(0, 5)}-{r.end_time.slice(0, 5)}
+                              <span className="ml-1 font-semibold">{r.required_staff}人</span>
+                            </span>
+                            <button
+                              onClick={() => setDeleteDialog({ open: true, requirement: r })}
+                              className="text-red-500 hover:text-red-700 ml-1"
+                              aria-label="削除"
+                            >
+                              ×
+                            </button>
+                          </div>
+                        ))}
+                      </div>
+                    )}
+                  </div>
+                )
+              })}
+            </div>
+          )}
+        </div>
+      </div>
+
+      <ConfirmDialog
+        open={deleteDialog.open}
+        onOpenChange={(open) => setDeleteDialog({ ...deleteDialog, open })}
+        onConfirm={confirmDelete}
+        title="必要人数の削除"
+        description={
+          deleteDialog.requirement
+            ? `${WEEK_DAYS[deleteDialog.requirement.day_of_week]}曜 ${deleteDialog.requirement.start_time.slice(0, 5)}-${deleteDialog.requirement.end_time.slice(0, 5)} の設定を削除しますか？`
+            : ''
+        }
+        confirmText="削除"
+        variant="danger"
+      />
+    </div>
+  )
+}
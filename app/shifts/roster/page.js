@@ -0,0 +1,459 @@
+// app/shifts/roster/page.js
+'use client'
+
+import { useState, useEffect } from 'react'
+import { supabase } from '@/lib/supabase'
+import { useAuth } from '@/contexts/AuthContext'
+import { useStore } from '@/contexts/StoreContext'
+import Link from 'next/link'
+import toast from 'react-hot-toast'
+import { getDateRange, getDayOfWeek, getShiftHours, crossesMidnight } from '@/lib/shiftEngine'
+import { SHIFT_STATUS, getShiftStatus } from '@/lib/shiftStatus'
+import { subscribeToTables } from '@/lib/realtime'
+import { canSeeWages, fetchStaffWages } from '@/lib/roles'
+import { EXPORT_FORMATS, downloadTable } from '@/lib/export'
+import { getMonthRange } from '@/lib/periods'
+
+const WEEK_DAYS = ['日', '月', '火', '水', '木', '金', '土']
+
+// 勤務表（スタッフ×日付）
+// 店舗に掲示する形式。A3横で印刷できる（選択中の店舗のシフトだけを載せる）
+export default function ShiftRosterPage() {
+  const { accountId, role } = useAuth()
+  const { currentStoreId, currentStore } = useStore()
+  // 人件費はオーナーだけに表示する
+  const showCost = canSeeWages(role)
+
+  const [shifts, setShifts] = useState([])
+  const [staffList, setStaffList] = useState([])
+  // 選択中の店舗に所属するスタッフ
+  const [storeStaffIds, setStoreStaffIds] = useState(new Set())
+  // スタッフの時給（{ staffId: 時給 }、オーナーのときだけ取得する）
+  const [wages, setWages] = useState({})
+  const [patterns, setPatterns] = useState([])
+  const [currentMonth, setCurrentMonth] = useState(new Date())
+  const [isLoading, setIsLoading] = useState(true)
+  // 書き出す形式（roster: 勤務表と同じスタッフ×日付、list: 1シフト1行）
+  const [exportLayout, setExportLayout] = useState('roster')
+  // 書き出す期間（month: 表示中の月、custom: 日付を指定、それ以外は希望シフトの提出期間のID）
+  const [exportPeriod, setExportPeriod] = useState('month')
+  const [exportRange, setExportRange] = useState({ startDate: '', endDate: '' })
+  const [collectionPeriods, setCollectionPeriods] = useState([])
+  const [isExporting, setIsExporting] = useState(false)
+
+  useEffect(() => {
+    if (!accountId || !currentStoreId) return
+    fetchData()
+
+    // ほかのブラウザでの変更を反映する（表示を保ったまま読み込み直す）
+    return subscribeToTables('roster', ['shifts', 'staff'], () => fetchData({ silent: true }))
+  }, [accountId, currentStoreId, currentMonth])
+
+  // 選択中の店舗の、期間のシフト
+  function fetchShifts(startDate, endDate) {
+    return supabase
+      .from('shifts')
+      .select('*')
+      .eq('user_id', accountId)
+      .eq('store_id', currentStoreId)
+      .gte('date', startDate)
+      .lte('date', endDate)
+      .order('start_time')
+  }
+
+  async function fetchData({ silent = false } = {}) {
+    try {
+      if (!silent) setIsLoading(true)
+      const { startDate, endDate } = getMonthRange(currentMonth)
+      const [shiftsResult, staffResult, storeStaffResult, patternsResult, periodsResult] = await Promise.all([
+        fetchShifts(startDate, endDate),
+        supabase.from('staff').select('*').eq('user_id', accountId).order('name'),
+        supabase.from('store_staff').select('staff_id').eq('user_id', accountId).eq('store_id', currentStoreId),
+        supabase.from('shift_patterns').select('*').eq('user_id', accountId),
+        supabase.from('collection_periods').select('id, start_date, end_date').eq('user_id', accountId).eq('store_id', currentStoreId).order('start_date', { ascending: false }),
+      ])
+
+      if (shiftsResult.error) throw shiftsResult.error
+      if (staffResult.error) throw staffResult.error
+      if (storeStaffResult.error) throw storeStaffResult.error
+      if (patternsResult.error) throw patternsResult.error
+      if (periodsResult.error) throw periodsResult.error
+
+      if (showCost) setWages(await fetchStaffWages(accountId))
+      setShifts(shiftsResult.data || [])
+      setStaffList(staffResult.data || [])
+      setStoreStaffIds(new Set((storeStaffResult.data || []).map(s => s.staff_id)))
+      setPatterns(patternsResult.data || [])
+      setCollectionPeriods(periodsResult.data || [])
+    } catch (err) {
+      console.error('データ取得エラー:', err)
+      toast.error('データの取得に失敗しました')
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  function changeMonth(delta) {
+    setCurrentMonth(prev => {
+      const newDate = new Date(prev)
+      newDate.setDate(1)
+      newDate.setMonth(newDate.getMonth() + delta)
+      return newDate
+    })
+  }
+
+  // セルの表示（パターン名、パターンがなければ時刻）
+  function formatCell(shift) {
+    const pattern = patterns.find(p => p.id === shift.pattern_id)
+    if (pattern) return pattern.name
+    return `${shift.start_time.slice(0, 5)}-${shift.end_time.slice(0, 5)}${crossesMidnight(shift.start_time, shift.end_time) ? '(翌)' : ''}`
+  }
+
+  const breakMinutesByPattern = Object.fromEntries(patterns.map(p => [p.id, p.break_minutes]))
+
+  // 期間のシフトを勤務表の形に集計する（画面の表示と書き出しで共通）
+  function summarizeShifts(targetShifts, targetDates) {
+    // スタッフ×日付のシフト（{ staffId: { date: [shift] } }）
+    const cells = {}
+    for (const shift of targetShifts) {
+      if (!cells[shift.staff_id]) cells[shift.staff_id] = {}
+      if (!cells[shift.staff_id][shift.date]) cells[shift.staff_id][shift.date] = []
+      cells[shift.staff_id][shift.date].push(shift)
+    }
+
+    // 行の合計（出勤日数・労働時間・人件費）
+    // 店舗に所属するスタッフと、店舗から外れたがこの期間にシフトがあるスタッフを載せる
+    const rows = staffList.filter(staff => storeStaffIds.has(staff.id) || cells[staff.id]).map(staff => {
+      const staffShifts = targetShifts.filter(s => s.staff_id === staff.id)
+      const hours = staffShifts.reduce((sum, s) => sum + getShiftHours(s, breakMinutesByPattern[s.pattern_id] || 0), 0)
+      return {
+        staff,
+        days: Object.keys(cells[staff.id] || {}).length,
+        hours,
+        cost: hours * (wages[staff.id] || 0),
+      }
+    })
+
+    // 列の合計（日ごとの出勤人数）
+    const headcounts = Object.fromEntries(targetDates.map(date => [
+      date,
+      new Set(targetShifts.filter(s => s.date === date).map(s => s.staff_id)).size,
+    ]))
+
+    return {
+      cells,
+      rows,
+      headcounts,
+      totalHours: rows.reduce((sum, r) => sum + r.hours, 0),
+      totalCost: rows.reduce((sum, r) => sum + r.cost, 0),
+      totalDays: rows.reduce((sum, r) => sum + r.days, 0),
+    }
+  }
+
+  const { startDate, endDate } = getMonthRange(currentMonth)
+  const dates = getDateRange(startDate, endDate)
+  const { cells, rows, headcounts, totalHours, totalCost, totalDays } = summarizeShifts(shifts, dates)
+
+  // 時間は小数第2位まで（Excelで合計しても画面の表示とずれないよう、丸めた値を書き出す）
+  function roundHours(hours) {
+    return Math.round(hours * 100) / 100
+  }
+
+  // 勤務表（スタッフ×日付）の形の表
+  function buildRosterTable(targetDates, summary) {
+    const header = [
+      'スタッフ',
+      ...targetDates.map(date => `${Number(date.slice(5, 7))}/${Number(date.slice(8))}(${WEEK_DAYS[getDayOfWeek(date)]})`),
+      '日数',
+      '時間',
+      ...(showCost ? ['人件費'] : []),
+    ]
+    const body = summary.rows.map(({ staff, days, hours, cost }) => [
+      staff.name,
+      ...targetDates.map(date => (summary.cells[staff.id]?.[date] || []).map(formatCell).join(' / ')),
+      days,
+      roundHours(hours),
+      ...(showCost ? [Math.round(cost)] : []),
+    ])
+    const footer = [
+      '人数',
+      ...targetDates.map(date => summary.headcounts[date]),
+      summary.totalDays,
+      roundHours(summary.totalHours),
+      ...(showCost ? [Math.round(summary.totalCost)] : []),
+    ]
+    return [header, ...body, footer]
+  }
+
+  // 1シフト1行の表（日付・スタッフ・開始時刻の順）
+  function buildListTable(targetShifts) {
+    const staffById = Object.fromEntries(staffList.map(s => [s.id, s]))
+    const header = [
+      '日付', '曜日', 'スタッフ', '店舗', 'パターン', '開始', '終了', '休憩（分）', '労働時間', '状態',
+      ...(showCost ? ['時給', '人件費'] : []),
+    ]
+    const body = [...targetShifts]
+      .sort((a, b) =>
+        a.date.localeCompare(b.date) ||
+        (staffById[a.staff_id]?.name || '').localeCompare(staffById[b.staff_id]?.name || '') ||
+        a.start_time.localeCompare(b.start_time)
+      )
+      .map(shift => {
+        const breakMinutes = breakMinutesByPattern[shift.pattern_id] || 0
+        const hours = getShiftHours(shift, breakMinutes)
+        const wage = wages[shift.staff_id] || 0
+        return [
+          shift.date,
+          WEEK_DAYS[getDayOfWeek(shift.date)],
+          staffById[shift.staff_id]?.name || '不明',
+          currentStore?.name || '',
+          patterns.find(p => p.id === shift.pattern_id)?.name || '',
+          shift.start_time.slice(0, 5),
+          `${shift.end_time.slice(0, 5)}${crossesMidnight(shift.start_time, shift.end_time) ? '(翌)' : ''}`,
+          breakMinutes,
+          roundHours(hours),
+          SHIFT_STATUS[getShiftStatus(shift)].label,
+          ...(showCost ? [wage, Math.round(hours * wage)] : []),
+        ]
+      })
+    return [header, ...body]
+  }
+
+  // 書き出す期間の初日と末日（日付を指定していなければnull）
+  function getExportRange() {
+    if (exportPeriod === 'month') return { startDate, endDate }
+    if (exportPeriod === 'custom') {
+      return exportRange.startDate && exportRange.endDate ? exportRange : null
+    }
+    const period = collectionPeriods.find(p => p.id === exportPeriod)
+    return period ? { startDate: period.start_date, endDate: period.end_date } : null
+  }
+
+  // 選んだ期間のシフトをCSV・Excelで書き出す
+  async function handleExport(format) {
+    const range = getExportRange()
+    if (!range) {
+      toast.error('書き出す期間を指定してください')
+      return
+    }
+    if (range.startDate > range.endDate) {
+      toast.error('開始日は終了日以前にしてください')
+      return
+    }
+
+    try {
+      setIsExporting(true)
+      // 表示中の月ならそのまま、それ以外の期間はその期間のシフトを取得する
+      let exportShifts = shifts
+      if (range.startDate !== startDate || range.endDate !== endDate) {
+        const { data, error } = await fetchShifts(range.startDate, range.endDate)
+        if (error) throw error
+        exportShifts = data || []
+      }
+
+      const label = exportPeriod === 'month' ? startDate.slice(0, 7) : `${range.startDate}_${range.endDate}`
+      const storeName = currentStore?.name || ''
+      if (exportLayout === 'roster') {
+        const exportDates = getDateRange(range.startDate, range.endDate)
+        const rosterRows = buildRosterTable(exportDates, summarizeShifts(exportShifts, exportDates))
+        downloadTable(format, `勤務表_${storeName}_${label}`, [{ name: '勤務表', rows: rosterRows }])
+      } else {
+        downloadTable(format, `シフト一覧_${storeName}_${label}`, [{ name: 'シフト一覧', rows: buildListTable(exportShifts) }])
+      }
+    } catch (err) {
+      console.error('書き出しエラー:', err)
+      toast.error('書き出しに失敗しました')
+    } finally {
+      setIsExporting(false)
+    }
+  }
+
+  return (
+    <div className="min-h-screen p-8 bg-gray-50 print:p-0 print:bg-white">
+      <div className="max-w-full mx-auto">
+        {/* ヘッダー */}
+        <div className="mb-6 flex justify-between items-center print:hidden">
+          <div>
+            <Link href="/shifts/calendar" className="text-blue-600 hover:underline mb-2 inline-block">
+              ← シフトカレンダーに戻る
+            </Link>
+            <h1 className="text-3xl font-bold">勤務表</h1>
+          </div>
+          <div className="flex flex-wrap items-center justify-end gap-2">
+            <select
+              value={exportPeriod}
+              onChange={(e) => setExportPeriod(e.target.value)}
+              className="border rounded px-3 py-2"
+              aria-label="書き出す期間"
+            >
+              <option value="month">表示中の月</option>
+              <option value="custom">期間を指定</option>
+              {collectionPeriods.map(period => (
+                <option key={period.id} value={period.id}>
+                  提出期間 {period.start_date} 〜 {period.end_date}
+                </option>
+              ))}
+            </select>
+            {exportPeriod === 'custom' && (
+              <>
+                <input
+                  type="date"
+                  value={exportRange.startDate}
+                  onChange={(e) => setExportRange(prev => ({ ...prev, startDate: e.target.value }))}
+                  className="border rounded px-3 py-2"
+                  aria-label="書き出す期間の開始日"
+                />
+                <span>〜</span>
+                <input
+                  type="date"
+                  value={exportRange.endDate}
+                  onChange={(e) => setExportRange(prev => ({ ...prev, endDate: e.target.value }))}
+                  className="border rounded px-3 py-2"
+                  aria-label="書き出す期間の終了日"
+                />
+              </>
+            )}
+            <select
+              value={exportLayout}
+              onChange={(e) => setExportLayout(e.target.value)}
+              className="border rounded px-3 py-2"
+              aria-label="書き出す形式"
+            >
+              <option value="roster">勤務表（スタッフ×日付）</option>
+              <option value="list">一覧（1シフト1行）</option>
+            </select>
+            {Object.entries(EXPORT_FORMATS).map(([format, { label }]) => (
+              <button
+                key={format}
+                onClick={() => handleExport(format)}
+                disabled={isLoading || isExporting}
+                className="px-4 py-2 bg-white border border-green-600 text-green-700 rounded hover:bg-green-50 disabled:opacity-50"
+              >
+                📥 {label}
+              </button>
+            ))}
+            <button
+              onClick={() => window.print()}
+              className="px-4 py-2 bg-green-600 text-white rounded hover:bg-green-700"
+            >
+              🖨️ 印刷（A3横）
+            </button>
+          </div>
+        </div>
+
+        {/* 月切り替え */}
+        <div className="flex justify-center items-center gap-4 mb-6 print:mb-2">
+          <button
+            onClick={() => changeMonth(-1)}
+            className="px-4 py-2 bg-gray-200 rounded hover:bg-gray-300 print:hidden"
+          >
+            ← 前月
+          </button>
+          <h2 className="text-2xl font-semibold print:text-xl">
+            {currentStore?.name} 勤務表 {currentMonth.getFullYear()}年 {currentMonth.getMonth() + 1}月
+          </h2>
+          <button
+            onClick={() => changeMonth(1)}
+            className="px-4 py-2 bg-gray-200 rounded hover:bg-gray-300 print:hidden"
+          >
+            翌月 →
+          </button>
+        </div>
+
+        {isLoading ? (
+          <div className="flex items-center justify-center py-12">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+            <span className="ml-3 text-gray-500">読み込み中...</span>
+          </div>
+        ) : (
+          <div className="bg-white rounded-lg shadow overflow-x-auto print:shadow-none print:overflow-visible">
+            <table className="roster-table w-full text-xs border-collapse">
+              <thead>
+                <tr className="bg-gray-100">
+                  <th className="border px-2 py-1 text-left sticky left-0 bg-gray-100 min-w-[6rem]">スタッフ</th>
+                  {dates.map(date => {
+                    const dayOfWeek = getDayOfWeek(date)
+                    return (
+                      <th
+                        key={date}
+                        className={`border px-1 py-1 min-w-[3rem] ${
+                          dayOfWeek === 0 ? 'text-red-500' : dayOfWeek === 6 ? 'text-blue-500' : ''
+                        }`}
+                      >
+                        <div>{Number(date.slice(8))}</div>
+                        <div className="font-normal">{WEEK_DAYS[dayOfWeek]}</div>
+                      </th>
+                    )
+                  })}
+                  <th className="border px-2 py-1">日数</th>
+                  <th className="border px-2 py-1">時間</th>
+                  {showCost && <th className="border px-2 py-1">人件費</th>}
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map(({ staff, days, hours, cost }) => (
+                  <tr key={staff.id}>
+                    <td className="border px-2 py-1 font-semibold whitespace-nowrap sticky left-0 bg-white">{staff.name}</td>
+                    {dates.map(date => {
+                      const dayShifts = cells[staff.id]?.[date] || []
+                      const pattern = dayShifts.length === 1 ? patterns.find(p => p.id === dayShifts[0].pattern_id) : null
+                      return (
+                        <td
+                          key={date}
+                          className="border px-1 py-1 text-center whitespace-nowrap"
+                          style={pattern ? { backgroundColor: `${pattern.color}33` } : undefined}
+                        >
+                          {dayShifts.map(shift => (
+                            <div
+                              key={shift.id}
+                              className={getShiftStatus(shift) === 'draft' ? 'text-gray-400 print:text-inherit' : ''}
+                            >
+                              {formatCell(shift)}
+                            </div>
+                          ))}
+                        </td>
+                      )
+                    })}
+                    <td className="border px-2 py-1 text-right">{days}日</td>
+                    <td className="border px-2 py-1 text-right">{hours.toFixed(1)}</td>
+                    {showCost && (
+                      <td className="border px-2 py-1 text-right whitespace-nowrap">¥{Math.round(cost).toLocaleString()}</td>
+                    )}
+                  </tr>
+                ))}
+              </tbody>
+              <tfoot>
+                <tr className="bg-gray-100 font-semibold">
+                  <td className="border px-2 py-1 sticky left-0 bg-gray-100">人数</td>
+                  {dates.map(date => (
+                    <td key={date} className="border px-1 py-1 text-center">{headcounts[date]}</td>
+                  ))}
+                  <td className="border px-2 py-1 text-right">{totalDays}日</td>
+                  <td className="border px-2 py-1 text-right">{totalHours.toFixed(1)}</td>
+                  {showCost && (
+                    <td className="border px-2 py-1 text-right whitespace-nowrap">¥{Math.round(totalCost).toLocaleString()}</td>
+                  )}
+                </tr>
+              </tfoot>
+            </table>
+          </div>
+        )}
+
+        <p className="text-xs text-gray-500 mt-2 print:hidden">
+          灰色の文字は下書き（未公開）のシフトです。時間は休憩を除いた労働時間です。CSV・Excelには選んだ期間（表示中の月・指定した期間・希望シフトの提出期間）のシフトを下書きも含めて書き出します。
+        </p>
+      </div>
+
+      {/* 印刷用スタイル（A3横に1枚で収める） */}
+      <style jsx global>{`
+        @media print {
+          @page { size: A3 landscape; margin: 8mm; }
+          body { -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+          .print\\:hidden { display: none !important; }
+          .roster-table { font-size: 8pt; }
+          .roster-table th, .roster-table td { padding: 1px 2px; min-width: 0; position: static; }
+        }
+      `}</style>
+    </div>
+  )
+}
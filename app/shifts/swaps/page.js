@@ -0,0 +1,282 @@
+// app/shifts/swaps/page.js
+'use client'
+
+import { useState, useEffect } from 'react'
+import { supabase } from '@/lib/supabase'
+import { useAuth } from '@/contexts/AuthContext'
+import { useStore } from '@/contexts/StoreContext'
+import Link from 'next/link'
+import toast from 'react-hot-toast'
+import { SWAP_STATUS, getSwapCheckRange, findSwapViolations } from '@/lib/shiftSwap'
+import { getStoreConstraints } from '@/lib/shiftRules'
+
+// シフトの表示（日付と時間）
+function formatShift(shift) {
+  if (!shift) return '-'
+  return `${shift.date} ${shift.start_time.slice(0, 5)}-${shift.end_time.slice(0, 5)}`
+}
+
+export default function ShiftSwapApprovalPage() {
+  const { accountId } = useAuth()
+  // 交代するシフトの店舗の設定（週の始まりなど）で制約を確認する
+  const { stores } = useStore()
+
+  const [swaps, setSwaps] = useState([])
+  const [staffList, setStaffList] = useState([])
+  const [patterns, setPatterns] = useState([])
+  const [logs, setLogs] = useState([])
+  // 承認待ちの申請ごとの制約違反（{ swapId: ['...'] }）
+  const [violationsBySwap, setViolationsBySwap] = useState({})
+  const [isLoading, setIsLoading] = useState(true)
+
+  useEffect(() => {
+    if (accountId) fetchData()
+  }, [accountId, stores])
+
+  async function fetchData() {
+    try {
+      setIsLoading(true)
+      const [swapsResult, staffResult, patternsResult, logsResult] = await Promise.all([
+        supabase
+          .from('shift_swaps')
+          .select('*, shift:shift_id(*), counter_shift:counter_shift_id(*), requester:requester_id(name), responder:responder_id(name)')
+          .eq('user_id', accountId)
+          .in('status', ['offered', 'accepted'])
+          .order('created_at'),
+        supabase.from('staff').select('*').eq('user_id', accountId).order('name'),
+        supabase.from('shift_patterns').select('*').eq('user_id', accountId),
+        supabase
+          .from('shift_change_logs')
+          .select('*, from_staff:from_staff_id(name), to_staff:to_staff_id(name)')
+          .eq('user_id', accountId)
+          .order('created_at', { ascending: false })
+          .limit(30),
+      ])
+
+      if (swapsResult.error) throw swapsResult.error
+      if (staffResult.error) throw staffResult.error
+      if (patternsResult.error) throw patternsResult.error
+      if (logsResult.error) throw logsResult.error
+
+      setSwaps(swapsResult.data || [])
+      setStaffList(staffResult.data || [])
+      setPatterns(patternsResult.data || [])
+      setLogs(logsResult.data || [])
+
+      const violations = {}
+      for (const swap of (swapsResult.data || []).filter(s => s.status === 'accepted')) {
+        violations[swap.id] = await checkSwap(swap, staffResult.data || [], patternsResult.data || [])
+      }
+      setViolationsBySwap(violations)
+    } catch (err) {
+      console.error('交代申請取得エラー:', err)
+      toast.error('データの取得に失敗しました')
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  // 交代した場合の制約違反を確認
+  // 週の労働時間・勤務日数・連続勤務は、自動生成と同じ条件で判定する
+  async function checkSwap(swap, staff, patternList) {
+    const requester = staff.find(s => s.id === swap.requester_id)
+    const responder = staff.find(s => s.id === swap.responder_id)
+    if (!requester || !responder || !swap.shift) return ['スタッフまたはシフトが見つかりません']
+
+    // 承認時にサーバー（approve_shift_swap）で確かめるのと同じく、シフトの店舗の設定で判定する
+    const constraints = getStoreConstraints(stores.find(s => s.id === swap.shift.store_id))
+    const { startDate, endDate } = getSwapCheckRange(swap.shift, swap.counter_shift, constraints)
+    const { data, error } = await supabase
+      .from('shifts')
+      .select('id, staff_id, date, start_time, end_time, pattern_id')
+      .eq('user_id', accountId)
+      .in('staff_id', [requester.id, responder.id])
+      .gte('date', startDate)
+      .lte('date', endDate)
+
+    if (error) throw error
+
+    return findSwapViolations(
+      { requester, responder, shift: swap.shift, counterShift: swap.counter_shift },
+      data || [],
+      { patterns: patternList, constraints }
+    )
+  }
+
+  async function handleApprove(swap) {
+    try {
+      // 一覧を開いてからシフトが変わっている場合もあるため、承認の直前にもう一度確認する
+      const violations = await checkSwap(swap, staffList, patterns)
+      if (violations.length > 0) {
+        setViolationsBySwap(prev => ({ ...prev, [swap.id]: violations }))
+        toast.error('制約を満たさないため承認できません')
+        return
+      }
+
+      const { error } = await supabase.rpc('approve_shift_swap', { p_swap_id: swap.id })
+      if (error) throw error
+
+      toast.success('交代を承認し、シフトに反映しました')
+      fetchData()
+    } catch (err) {
+      console.error('交代承認エラー:', err)
+      toast.error(err.message || '承認に失敗しました')
+    }
+  }
+
+  async function handleReject(swap) {
+    if (!confirm('この交代申請を却下しますか？')) return
+
+    const { error } = await supabase
+      .from('shift_swaps')
+      .update({ status: 'rejected', decided_at: new Date().toISOString() })
+      .eq('user_id', accountId)
+      .eq('id', swap.id)
+
+    if (error) {
+      console.error('交代却下エラー:', error)
+      toast.error('却下に失敗しました')
+      return
+    }
+    toast.success('却下しました')
+    fetchData()
+  }
+
+  const pendingSwaps = swaps.filter(s => s.status === 'accepted')
+  const offeredSwaps = swaps.filter(s => s.status === 'offered')
+
+  return (
+    <div className="min-h-screen p-8 bg-gray-50">
+      <div className="max-w-6xl mx-auto">
+        {/* ヘッダー */}
+        <div className="mb-6">
+          <Link href="/shifts/calendar" className="text-blue-600 hover:underline mb-4 inline-block">
+            ← シフトカレンダーに戻る
+          </Link>
+          <h1 className="text-3xl font-bold">シフト交代の承認</h1>
+          <p className="text-sm text-gray-600 mt-2">
+            スタッフは「シフト交代」画面から交代を募集・引き受けできます。承認すると担当スタッフが入れ替わり、変更履歴に記録されます。
+          </p>
+        </div>
+
+        {isLoading ? (
+          <div className="flex items-center justify-center py-12">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+            <span className="ml-3 text-gray-500">読み込み中...</span>
+          </div>
+        ) : (
+          <>
+            {/* 承認待ち */}
+            <div className="bg-white p-6 rounded-lg shadow mb-8">
+              <h2 className="text-xl font-semibold mb-4">承認待ち（{pendingSwaps.length}件）</h2>
+              {pendingSwaps.length === 0 ? (
+                <p className="text-gray-500 text-center py-6">承認待ちの交代申請はありません</p>
+              ) : (
+                <div className="space-y-4">
+                  {pendingSwaps.map(swap => {
+                    const violations = violationsBySwap[swap.id] || []
+                    return (
+                      <div key={swap.id} className="border rounded p-4">
+                        <div className="flex flex-wrap justify-between items-start gap-4">
+                          <div>
+                            <div className="font-semibold">
+                              {formatShift(swap.shift)}：{swap.requester?.name} → {swap.responder?.name}
+                            </div>
+                            {swap.counter_shift && (
+                              <div className="text-sm text-gray-700">
+                                交換：{formatShift(swap.counter_shift)}：{swap.responder?.name} → {swap.requester?.name}
+                              </div>
+                            )}
+                            {swap.note && <div className="text-sm text-gray-500 mt-1">{swap.note}</div>}
+                          </div>
+                          <div className="flex gap-2">
+                            <button
+                              onClick={() => handleReject(swap)}
+                              className="px-4 py-2 bg-gray-200 rounded hover:bg-gray-300"
+                            >
+                              却下
+                            </button>
+                            <button
+                              onClick={() => handleApprove(swap)}
+                              disabled={violations.length > 0}
+                              className="px-4 py-2 bg-blue-600 text-white rounded hover:bg-blue-700 disabled:bg-gray-400 disabled:cursor-not-allowed"
+                            >
+                              承認
+                            </button>
+                          </div>
+                        </div>
+                        {violations.length > 0 && (
+                          <ul className="mt-3 bg-red-50 border border-red-200 text-red-800 px-4 py-2 rounded text-sm list-disc list-inside">
+                            {violations.map(v => <li key={v}>{v}</li>)}
+                          </ul>
+                        )}
+                      </div>
+                    )
+                  })}
+                </div>
+              )}
+            </div>
+
+            {/* 募集中 */}
+            <div className="bg-white p-6 rounded-lg shadow mb-8">
+              <h2 className="text-xl font-semibold mb-4">引き受け手を募集中（{offeredSwaps.length}件）</h2>
+              {offeredSwaps.length === 0 ? (
+                <p className="text-gray-500 text-center py-6">募集中の交代はありません</p>
+              ) : (
+                <ul className="divide-y text-sm">
+                  {offeredSwaps.map(swap => (
+                    <li key={swap.id} className="py-2 flex justify-between items-center">
+                      <span>
+                        <span className={`px-2 py-0.5 mr-2 text-xs rounded ${SWAP_STATUS[swap.status].className}`}>
+                          {SWAP_STATUS[swap.status].label}
+                        </span>
+                        {formatShift(swap.shift)}（{swap.requester?.name}）
+                      </span>
+                      <button
+                        onClick={() => handleReject(swap)}
+                        className="text-red-600 hover:text-red-700 font-medium"
+                      >
+                        却下
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+
+            {/* 変更履歴 */}
+            <div className="bg-white p-6 rounded-lg shadow">
+              <h2 className="text-xl font-semibold mb-4">変更履歴</h2>
+              {logs.length === 0 ? (
+                <p className="text-gray-500 text-center py-6">履歴はありません</p>
+              ) : (
+                <table className="w-full text-sm">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-4 py-2 text-left font-semibold">日時</th>
+                      <th className="px-4 py-2 text-left font-semibold">シフト</th>
+                      <th className="px-4 py-2 text-left font-semibold">変更</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {logs.map(log => (
+                      <tr key={log.id} className="border-t">
+                        <td className="px-4 py-2">{new Date(log.created_at).toLocaleString('ja-JP')}</td>
+                        <td className="px-4 py-2">{formatShift(log)}</td>
+                        <td className="px-4 py-2">
+                          {log.from_staff?.name || '不明'} → {log.to_staff?.name || '不明'}
+                          {log.source === 'swap' && '（交代）'}
+                          {log.source === 'manual' && '（カレンダーで変更）'}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  )
+}
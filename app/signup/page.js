@@ -39,7 +39,8 @@ export default function SignUpPage() {
     try {
       await signUp(email, password)
       toast.success('登録しました！')
-      router.push('/login')
+      // 招待リンクなどから来た場合は、ログイン後に戻る画面（redirect）を引き継ぐ
+      router.push(`/login${window.location.search}`)
     } catch (err) {
       console.error('登録失敗:', err)
       if (err.message.includes('already registered')) {
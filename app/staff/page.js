@@ -4,22 +4,34 @@
 import { useState, useEffect } from 'react'
 import { supabase } from '@/lib/supabase'
 import { useAuth } from '@/contexts/AuthContext'
+import { useStore } from '@/contexts/StoreContext'
 import Link from 'next/link'
 import toast from 'react-hot-toast'
 import { ConfirmDialog } from '@/components/ConfirmDialog'
+import { AvailabilityEditor } from '@/components/AvailabilityEditor'
+import { ROLES, fetchStaffWages } from '@/lib/roles'
 
 export default function StaffPage() {
-  const { user } = useAuth()
+  const { accountId, role } = useAuth()
+  // スタッフの登録・削除・時給・招待はオーナーだけ（マネージャーは一覧と勤務可能時間のみ）
+  const isOwner = role === 'owner'
+  // 登録したスタッフは選択中の店舗に所属させる
+  const { currentStoreId, currentStore } = useStore()
   
   const [staffList, setStaffList] = useState([])
+  // 参加しているアカウント（staff_id で連携しているスタッフと、マネージャー）
+  const [members, setMembers] = useState([])
+  // 発行した招待リンク（{ url, label }）
+  const [invitation, setInvitation] = useState(null)
   const [isLoading, setIsLoading] = useState(true)
   const [formData, setFormData] = useState({ name: '', hourly_wage: '', max_hours_per_week: '40' })
   const [errorMessage, setErrorMessage] = useState('')
   const [deleteDialog, setDeleteDialog] = useState({ open: false, staffId: null, staffName: '' })
+  const [availabilityStaff, setAvailabilityStaff] = useState(null)
 
   useEffect(() => {
-    if (user) fetchStaffList()
-  }, [user])
+    if (accountId) fetchStaffList()
+  }, [accountId])
 
   async function fetchStaffList() {
     try {
@@ -29,7 +41,7 @@ export default function StaffPage() {
       const { data, error } = await supabase
         .from('staff')
         .select('*')
-        .eq('user_id', user.id)
+        .eq('user_id', accountId)
         .order('created_at', { ascending: false })
       
       if (error) {
@@ -39,7 +51,17 @@ export default function StaffPage() {
         return
       }
       
-      setStaffList(data || [])
+      if (isOwner) {
+        const [wages, membersResult] = await Promise.all([
+          fetchStaffWages(accountId),
+          supabase.from('members').select('*').eq('user_id', accountId),
+        ])
+        if (membersResult.error) throw membersResult.error
+        setStaffList((data || []).map(staff => ({ ...staff, hourly_wage: wages[staff.id] ?? null })))
+        setMembers(membersResult.data || [])
+      } else {
+        setStaffList(data || [])
+      }
     } catch (err) {
       console.error('なんかエラー出た:', err)
       toast.error('エラーが発生しました')
@@ -68,12 +90,14 @@ export default function StaffPage() {
     }
     
     try {
-      const { error } = await supabase.from('staff').insert([{
-        user_id: user.id,
-        name: formData.name,
-        hourly_wage: parseInt(formData.hourly_wage),
-        max_hours_per_week: parseInt(formData.max_hours_per_week),
-      }])
+      // スタッフ・時給（オーナーだけが見られる別のテーブル）・選択中の店舗への所属をまとめて登録する
+      // ほかの店舗への所属は店舗管理の画面で追加する
+      const { error } = await supabase.rpc('create_staff', {
+        p_name: formData.name,
+        p_max_hours_per_week: parseInt(formData.max_hours_per_week),
+        p_hourly_wage: parseInt(formData.hourly_wage),
+        p_store_id: currentStoreId,
+      })
       
       if (error) {
         console.error('登録失敗...', error)
@@ -96,7 +120,7 @@ export default function StaffPage() {
   
   async function confirmDelete() {
     try {
-      const { error } = await supabase.from('staff').delete().eq('id', deleteDialog.staffId)
+      const { error } = await supabase.from('staff').delete().eq('user_id', accountId).eq('id', deleteDialog.staffId)
       if (error) {
         console.error('削除できなかった:', error)
         toast.error('削除に失敗しました')
@@ -110,6 +134,39 @@ export default function StaffPage() {
     }
   }
 
+  // 招待リンクを発行（スタッフの招待はそのスタッフと連携し、staff を省くとマネージャーの招待）
+  async function handleInvite(staff = null) {
+    try {
+      const { data, error } = await supabase.from('invitations').insert([{
+        user_id: accountId,
+        role: staff ? 'staff' : 'manager',
+        staff_id: staff ? staff.id : null,
+      }]).select().single()
+      
+      if (error) throw error
+      
+      setInvitation({
+        url: `${window.location.origin}/invite?code=${data.code}`,
+        label: staff ? `${staff.name} さん（スタッフ）` : 'マネージャー',
+      })
+    } catch (err) {
+      console.error('招待の発行エラー:', err)
+      toast.error('招待リンクを発行できませんでした')
+    }
+  }
+
+  async function copyInvitation() {
+    try {
+      await navigator.clipboard.writeText(invitation.url)
+      toast.success('招待リンクをコピーしました')
+    } catch (err) {
+      console.error('コピー失敗:', err)
+      toast.error('コピーできませんでした。リンクを選択してコピーしてください')
+    }
+  }
+
+  const managerCount = members.filter(m => m.role === 'manager').length
+
   return (
     <div className='min-h-screen p-8 bg-gray-50'>
       <div className='max-w-6xl mx-auto'>
@@ -125,28 +182,56 @@ export default function StaffPage() {
           </div>
         )}
 
-        <div className='bg-white p-6 rounded-lg shadow-sm border border-gray-200 mb-8'>
-          <h2 className='text-xl font-semibold mb-4'>スタッフ登録</h2>
-          <form onSubmit={handleSubmit} className='space-y-4'>
-            <div>
-              <label className='block text-sm font-medium mb-1'>名前 <span className='text-red-500'>*</span></label>
-              <input type='text' name='name' value={formData.name} onChange={handleInputChange}
-                className='w-full border border-gray-300 rounded px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-shadow' placeholder='山田太郎' />
-            </div>
-            <div>
-              <label className='block text-sm font-medium mb-1'>時給（円） <span className='text-red-500'>*</span></label>
-              <input type='number' name='hourly_wage' value={formData.hourly_wage} onChange={handleInputChange}
-                className='w-full border border-gray-300 rounded px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-shadow' placeholder='1000' min='1' />
+        {isOwner && invitation && (
+          <div className='bg-blue-50 border border-blue-200 px-4 py-3 rounded mb-4'>
+            <p className='font-semibold text-blue-900'>{invitation.label}の招待リンク（7日間有効・1回だけ使えます）</p>
+            <div className='flex gap-2 mt-2'>
+              <input type='text' readOnly value={invitation.url} onFocus={(e) => e.target.select()}
+                className='flex-1 border border-gray-300 rounded px-3 py-2 text-sm bg-white' />
+              <button onClick={copyInvitation} className='px-4 py-2 bg-blue-600 text-white rounded hover:bg-blue-700 transition-colors'>コピー</button>
+              <button onClick={() => setInvitation(null)} className='px-4 py-2 text-gray-600 hover:text-gray-800 transition-colors'>閉じる</button>
             </div>
+            <p className='text-xs text-blue-800 mt-2'>リンクを開いてログイン（未登録なら新規登録）すると、このアカウントに参加します。</p>
+          </div>
+        )}
+
+        {isOwner && (
+          <div className='bg-white p-6 rounded-lg shadow-sm border border-gray-200 mb-8'>
+            <h2 className='text-xl font-semibold mb-4'>スタッフ登録</h2>
+            <form onSubmit={handleSubmit} className='space-y-4'>
+              <div>
+                <label className='block text-sm font-medium mb-1'>名前 <span className='text-red-500'>*</span></label>
+                <input type='text' name='name' value={formData.name} onChange={handleInputChange}
+                  className='w-full border border-gray-300 rounded px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-shadow' placeholder='山田太郎' />
+              </div>
+              <div>
+                <label className='block text-sm font-medium mb-1'>時給（円） <span className='text-red-500'>*</span></label>
+                <input type='number' name='hourly_wage' value={formData.hourly_wage} onChange={handleInputChange}
+                  className='w-full border border-gray-300 rounded px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-shadow' placeholder='1000' min='1' />
+              </div>
+              <div>
+                <label className='block text-sm font-medium mb-1'>週の最大労働時間 <span className='text-red-500'>*</span></label>
+                <input type='number' name='max_hours_per_week' value={formData.max_hours_per_week} onChange={handleInputChange}
+                  className='w-full border border-gray-300 rounded px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-shadow' placeholder='40' min='1' />
+                <p className='text-xs text-gray-500 mt-1'>労働基準法だと週40時間が上限（例外あり）</p>
+              </div>
+              {currentStore && (
+                <p className='text-xs text-gray-500'>{currentStore.name}に所属します。ほかの店舗にも入る場合は<Link href='/stores' className='text-blue-600 hover:underline'>店舗管理</Link>で追加してください</p>
+              )}
+              <button type='submit' className='bg-blue-600 text-white px-6 py-2 rounded font-semibold transition-all duration-200 hover:bg-blue-700 hover:shadow-md'>登録</button>
+            </form>
+          </div>
+        )}
+
+        {isOwner && (
+          <div className='bg-white p-6 rounded-lg shadow-sm border border-gray-200 mb-8 flex items-center justify-between'>
             <div>
-              <label className='block text-sm font-medium mb-1'>週の最大労働時間 <span className='text-red-500'>*</span></label>
-              <input type='number' name='max_hours_per_week' value={formData.max_hours_per_week} onChange={handleInputChange}
-                className='w-full border border-gray-300 rounded px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-shadow' placeholder='40' min='1' />
-              <p className='text-xs text-gray-500 mt-1'>労働基準法だと週40時間が上限（例外あり）</p>
+              <h2 className='text-xl font-semibold'>マネージャー</h2>
+              <p className='text-sm text-gray-500'>シフトの作成・編集ができます（時給・人件費は見られません）。参加中: {managerCount}人</p>
             </div>
-            <button type='submit' className='bg-blue-600 text-white px-6 py-2 rounded font-semibold transition-all duration-200 hover:bg-blue-700 hover:shadow-md'>登録</button>
-          </form>
-        </div>
+            <button onClick={() => handleInvite()} className='px-4 py-2 border border-blue-600 text-blue-600 rounded hover:bg-blue-50 transition-colors'>マネージャーを招待</button>
+          </div>
+        )}
 
         <div className='bg-white p-6 rounded-lg shadow-sm border border-gray-200'>
           <h2 className='text-xl font-semibold mb-4'>スタッフ一覧</h2>
@@ -163,8 +248,9 @@ export default function StaffPage() {
                 <thead className='bg-gray-50'>
                   <tr>
                     <th className='px-4 py-3 text-left font-semibold'>名前</th>
-                    <th className='px-4 py-3 text-left font-semibold'>時給</th>
+                    {isOwner && <th className='px-4 py-3 text-left font-semibold'>時給</th>}
                     <th className='px-4 py-3 text-left font-semibold'>週の上限</th>
+                    {isOwner && <th className='px-4 py-3 text-left font-semibold'>ログイン</th>}
                     <th className='px-4 py-3 text-left font-semibold'>操作</th>
                   </tr>
                 </thead>
@@ -172,10 +258,24 @@ export default function StaffPage() {
                   {staffList.map((staff) => (
                     <tr key={staff.id} className='border-t hover:bg-gray-50 transition-colors'>
                       <td className='px-4 py-3'>{staff.name}</td>
-                      <td className='px-4 py-3'>{staff.hourly_wage.toLocaleString()}円</td>
+                      {isOwner && (
+                        <td className='px-4 py-3'>{staff.hourly_wage != null ? `${staff.hourly_wage.toLocaleString()}円` : '未設定'}</td>
+                      )}
                       <td className='px-4 py-3'>{staff.max_hours_per_week || 40}時間</td>
-                      <td className='px-4 py-3'>
-                        <button onClick={() => handleDeleteClick(staff.id, staff.name)} className='text-red-600 hover:text-red-700 font-medium transition-colors'>削除</button>
+                      {isOwner && (
+                        <td className='px-4 py-3'>
+                          {members.some(m => m.staff_id === staff.id) ? (
+                            <span className={`px-2 py-0.5 rounded text-xs ${ROLES.staff.className}`}>連携済み</span>
+                          ) : (
+                            <button onClick={() => handleInvite(staff)} className='text-blue-600 hover:text-blue-700 font-medium transition-colors'>招待</button>
+                          )}
+                        </td>
+                      )}
+                      <td className='px-4 py-3 space-x-4'>
+                        <button onClick={() => setAvailabilityStaff(staff)} className='text-blue-600 hover:text-blue-700 font-medium transition-colors'>勤務可能時間</button>
+                        {isOwner && (
+                          <button onClick={() => handleDeleteClick(staff.id, staff.name)} className='text-red-600 hover:text-red-700 font-medium transition-colors'>削除</button>
+                        )}
                       </td>
                     </tr>
                   ))}
@@ -194,6 +294,12 @@ export default function StaffPage() {
         description={`${deleteDialog.staffName} を削除しますか？この操作は取り消せません。`}
         confirmText='削除' cancelText='キャンセル' variant='danger'
       />
+
+      <AvailabilityEditor
+        staff={availabilityStaff}
+        open={availabilityStaff !== null}
+        onOpenChange={(open) => { if (!open) setAvailabilityStaff(null) }}
+      />
     </div>
   )
 }
@@ -0,0 +1,324 @@
+// app/stores/page.js
+'use client'
+
+import { useState, useEffect } from 'react'
+import { supabase } from '@/lib/supabase'
+import { useAuth } from '@/contexts/AuthContext'
+import { useStore } from '@/contexts/StoreContext'
+import Link from 'next/link'
+import toast from 'react-hot-toast'
+import { ConfirmDialog } from '@/components/ConfirmDialog'
+
+const EMPTY_FORM = { name: '', open_time: '09:00', close_time: '22:00', week_start_day: 1, max_consecutive_days: 3, max_days_per_week: 5 }
+
+const WEEK_DAYS = ['日', '月', '火', '水', '木', '金', '土']
+
+// 店舗の登録と、スタッフがどの店舗に入るかの設定
+// 店舗の登録・変更はオーナーだけ（マネージャーは一覧のみ）
+export default function StoresPage() {
+  const { accountId, role } = useAuth()
+  const { stores, refreshStores } = useStore()
+  const isOwner = role === 'owner'
+
+  const [staffList, setStaffList] = useState([])
+  // 所属（`${storeId}_${staffId}` の集合）
+  const [memberships, setMemberships] = useState(new Set())
+  const [isLoading, setIsLoading] = useState(true)
+  const [formData, setFormData] = useState(EMPTY_FORM)
+  // 編集中の店舗ID（nullなら新規登録）
+  const [editingId, setEditingId] = useState(null)
+  const [deleteDialog, setDeleteDialog] = useState({ open: false, storeId: null, storeName: '' })
+
+  useEffect(() => {
+    if (accountId) fetchMemberships()
+  }, [accountId])
+
+  async function fetchMemberships() {
+    try {
+      setIsLoading(true)
+      const [staffResult, storeStaffResult] = await Promise.all([
+        supabase.from('staff').select('id, name').eq('user_id', accountId).order('name'),
+        supabase.from('store_staff').select('store_id, staff_id').eq('user_id', accountId),
+      ])
+
+      if (staffResult.error) throw staffResult.error
+      if (storeStaffResult.error) throw storeStaffResult.error
+
+      setStaffList(staffResult.data || [])
+      setMemberships(new Set((storeStaffResult.data || []).map(m => `${m.store_id}_${m.staff_id}`)))
+    } catch (err) {
+      console.error('所属の取得エラー:', err)
+      toast.error('データの取得に失敗しました')
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  function handleInputChange(e) {
+    const { name, value } = e.target
+    // 週の始まり・上限は数値で持つ
+    setFormData(prev => ({ ...prev, [name]: typeof EMPTY_FORM[name] === 'number' ? parseInt(value) : value }))
+  }
+
+  function handleEdit(store) {
+    setEditingId(store.id)
+    setFormData({
+      name: store.name,
+      open_time: store.open_time.slice(0, 5),
+      close_time: store.close_time.slice(0, 5),
+      week_start_day: store.week_start_day,
+      max_consecutive_days: store.max_consecutive_days,
+      max_days_per_week: store.max_days_per_week,
+    })
+  }
+
+  function handleCancelEdit() {
+    setEditingId(null)
+    setFormData(EMPTY_FORM)
+  }
+
+  async function handleSubmit(e) {
+    e.preventDefault()
+
+    if (!formData.name || !formData.open_time || !formData.close_time) {
+      toast.error('店舗名と営業時間を入力してください')
+      return
+    }
+    if (!(formData.max_consecutive_days >= 1) || !(formData.max_days_per_week >= 1 && formData.max_days_per_week <= 7)) {
+      toast.error('連続勤務は1日以上、週の勤務日数は1〜7日で入力してください')
+      return
+    }
+
+    const payload = {
+      name: formData.name,
+      open_time: formData.open_time,
+      close_time: formData.close_time,
+      week_start_day: formData.week_start_day,
+      max_consecutive_days: formData.max_consecutive_days,
+      max_days_per_week: formData.max_days_per_week,
+    }
+
+    try {
+      const { error } = editingId
+        ? await supabase.from('stores').update(payload).eq('user_id', accountId).eq('id', editingId)
+        : await supabase.from('stores').insert([{ ...payload, user_id: accountId }])
+
+      if (error) throw error
+
+      toast.success(editingId ? '店舗を更新しました' : '店舗を登録しました')
+      handleCancelEdit()
+      refreshStores()
+    } catch (err) {
+      console.error('店舗の保存エラー:', err)
+      toast.error('店舗の保存に失敗しました')
+    }
+  }
+
+  function handleDeleteClick(store) {
+    if (stores.length <= 1) {
+      toast.error('最後の店舗は削除できません')
+      return
+    }
+    setDeleteDialog({ open: true, storeId: store.id, storeName: store.name })
+  }
+
+  async function confirmDelete() {
+    const { error } = await supabase.from('stores').delete().eq('user_id', accountId).eq('id', deleteDialog.storeId)
+    if (error) {
+      console.error('店舗の削除エラー:', error)
+      toast.error('削除に失敗しました')
+      return
+    }
+    toast.success('店舗を削除しました')
+    if (editingId === deleteDialog.storeId) handleCancelEdit()
+    refreshStores()
+    fetchMemberships()
+  }
+
+  // スタッフの所属を切り替える
+  async function toggleMembership(storeId, staffId) {
+    const key = `${storeId}_${staffId}`
+    const isMember = memberships.has(key)
+
+    const { error } = isMember
+      ? await supabase.from('store_staff').delete().eq('user_id', accountId).eq('store_id', storeId).eq('staff_id', staffId)
+      : await supabase.from('store_staff').insert([{ user_id: accountId, store_id: storeId, staff_id: staffId }])
+
+    if (error) {
+      console.error('所属の変更エラー:', error)
+      toast.error('所属の変更に失敗しました')
+      return
+    }
+
+    setMemberships(prev => {
+      const next = new Set(prev)
+      if (isMember) {
+        next.delete(key)
+      } else {
+        next.add(key)
+      }
+      return next
+    })
+  }
+
+  return (
+    <div className='min-h-screen p-8 bg-gray-50'>
+      <div className='max-w-6xl mx-auto'>
+        <div className='mb-6'>
+          <Link href='/' className='text-blue-600 hover:text-blue-700 hover:underline mb-4 inline-block'>← ホームに戻る</Link>
+          <h1 className='text-3xl font-bold'>店舗管理</h1>
+          <p className='text-sm text-gray-600 mt-2'>
+            シフトパターン・必要人数・シフトは店舗ごとに管理します。ホーム画面で店舗を切り替えてください。
+            複数の店舗に入るスタッフは、すべての店舗を合わせて週の労働時間・連続勤務の上限を判定します。
+          </p>
+        </div>
+
+        {isOwner && (
+          <div className='bg-white p-6 rounded-lg shadow-sm border border-gray-200 mb-8'>
+            <h2 className='text-xl font-semibold mb-4'>{editingId ? '店舗の編集' : '店舗の登録'}</h2>
+            <form onSubmit={handleSubmit} className='grid grid-cols-1 md:grid-cols-4 gap-4 items-end'>
+              <div className='md:col-span-2'>
+                <label className='block text-sm font-medium mb-1'>店舗名 <span className='text-red-500'>*</span></label>
+                <input type='text' name='name' value={formData.name} onChange={handleInputChange}
+                  className='w-full border border-gray-300 rounded px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-shadow' placeholder='駅前店' />
+              </div>
+              <div>
+                <label className='block text-sm font-medium mb-1'>開店</label>
+                <input type='time' name='open_time' value={formData.open_time} onChange={handleInputChange}
+                  className='w-full border border-gray-300 rounded px-3 py-2' />
+              </div>
+              <div>
+                <label className='block text-sm font-medium mb-1'>閉店</label>
+                <input type='time' name='close_time' value={formData.close_time} onChange={handleInputChange}
+                  className='w-full border border-gray-300 rounded px-3 py-2' />
+              </div>
+              <div>
+                <label className='block text-sm font-medium mb-1'>週の始まり</label>
+                <select name='week_start_day' value={formData.week_start_day} onChange={handleInputChange}
+                  className='w-full border border-gray-300 rounded px-3 py-2'>
+                  {WEEK_DAYS.map((day, index) => (
+                    <option key={index} value={index}>{day}曜日</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className='block text-sm font-medium mb-1'>連続勤務の上限（日）</label>
+                <input type='number' name='max_consecutive_days' value={formData.max_consecutive_days} onChange={handleInputChange}
+                  className='w-full border border-gray-300 rounded px-3 py-2' min='1' />
+              </div>
+              <div>
+                <label className='block text-sm font-medium mb-1'>週の勤務日数の上限（日）</label>
+                <input type='number' name='max_days_per_week' value={formData.max_days_per_week} onChange={handleInputChange}
+                  className='w-full border border-gray-300 rounded px-3 py-2' min='1' max='7' />
+              </div>
+              <div className='md:col-span-4 flex items-center gap-4'>
+                <button type='submit' className='bg-blue-600 text-white px-6 py-2 rounded font-semibold transition-all duration-200 hover:bg-blue-700 hover:shadow-md'>
+                  {editingId ? '更新' : '登録'}
+                </button>
+                {editingId && (
+                  <button type='button' onClick={handleCancelEdit} className='text-gray-600 hover:text-gray-800 transition-colors'>キャンセル</button>
+                )}
+                <p className='text-xs text-gray-500'>
+                  閉店が開店より前の時刻なら、日付をまたいで営業する店舗として扱います。
+                  週の始まり・上限は、シフト生成の初期値と、オープンシフトの応募・交代・代わりのスタッフの確認に使います
+                </p>
+              </div>
+            </form>
+          </div>
+        )}
+
+        <div className='bg-white p-6 rounded-lg shadow-sm border border-gray-200 mb-8'>
+          <h2 className='text-xl font-semibold mb-4'>店舗一覧</h2>
+          {stores.length === 0 ? (
+            <p className='text-gray-500 text-center py-8'>まだ店舗がありません</p>
+          ) : (
+            <table className='w-full'>
+              <thead className='bg-gray-50'>
+                <tr>
+                  <th className='px-4 py-3 text-left font-semibold'>店舗名</th>
+                  <th className='px-4 py-3 text-left font-semibold'>営業時間</th>
+                  <th className='px-4 py-3 text-left font-semibold'>シフトの制約</th>
+                  {isOwner && <th className='px-4 py-3 text-left font-semibold'>操作</th>}
+                </tr>
+              </thead>
+              <tbody>
+                {stores.map(store => (
+                  <tr key={store.id} className='border-t hover:bg-gray-50 transition-colors'>
+                    <td className='px-4 py-3'>{store.name}</td>
+                    <td className='px-4 py-3'>
+                      {store.open_time.slice(0, 5)}〜{store.close_time.slice(0, 5)}
+                      {store.close_time <= store.open_time && '（翌）'}
+                    </td>
+                    <td className='px-4 py-3 text-sm text-gray-600'>
+                      {WEEK_DAYS[store.week_start_day ?? 1]}曜始まり・
+                      連続{store.max_consecutive_days ?? 3}日・週{store.max_days_per_week ?? 5}日まで
+                    </td>
+                    {isOwner && (
+                      <td className='px-4 py-3 space-x-4'>
+                        <button onClick={() => handleEdit(store)} className='text-blue-600 hover:text-blue-700 font-medium transition-colors'>編集</button>
+                        <button onClick={() => handleDeleteClick(store)} className='text-red-600 hover:text-red-700 font-medium transition-colors'>削除</button>
+                      </td>
+                    )}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+
+        <div className='bg-white p-6 rounded-lg shadow-sm border border-gray-200'>
+          <h2 className='text-xl font-semibold mb-4'>スタッフの所属</h2>
+          {isLoading ? (
+            <div className='flex items-center justify-center py-8'>
+              <div className='animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600'></div>
+              <span className='ml-3 text-gray-500'>読み込み中...</span>
+            </div>
+          ) : staffList.length === 0 ? (
+            <p className='text-gray-500 text-center py-8'>まだスタッフがいません</p>
+          ) : (
+            <div className='overflow-x-auto'>
+              <table className='w-full'>
+                <thead className='bg-gray-50'>
+                  <tr>
+                    <th className='px-4 py-3 text-left font-semibold'>スタッフ</th>
+                    {stores.map(store => (
+                      <th key={store.id} className='px-4 py-3 text-center font-semibold'>{store.name}</th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {staffList.map(staff => (
+                    <tr key={staff.id} className='border-t hover:bg-gray-50 transition-colors'>
+                      <td className='px-4 py-3'>{staff.name}</td>
+                      {stores.map(store => (
+                        <td key={store.id} className='px-4 py-3 text-center'>
+                          <input
+                            type='checkbox'
+                            checked={memberships.has(`${store.id}_${staff.id}`)}
+                            onChange={() => toggleMembership(store.id, staff.id)}
+                            disabled={!isOwner}
+                            aria-label={`${staff.name}を${store.name}に所属させる`}
+                          />
+                        </td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              <p className='text-xs text-gray-500 mt-2'>所属から外しても、その店舗の保存済みのシフトは残ります。</p>
+            </div>
+          )}
+        </div>
+      </div>
+
+      <ConfirmDialog
+        open={deleteDialog.open}
+        onOpenChange={(open) => setDeleteDialog({ ...deleteDialog, open })}
+        onConfirm={confirmDelete}
+        title='店舗の削除'
+        description={`${deleteDialog.storeName} を削除しますか？この店舗のシフトパターン・必要人数・シフトもすべて削除されます。この操作は取り消せません。`}
+        confirmText='削除' cancelText='キャンセル' variant='danger'
+      />
+    </div>
+  )
+}
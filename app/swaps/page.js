@@ -0,0 +1,285 @@
+// app/swaps/page.js
+'use client'
+
+import { useState, useEffect } from 'react'
+import { supabase } from '@/lib/supabase'
+import { useAuth } from '@/contexts/AuthContext'
+import Link from 'next/link'
+import toast from 'react-hot-toast'
+import { getToday } from '@/lib/periods'
+import { SWAP_STATUS } from '@/lib/shiftSwap'
+
+// シフトの表示（日付と時間）
+function formatShift(shift) {
+  if (!shift) return '-'
+  return `${shift.date} ${shift.start_time.slice(0, 5)}-${shift.end_time.slice(0, 5)}`
+}
+
+// スタッフ向けのシフト交代
+// 自分のシフトの交代を募集し、ほかのスタッフの募集を引き受ける・自分のシフトとの交換を提案する
+// 交代は管理者が承認するとシフトに反映される
+export default function ShiftSwapsPage() {
+  const { accountId, role, staffId } = useAuth()
+
+  const [staffList, setStaffList] = useState([])
+  // スタッフとしてログインしている場合は、連携している自分のスタッフに固定する
+  const [selectedStaffId, setSelectedStaffId] = useState(role === 'staff' ? staffId || '' : '')
+  // 自分の今日以降の公開済みシフト
+  const [myShifts, setMyShifts] = useState([])
+  const [swaps, setSwaps] = useState([])
+  // 交換を提案するときに選んだ自分のシフト（{ swapId: shiftId }）
+  const [counterShiftIds, setCounterShiftIds] = useState({})
+  const [isLoading, setIsLoading] = useState(true)
+
+  const today = getToday()
+
+  useEffect(() => {
+    if (accountId) fetchStaff()
+  }, [accountId])
+
+  useEffect(() => {
+    if (selectedStaffId) fetchSwapData()
+  }, [selectedStaffId])
+
+  async function fetchStaff() {
+    try {
+      setIsLoading(true)
+      const { data, error } = await supabase.from('staff').select('id, name').eq('user_id', accountId).order('name')
+      if (error) throw error
+      setStaffList(data || [])
+    } catch (err) {
+      console.error('スタッフ取得エラー:', err)
+      toast.error('データの取得に失敗しました')
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  async function fetchSwapData() {
+    const [shiftsResult, swapsResult] = await Promise.all([
+      supabase
+        .from('shifts')
+        .select('*')
+        .eq('user_id', accountId)
+        .eq('staff_id', selectedStaffId)
+        .eq('is_published', true)
+        .gte('date', today)
+        .order('date'),
+      supabase
+        .from('shift_swaps')
+        .select('*, shift:shift_id(*), counter_shift:counter_shift_id(*), requester:requester_id(name), responder:responder_id(name)')
+        .eq('user_id', accountId)
+        .order('created_at', { ascending: false })
+        .limit(100),
+    ])
+
+    if (shiftsResult.error || swapsResult.error) {
+      console.error('交代申請取得エラー:', shiftsResult.error || swapsResult.error)
+      toast.error('交代申請の取得に失敗しました')
+      return
+    }
+
+    setMyShifts(shiftsResult.data || [])
+    setSwaps(swapsResult.data || [])
+  }
+
+  // 交代を募集中・承認待ちのシフトか
+  function isInProgress(shiftId) {
+    return swaps.some(s => s.shift_id === shiftId && (s.status === 'offered' || s.status === 'accepted'))
+  }
+
+  async function handleOffer(shift) {
+    const note = prompt('交代をお願いする理由やメモ（任意）', '')
+    if (note === null) return
+
+    const { error } = await supabase
+      .from('shift_swaps')
+      .insert([{ user_id: accountId, shift_id: shift.id, requester_id: selectedStaffId, note: note || null }])
+
+    if (error) {
+      console.error('交代募集エラー:', error)
+      toast.error('交代の募集に失敗しました')
+      return
+    }
+    toast.success('交代を募集しました')
+    fetchSwapData()
+  }
+
+  // 募集を引き受ける（交換するシフトを選んだ場合は交換の提案になる）
+  // ほかの人が先に引き受けていた場合は accept_shift_swap がエラーを返す
+  async function handleAccept(swap) {
+    const counterShiftId = counterShiftIds[swap.id] || null
+
+    const { error } = await supabase.rpc('accept_shift_swap', {
+      p_swap_id: swap.id,
+      p_staff_id: selectedStaffId,
+      p_counter_shift_id: counterShiftId,
+    })
+
+    if (error) {
+      console.error('交代引き受けエラー:', error)
+      toast.error(error.message || '引き受けに失敗しました')
+    } else {
+      toast.success(counterShiftId ? '交換を提案しました。管理者の承認をお待ちください' : '引き受けました。管理者の承認をお待ちください')
+    }
+    fetchSwapData()
+  }
+
+  async function handleCancel(swap) {
+    if (!confirm('交代の募集を取り下げますか？')) return
+
+    const { error } = await supabase.rpc('cancel_shift_swap', { p_swap_id: swap.id })
+
+    if (error) {
+      console.error('取り下げエラー:', error)
+      toast.error(error.message || '取り下げに失敗しました')
+      return
+    }
+    toast.success('取り下げました')
+    fetchSwapData()
+  }
+
+  // ほかのスタッフの募集（今日以降のシフトのみ）
+  const openOffers = swaps.filter(s =>
+    s.status === 'offered' && s.requester_id !== selectedStaffId && s.shift?.date >= today
+  )
+  // 自分が関わる申請
+  const mySwaps = swaps.filter(s => s.requester_id === selectedStaffId || s.responder_id === selectedStaffId)
+
+  return (
+    <div className='min-h-screen p-8 bg-gray-50'>
+      <div className='max-w-4xl mx-auto'>
+        {/* ヘッダー */}
+        <div className='mb-6'>
+          <Link href='/' className='text-blue-600 hover:underline mb-4 inline-block'>
+            ← ホームに戻る
+          </Link>
+          <h1 className='text-3xl font-bold'>シフト交代</h1>
+          <p className='text-sm text-gray-600 mt-2'>
+            交代は管理者が承認するとシフトに反映されます
+          </p>
+        </div>
+
+        {isLoading ? (
+          <div className='flex items-center justify-center py-12'>
+            <div className='animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600'></div>
+            <span className='ml-3 text-gray-500'>読み込み中...</span>
+          </div>
+        ) : (
+          <>
+            <div className='bg-white p-6 rounded-lg shadow mb-6'>
+              <label className='block text-sm font-medium mb-1'>名前</label>
+              <select
+                value={selectedStaffId}
+                onChange={(e) => setSelectedStaffId(e.target.value)}
+                disabled={role === 'staff'}
+                className='w-full md:w-1/2 border rounded px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:bg-gray-100'
+              >
+                <option value=''>選択してください</option>
+                {staffList.map(staff => (
+                  <option key={staff.id} value={staff.id}>{staff.name}</option>
+                ))}
+              </select>
+            </div>
+
+            {selectedStaffId && (
+              <>
+                {/* 自分のシフト */}
+                <div className='bg-white p-6 rounded-lg shadow mb-6'>
+                  <h2 className='text-xl font-semibold mb-4'>自分のシフト</h2>
+                  {myShifts.length === 0 ? (
+                    <p className='text-gray-500 text-center py-4'>今日以降の公開済みシフトはありません</p>
+                  ) : (
+                    <ul className='divide-y'>
+                      {myShifts.map(shift => (
+                        <li key={shift.id} className='py-2 flex justify-between items-center'>
+                          <span>{formatShift(shift)}</span>
+                          {isInProgress(shift.id) ? (
+                            <span className='text-sm text-gray-500'>交代を募集中</span>
+                          ) : (
+                            <button
+                              onClick={() => handleOffer(shift)}
+                              className='text-blue-600 hover:text-blue-700 font-medium'
+                            >
+                              交代を募集
+                            </button>
+                          )}
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                </div>
+
+                {/* ほかのスタッフの募集 */}
+                <div className='bg-white p-6 rounded-lg shadow mb-6'>
+                  <h2 className='text-xl font-semibold mb-4'>交代の募集</h2>
+                  {openOffers.length === 0 ? (
+                    <p className='text-gray-500 text-center py-4'>募集中の交代はありません</p>
+                  ) : (
+                    <ul className='divide-y'>
+                      {openOffers.map(swap => (
+                        <li key={swap.id} className='py-3 flex flex-wrap items-center gap-3'>
+                          <div className='flex-1'>
+                            <div>{formatShift(swap.shift)}（{swap.requester?.name}）</div>
+                            {swap.note && <div className='text-sm text-gray-500'>{swap.note}</div>}
+                          </div>
+                          <select
+                            value={counterShiftIds[swap.id] || ''}
+                            onChange={(e) => setCounterShiftIds(prev => ({ ...prev, [swap.id]: e.target.value }))}
+                            className='border rounded px-2 py-1 text-sm'
+                          >
+                            <option value=''>そのまま引き受ける</option>
+                            {myShifts.map(shift => (
+                              <option key={shift.id} value={shift.id}>{formatShift(shift)} と交換</option>
+                            ))}
+                          </select>
+                          <button
+                            onClick={() => handleAccept(swap)}
+                            className='px-3 py-1 bg-blue-600 text-white rounded hover:bg-blue-700 text-sm'
+                          >
+                            {counterShiftIds[swap.id] ? '交換を提案' : '引き受ける'}
+                          </button>
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                </div>
+
+                {/* 自分の申請 */}
+                <div className='bg-white p-6 rounded-lg shadow'>
+                  <h2 className='text-xl font-semibold mb-4'>自分の申請</h2>
+                  {mySwaps.length === 0 ? (
+                    <p className='text-gray-500 text-center py-4'>申請はありません</p>
+                  ) : (
+                    <ul className='divide-y'>
+                      {mySwaps.map(swap => (
+                        <li key={swap.id} className='py-3 flex flex-wrap items-center gap-3 text-sm'>
+                          <span className={`px-2 py-0.5 text-xs rounded ${SWAP_STATUS[swap.status].className}`}>
+                            {SWAP_STATUS[swap.status].label}
+                          </span>
+                          <span className='flex-1'>
+                            {formatShift(swap.shift)}（{swap.requester?.name}）
+                            {swap.responder && ` → ${swap.responder.name}`}
+                            {swap.counter_shift && `（${formatShift(swap.counter_shift)} と交換）`}
+                          </span>
+                          {swap.requester_id === selectedStaffId && (swap.status === 'offered' || swap.status === 'accepted') && (
+                            <button
+                              onClick={() => handleCancel(swap)}
+                              className='text-red-600 hover:text-red-700 font-medium'
+                            >
+                              取り下げ
+                            </button>
+                          )}
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                </div>
+              </>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,249 @@
+// components/AvailabilityEditor.js
+'use client'
+
+import { useState, useEffect } from 'react'
+import { supabase } from '@/lib/supabase'
+import { useAuth } from '@/contexts/AuthContext'
+import toast from 'react-hot-toast'
+import {
+  GRID_START_MINUTES,
+  SLOT_MINUTES,
+  SLOT_COUNT,
+  PRIORITY_OPTIONS,
+  createEmptyGrid,
+  rangesToGrid,
+  gridToRanges,
+  validateAvailabilityRange,
+} from '@/lib/availability'
+import { minutesToTime } from '@/lib/shiftEngine'
+
+const WEEK_DAYS = ['日', '月', '火', '水', '木', '金', '土']
+
+/**
+ * 勤務可能時間エディタ
+ * 曜日×時間帯のグリッドをドラッグで塗って、スタッフの勤務可能時間を登録する
+ *
+ * 使い方:
+ * <AvailabilityEditor
+ *   staff={selectedStaff}   // { id, name }
+ *   open={isOpen}
+ *   onOpenChange={setIsOpen}
+ * />
+ */
+export function AvailabilityEditor({ staff, open, onOpenChange }) {
+  const { accountId } = useAuth()
+
+  const [grid, setGrid] = useState(createEmptyGrid)
+  // 塗る優先度（nullは消しゴム）
+  const [brush, setBrush] = useState(1)
+  const [isPainting, setIsPainting] = useState(false)
+  const [isLoading, setIsLoading] = useState(false)
+  const [isSaving, setIsSaving] = useState(false)
+
+  useEffect(() => {
+    if (open && staff && accountId) fetchAvailability()
+  }, [open, staff, accountId])
+
+  // ドラッグ中にグリッド外でマウスを離しても塗りを終了する
+  useEffect(() => {
+    const stopPainting = () => setIsPainting(false)
+    document.addEventListener('mouseup', stopPainting)
+    return () => document.removeEventListener('mouseup', stopPainting)
+  }, [])
+
+  async function fetchAvailability() {
+    try {
+      setIsLoading(true)
+      const { data, error } = await supabase
+        .from('availability')
+        .select('*')
+        .eq('user_id', accountId)
+        .eq('staff_id', staff.id)
+
+      if (error) throw error
+
+      setGrid(rangesToGrid(data || []))
+    } catch (err) {
+      console.error('勤務可能時間の取得エラー:', err)
+      toast.error('勤務可能時間の取得に失敗しました')
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  // 1マスを塗る
+  function paintCell(dayOfWeek, slot) {
+    setGrid(prev => {
+      if (prev[dayOfWeek][slot] === brush) return prev
+      const next = prev.map(slots => [...slots])
+      next[dayOfWeek][slot] = brush
+      return next
+    })
+  }
+
+  function handleMouseDown(dayOfWeek, slot) {
+    setIsPainting(true)
+    paintCell(dayOfWeek, slot)
+  }
+
+  function handleMouseEnter(dayOfWeek, slot) {
+    if (isPainting) paintCell(dayOfWeek, slot)
+  }
+
+  // 曜日の列をまとめてクリア
+  function clearDay(dayOfWeek) {
+    setGrid(prev => prev.map((slots, i) => (i === dayOfWeek ? Array(SLOT_COUNT).fill(null) : slots)))
+  }
+
+  async function handleSave() {
+    const ranges = gridToRanges(grid)
+
+    // DBの制約と同じ条件で事前にチェック
+    for (const range of ranges) {
+      const message = validateAvailabilityRange(range)
+      if (message) {
+        toast.error(`${WEEK_DAYS[range.day_of_week]}曜 ${range.start_time}-${range.end_time}: ${message}`)
+        return
+      }
+    }
+
+    try {
+      setIsSaving(true)
+
+      // 削除と追加を1つのトランザクションで行う（失敗したときは元の内容のまま）
+      const { error } = await supabase.rpc('replace_availability', {
+        p_staff_id: staff.id,
+        p_ranges: ranges,
+      })
+      if (error) throw error
+
+      toast.success('勤務可能時間を保存しました')
+      onOpenChange(false)
+    } catch (err) {
+      console.error('勤務可能時間の保存エラー:', err)
+      toast.error('勤務可能時間の保存に失敗しました')
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  if (!open || !staff) return null
+
+  return (
+    <>
+      {/* 背景のオーバーレイ */}
+      <div
+        className='fixed inset-0 bg-black/50 z-40'
+        onClick={() => onOpenChange(false)}
+      />
+
+      {/* エディタ本体 */}
+      <div className='fixed left-1/2 top-1/2 -translate-x-1/2 -translate-y-1/2 z-50 w-full max-w-3xl'>
+        <div className='bg-white rounded-lg shadow-lg p-6 mx-4 max-h-[90vh] flex flex-col'>
+          <h2 className='text-lg font-semibold mb-1'>{staff.name} さんの勤務可能時間</h2>
+          <p className='text-sm text-gray-600 mb-4'>
+            優先度を選んで、グリッドをドラッグして塗ってください（30分単位）
+          </p>
+
+          {/* 優先度の選択 */}
+          <div className='flex flex-wrap gap-2 mb-4'>
+            {PRIORITY_OPTIONS.map(option => (
+              <button
+                key={option.value}
+                type='button'
+                onClick={() => setBrush(option.value)}
+                className={`flex items-center gap-2 px-3 py-1 text-sm rounded border transition ${
+                  brush === option.value ? 'border-gray-900 bg-gray-100' : 'border-gray-300 hover:bg-gray-50'
+                }`}
+              >
+                <span className={`w-3 h-3 rounded-sm ${option.color}`} />
+                {option.label}
+              </button>
+            ))}
+            <button
+              type='button'
+              onClick={() => setBrush(null)}
+              className={`px-3 py-1 text-sm rounded border transition ${
+                brush === null ? 'border-gray-900 bg-gray-100' : 'border-gray-300 hover:bg-gray-50'
+              }`}
+            >
+              消しゴム
+            </button>
+          </div>
+
+          {/* グリッド */}
+          {isLoading ? (
+            <div className='flex items-center justify-center py-12'>
+              <div className='animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600'></div>
+              <span className='ml-3 text-gray-500'>読み込み中...</span>
+            </div>
+          ) : (
+            <div className='overflow-y-auto border rounded select-none'>
+              <table className='w-full text-xs'>
+                <thead className='bg-gray-50 sticky top-0'>
+                  <tr>
+                    <th className='w-14'></th>
+                    {WEEK_DAYS.map((day, i) => (
+                      <th key={day} className={`py-1 font-semibold ${i === 0 ? 'text-red-500' : i === 6 ? 'text-blue-500' : ''}`}>
+                        <div>{day}</div>
+                        <button
+                          type='button'
+                          onClick={() => clearDay(i)}
+                          className='text-[10px] font-normal text-gray-400 hover:text-gray-600'
+                        >
+                          クリア
+                        </button>
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {Array.from({ length: SLOT_COUNT }, (_, slot) => (
+                    <tr key={slot}>
+                      <td className='pr-2 text-right text-gray-500 align-top leading-none'>
+                        {slot % 2 === 0 && minutesToTime(GRID_START_MINUTES + slot * SLOT_MINUTES)}
+                      </td>
+                      {WEEK_DAYS.map((day, dayOfWeek) => {
+                        const priority = grid[dayOfWeek][slot]
+                        const option = PRIORITY_OPTIONS.find(o => o.value === priority)
+                        return (
+                          <td
+                            key={day}
+                            onMouseDown={() => handleMouseDown(dayOfWeek, slot)}
+                            onMouseEnter={() => handleMouseEnter(dayOfWeek, slot)}
+                            className={`h-4 border-l cursor-pointer ${
+                              slot % 2 === 0 ? 'border-t' : 'border-t border-t-gray-100'
+                            } ${option ? option.color : 'hover:bg-gray-100'}`}
+                          />
+                        )
+                      })}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          {/* ボタン */}
+          <div className='flex justify-end gap-3 mt-4'>
+            <button
+              type='button'
+              onClick={() => onOpenChange(false)}
+              className='px-4 py-2 text-sm font-medium text-gray-700 bg-gray-100 rounded hover:bg-gray-200 transition'
+            >
+              キャンセル
+            </button>
+            <button
+              type='button'
+              onClick={handleSave}
+              disabled={isSaving || isLoading}
+              className='px-4 py-2 text-sm font-medium text-white bg-blue-600 rounded hover:bg-blue-700 transition disabled:opacity-50'
+            >
+              {isSaving ? '保存中...' : '保存'}
+            </button>
+          </div>
+        </div>
+      </div>
+    </>
+  )
+}
@@ -0,0 +1,138 @@
+// components/ShiftTimeline.js
+'use client'
+
+import { minutesToTime } from '@/lib/shiftEngine'
+import { SHIFT_STATUS, getShiftStatus } from '@/lib/shiftStatus'
+import { HEADCOUNT_STEP_MINUTES, getHeadcountCurve } from '@/lib/timeline'
+
+/**
+ * 1日分のシフトのタイムライン（ガントチャート）
+ * スタッフごとのシフトを横棒で、時間帯ごとの出勤人数を折れ線で重ねて表示する
+ *
+ * 使い方:
+ * const bars = getTimelineBars(date, shifts)
+ *
+ * <ShiftTimeline
+ *   bars={bars}
+ *   range={getTimelineRange(bars)}   // { start, end }（0:00からの分）
+ *   patterns={patterns}              // バーの色に使う
+ *   onSelect={(shift) => { 編集処理 }}
+ * />
+ */
+export function ShiftTimeline({ bars, range, patterns = [], onSelect, compact = false }) {
+  const total = range.end - range.start
+  const hours = []
+  for (let minutes = range.start; minutes <= range.end; minutes += 60) hours.push(minutes)
+
+  const curve = getHeadcountCurve(bars, range)
+  const maxCount = Math.max(...curve.map(c => c.count), 1)
+
+  // 1時間ごとの最少人数（誰もいない時間帯を除き、人数が最も少ない時間帯を赤で表示する）
+  const hourlyCounts = hours.slice(0, -1).map(start => ({
+    start,
+    count: Math.min(...curve.filter(c => c.minutes >= start && c.minutes < start + 60).map(c => c.count)),
+  }))
+  const lowestCount = Math.min(...hourlyCounts.map(h => h.count).filter(count => count > 0))
+
+  // 人数の推移（階段状の面グラフ）
+  const curvePath = [
+    `M 0 ${maxCount}`,
+    ...curve.map(c => {
+      const x = c.minutes - range.start
+      const y = maxCount - c.count
+      return `L ${x} ${y} L ${x + HEADCOUNT_STEP_MINUTES} ${y}`
+    }),
+    `L ${total} ${maxCount} Z`,
+  ].join(' ')
+
+  const toPercent = (minutes) => `${((minutes - range.start) / total) * 100}%`
+  // 1時間ごとの縦線
+  const gridStyle = {
+    backgroundImage: 'linear-gradient(to right, #e5e7eb 1px, transparent 1px)',
+    backgroundSize: `${(60 / total) * 100}% 100%`,
+  }
+
+  function renderCurve(className) {
+    return (
+      <svg
+        viewBox={`0 0 ${total} ${maxCount}`}
+        preserveAspectRatio='none'
+        className={`absolute inset-0 w-full h-full pointer-events-none ${className}`}
+      >
+        <path d={curvePath} fill='#bfdbfe' stroke='#2563eb' strokeWidth='2' vectorEffect='non-scaling-stroke' />
+      </svg>
+    )
+  }
+
+  return (
+    <div className='text-xs'>
+      {/* 時刻の目盛り */}
+      <div className='flex'>
+        <div className='w-28 shrink-0' />
+        <div className='relative flex-1 h-5'>
+          {hours.map(minutes => (
+            <span
+              key={minutes}
+              className='absolute -translate-x-1/2 text-gray-500'
+              style={{ left: toPercent(minutes) }}
+            >
+              {(minutes / 60) % 24}
+            </span>
+          ))}
+        </div>
+      </div>
+
+      {/* 出勤人数 */}
+      <div className='flex border-y'>
+        <div className='w-28 shrink-0 px-2 py-1 font-semibold'>人数</div>
+        <div className={`relative flex-1 ${compact ? 'h-8' : 'h-14'}`} style={gridStyle}>
+          {renderCurve('opacity-70')}
+          {hourlyCounts.filter(({ count }) => count > 0).map(({ start, count }) => (
+            <span
+              key={start}
+              className={`absolute bottom-0 -translate-x-1/2 font-semibold ${count === lowestCount ? 'text-red-600' : 'text-gray-700'}`}
+              style={{ left: toPercent(start + 30) }}
+            >
+              {count}
+            </span>
+          ))}
+        </div>
+      </div>
+
+      {/* シフトのバー */}
+      <div className='relative'>
+        <div className='absolute top-0 bottom-0 left-28 right-0'>
+          {renderCurve('opacity-20')}
+        </div>
+        {bars.length === 0 ? (
+          <div className='py-3 text-center text-gray-400'>シフトはありません</div>
+        ) : (
+          bars.map(({ shift, start, end }) => {
+            const pattern = patterns.find(p => p.id === shift.pattern_id)
+            const status = getShiftStatus(shift)
+            return (
+              <div key={`${shift.id}_${start}`} className={`flex items-center ${compact ? 'h-6' : 'h-8'}`}>
+                <div className='w-28 shrink-0 px-2 truncate'>{shift.staff?.name || '不明'}</div>
+                <div className='relative flex-1 h-full' style={gridStyle}>
+                  <button
+                    type='button'
+                    onClick={() => onSelect?.(shift)}
+                    className={`absolute top-1 bottom-1 rounded border-l-4 border-blue-400 bg-blue-100 px-1 text-left truncate hover:opacity-80 ${SHIFT_STATUS[status].cellClassName}`}
+                    style={{
+                      left: toPercent(start),
+                      width: `${((end - start) / total) * 100}%`,
+                      ...(pattern ? { backgroundColor: `${pattern.color}55`, borderLeftColor: pattern.color } : {}),
+                    }}
+                    title={`${shift.staff?.name || '不明'} ${shift.start_time.slice(0, 5)}-${shift.end_time.slice(0, 5)}`}
+                  >
+                    {minutesToTime(start % (24 * 60))}-{minutesToTime(end % (24 * 60))}
+                  </button>
+                </div>
+              </div>
+            )
+          })
+        )}
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,138 @@
+// contexts/AuthContext.js
+'use client'
+
+import { createContext, useContext, useState, useEffect } from 'react'
+import { supabase } from '@/lib/supabase'
+
+// ログインしていないと開けない画面（配下のページも含む）
+// データはアカウントごとに分かれているため、データを扱う画面はすべてログインが必要
+export const PROTECTED_PATHS = ['/shifts', '/analytics', '/staff', '/stores', '/preferences', '/schedule', '/swaps', '/open-shifts']
+
+/**
+ * ログインが必要な画面か
+ */
+export function isProtectedPath(pathname) {
+  return PROTECTED_PATHS.some(path => pathname === path || pathname.startsWith(`${path}/`))
+}
+
+/**
+ * ログイン後に戻る画面（/login?redirect=... から取得）
+ * ほかのサイトへ移動させられないよう、アプリ内のパスだけを受け付ける
+ */
+export function getRedirectPath(search) {
+  const redirect = new URLSearchParams(search).get('redirect')
+  if (!redirect || !redirect.startsWith('/') || redirect.startsWith('//')) return '/'
+  return redirect
+}
+
+const AuthContext = createContext(null)
+
+/**
+ * ログイン状態をアプリ全体で共有するプロバイダー（app/providers.js で使う）
+ * Supabase Auth のセッションを監視し、ほかのタブでのログイン・ログアウトも反映する
+ * ログインしたら参加しているアカウントと役割（lib/roles.js）も読み込む
+ */
+export function AuthProvider({ children }) {
+  const [user, setUser] = useState(null)
+  // セッションを確認するまではtrue（確認前にログイン画面へ移動しないため）
+  const [sessionLoading, setSessionLoading] = useState(true)
+  // 参加先のアカウントと役割（{ userId, accountId, role, staffId }）
+  const [membership, setMembership] = useState(null)
+
+  // 役割を読み込むまでは、どの画面を開けるか決められないため読み込み中にする
+  const loading = sessionLoading || (user !== null && membership?.userId !== user.id)
+
+  useEffect(() => {
+    supabase.auth.getSession().then(({ data: { session } }) => {
+      setUser(session?.user ?? null)
+      setSessionLoading(false)
+    })
+
+    const { data: { subscription } } = supabase.auth.onAuthStateChange((_event, session) => {
+      setUser(session?.user ?? null)
+      setSessionLoading(false)
+    })
+
+    return () => subscription.unsubscribe()
+  }, [])
+
+  // トークンの更新でも user は作り直されるため、アカウントが変わったときだけ読み込む
+  useEffect(() => {
+    if (user) {
+      refreshMembership()
+    } else {
+      setMembership(null)
+    }
+  }, [user?.id])
+
+  // 招待されていなければ自分のデータのオーナー
+  // 読み込みに失敗してもデータは行レベルセキュリティで守られるため、オーナーとして画面を表示する
+  async function refreshMembership() {
+    const { data, error } = await supabase
+      .from('members')
+      .select('user_id, role, staff_id')
+      .eq('member_user_id', user.id)
+      .maybeSingle()
+
+    if (error) console.error('役割の取得エラー:', error)
+
+    setMembership({
+      userId: user.id,
+      accountId: data?.user_id ?? user.id,
+      role: data?.role ?? 'owner',
+      staffId: data?.staff_id ?? null,
+    })
+  }
+
+  // 失敗したときは Supabase のエラーをそのまま投げる（画面側でメッセージを出し分ける）
+  async function signIn(email, password) {
+    const { data, error } = await supabase.auth.signInWithPassword({ email, password })
+    if (error) throw error
+    return data
+  }
+
+  async function signUp(email, password) {
+    const { data, error } = await supabase.auth.signUp({ email, password })
+    if (error) throw error
+    return data
+  }
+
+  async function signOut() {
+    const { error } = await supabase.auth.signOut()
+    if (error) throw error
+  }
+
+  return (
+    <AuthContext.Provider
+      value={{
+        user,
+        loading,
+        accountId: membership?.accountId ?? null,
+        role: membership?.role ?? null,
+        staffId: membership?.staffId ?? null,
+        refreshMembership,
+        signIn,
+        signUp,
+        signOut,
+      }}
+    >
+      {children}
+    </AuthContext.Provider>
+  )
+}
+
+/**
+ * ログイン状態と操作を取得
+ * 使い方: const { user, loading, accountId, role, staffId, signIn, signUp, signOut } = useAuth()
+ *
+ * accountId: データの持ち主のアカウント（問い合わせは user_id をこれで絞り込む）
+ * role: 役割（owner / manager / staff）
+ * staffId: 連携しているスタッフ（役割が staff のとき）
+ */
+export function useAuth() {
+  const context = useContext(AuthContext)
+  if (!context) {
+    throw new Error('useAuth は AuthProvider の中で使ってください')
+  }
+  return context
+}
@@ -0,0 +1,99 @@
+// contexts/StoreContext.js
+'use client'
+
+import { createContext, useContext, useState, useEffect } from 'react'
+import { supabase } from '@/lib/supabase'
+import { useAuth } from '@/contexts/AuthContext'
+
+// 選択中の店舗を覚えておくキー（次に開いたときも同じ店舗を表示する）
+const STORAGE_KEY = 'shift-app:current-store'
+
+const StoreContext = createContext(null)
+
+/**
+ * 店舗の一覧と選択中の店舗をアプリ全体で共有するプロバイダー（app/providers.js で AuthProvider の中に置く）
+ * シフトパターン・必要人数・シフトの画面は、選択中の店舗のデータだけを扱う
+ */
+export function StoreProvider({ children }) {
+  const { accountId, role } = useAuth()
+  const [stores, setStores] = useState([])
+  const [currentStoreId, setCurrentStoreId] = useState(null)
+
+  useEffect(() => {
+    if (accountId) {
+      refreshStores()
+    } else {
+      setStores([])
+      setCurrentStoreId(null)
+    }
+  }, [accountId])
+
+  // 店舗がまだなければ、オーナーのときは最初の店舗（本店）を作る
+  async function refreshStores() {
+    const { data, error } = await supabase
+      .from('stores')
+      .select('*')
+      .eq('user_id', accountId)
+      .order('created_at')
+
+    if (error) {
+      console.error('店舗の取得エラー:', error)
+      return
+    }
+
+    let storeList = data || []
+    if (storeList.length === 0 && role === 'owner') {
+      const { data: created, error: insertError } = await supabase
+        .from('stores')
+        .insert([{ name: '本店', user_id: accountId }])
+        .select()
+
+      if (insertError) {
+        console.error('店舗の作成エラー:', insertError)
+        return
+      }
+      storeList = created || []
+    }
+
+    setStores(storeList)
+    const saved = window.localStorage.getItem(STORAGE_KEY)
+    setCurrentStoreId(prev =>
+      [prev, saved].find(id => storeList.some(s => s.id === id)) ?? storeList[0]?.id ?? null
+    )
+  }
+
+  function selectStore(storeId) {
+    window.localStorage.setItem(STORAGE_KEY, storeId)
+    setCurrentStoreId(storeId)
+  }
+
+  return (
+    <StoreContext.Provider
+      value={{
+        stores,
+        currentStoreId,
+        currentStore: stores.find(s => s.id === currentStoreId) ?? null,
+        selectStore,
+        refreshStores,
+      }}
+    >
+      {children}
+    </StoreContext.Provider>
+  )
+}
+
+/**
+ * 店舗の一覧と選択中の店舗を取得
+ * 使い方: const { stores, currentStoreId, currentStore, selectStore, refreshStores } = useStore()
+ *
+ * currentStoreId: 選択中の店舗（読み込むまでは null。問い合わせは store_id をこれで絞り込む）
+ * selectStore(storeId): 店舗を切り替える
+ * refreshStores(): 店舗を追加・変更した後に読み込み直す
+ */
+export function useStore() {
+  const context = useContext(StoreContext)
+  if (!context) {
+    throw new Error('useStore は StoreProvider の中で使ってください')
+  }
+  return context
+}
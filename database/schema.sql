@@ -1,11 +1,69 @@
 -- Supabaseで実行するSQL文
 -- Supabase → SQL Editor で実行してください
 
+-- 権限の判定に使う関数
+-- テーブルの既定値と行レベルセキュリティ（RLS）で使うため、テーブルより先に作る
+-- members テーブルを参照するが、plpgsql は実行時に解決するため作成順の問題はない
+-- members の RLS を経由せずに判定できるよう、作成者の権限（SECURITY DEFINER）で実行する
+
+-- ログイン中のアカウントが所属するアカウント（データの持ち主）
+-- メンバーとして招待されていなければ自分自身（オーナー）
+CREATE OR REPLACE FUNCTION current_account_id()
+RETURNS UUID
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  RETURN COALESCE((SELECT user_id FROM members WHERE member_user_id = auth.uid()), auth.uid());
+END;
+$$;
+
+-- ログイン中のアカウントの役割（owner / manager / staff）
+CREATE OR REPLACE FUNCTION current_member_role()
+RETURNS TEXT
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  RETURN COALESCE((SELECT role FROM members WHERE member_user_id = auth.uid()), 'owner');
+END;
+$$;
+
+-- ログイン中のアカウントと連携しているスタッフ（役割が staff のとき）
+CREATE OR REPLACE FUNCTION current_staff_id()
+RETURNS UUID
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  RETURN (SELECT staff_id FROM members WHERE member_user_id = auth.uid());
+END;
+$$;
+
+-- シフトを編集できる役割（オーナー・マネージャー）か
+CREATE OR REPLACE FUNCTION is_manager()
+RETURNS BOOLEAN
+LANGUAGE plpgsql
+STABLE
+AS $$
+BEGIN
+  RETURN current_member_role() IN ('owner', 'manager');
+END;
+$$;
+
 -- 1. スタッフテーブル
 CREATE TABLE IF NOT EXISTS staff (
   id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  -- 所有するアカウント（行レベルセキュリティで、このアカウントの行だけを読み書きできる）
+  -- マネージャー・スタッフが追加した行も、所属するアカウントの行になる
+  user_id UUID NOT NULL DEFAULT current_account_id() REFERENCES auth.users(id) ON DELETE CASCADE,
   name TEXT NOT NULL,
-  hourly_wage INTEGER NOT NULL CHECK (hourly_wage > 0),
   max_hours_per_week INTEGER DEFAULT 40 CHECK (max_hours_per_week > 0),
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
@@ -16,6 +74,7 @@ CREATE INDEX IF NOT EXISTS idx_staff_name ON staff(name);
 -- 2. 勤務可能時間テーブル
 CREATE TABLE IF NOT EXISTS availability (
   id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL DEFAULT current_account_id() REFERENCES auth.users(id) ON DELETE CASCADE,
   staff_id UUID NOT NULL REFERENCES staff(id) ON DELETE CASCADE,
   day_of_week INTEGER NOT NULL CHECK (day_of_week >= 0 AND day_of_week <= 6),
   start_time TIME NOT NULL,
@@ -32,16 +91,56 @@ COMMENT ON COLUMN availability.day_of_week IS '曜日: 0=日曜, 1=月曜, 2=火
 -- スタッフIDでインデックスを作成（JOIN高速化）
 CREATE INDEX IF NOT EXISTS idx_availability_staff ON availability(staff_id);
 
--- 3. シフトテーブル
+-- 3. シフトパターンテーブル
+-- 店舗ごとの勤務パターン（早番・遅番・夜勤など）
+-- end_time < start_time の場合は日付をまたぐパターン（例：22:00〜06:00）として扱う
+CREATE TABLE IF NOT EXISTS shift_patterns (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL DEFAULT current_account_id() REFERENCES auth.users(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  start_time TIME NOT NULL,
+  end_time TIME NOT NULL,
+  break_minutes INTEGER NOT NULL DEFAULT 0 CHECK (break_minutes >= 0),
+  color TEXT NOT NULL DEFAULT '#3b82f6',
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  CONSTRAINT check_pattern_time CHECK (end_time <> start_time)
+);
+
+-- 4. 時間帯別の必要人数テーブル
+-- 例：平日 11:00〜14:00 は2人、土曜は4人
+-- 設定がある曜日は、1日の最低・最大人数の代わりにこの人数を満たすようにシフトを生成する
+CREATE TABLE IF NOT EXISTS staffing_requirements (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL DEFAULT current_account_id() REFERENCES auth.users(id) ON DELETE CASCADE,
+  day_of_week INTEGER NOT NULL CHECK (day_of_week >= 0 AND day_of_week <= 6),
+  start_time TIME NOT NULL,
+  end_time TIME NOT NULL,
+  required_staff INTEGER NOT NULL CHECK (required_staff > 0),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  CONSTRAINT check_requirement_time CHECK (end_time > start_time)
+);
+
+CREATE INDEX IF NOT EXISTS idx_staffing_requirements_day ON staffing_requirements(day_of_week);
+
+-- 5. シフトテーブル
 CREATE TABLE IF NOT EXISTS shifts (
   id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL DEFAULT current_account_id() REFERENCES auth.users(id) ON DELETE CASCADE,
   staff_id UUID NOT NULL REFERENCES staff(id) ON DELETE CASCADE,
   date DATE NOT NULL,
   start_time TIME NOT NULL,
   end_time TIME NOT NULL,
+  -- 生成・編集時に選んだパターン（パターン削除後もシフト自体は残す）
+  pattern_id UUID REFERENCES shift_patterns(id) ON DELETE SET NULL,
+  -- 状態: 下書き（両方FALSE）→ 公開済み（is_published）→ 確定済み（is_confirmed）
+  -- スタッフには公開済みのシフトだけを表示し、確定済みのシフトは再生成で変更しない
+  is_published BOOLEAN DEFAULT FALSE,
   is_confirmed BOOLEAN DEFAULT FALSE,
+  -- 固定（再生成・再最適化で変更しない。確定と違い、カレンダーでの編集はできる）
+  is_locked BOOLEAN DEFAULT FALSE,
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
-  CONSTRAINT check_shift_time CHECK (end_time > start_time),
+  -- 日付をまたぐシフトは end_time < start_time になるため、同時刻だけを禁止する
+  CONSTRAINT check_shift_time CHECK (end_time <> start_time),
   -- 一意性制約: 同じスタッフが同じ日の同じ時間に重複してシフトに入らないようにする
   -- これにより、データの整合性を保証し、バグを防ぐ
   CONSTRAINT unique_staff_date_time UNIQUE (staff_id, date, start_time)
@@ -52,5 +151,1078 @@ CREATE INDEX IF NOT EXISTS idx_shifts_date ON shifts(date);
 CREATE INDEX IF NOT EXISTS idx_shifts_staff ON shifts(staff_id);
 CREATE INDEX IF NOT EXISTS idx_shifts_date_staff ON shifts(date, staff_id);
 
+-- 6. 希望シフトの提出期間テーブル
+-- start_date〜end_date のシフトについて、opens_on〜deadline の間スタッフから希望を受け付ける
+-- 提出期間は店舗ごと（store_id は下の「既存のデータベース向けの変更」で追加する）
+-- status: open=受付中, closed=締切済み（シフト生成可能）, published=シフト公開済み
+CREATE TABLE IF NOT EXISTS collection_periods (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL DEFAULT current_account_id() REFERENCES auth.users(id) ON DELETE CASCADE,
+  start_date DATE NOT NULL,
+  end_date DATE NOT NULL,
+  opens_on DATE NOT NULL DEFAULT CURRENT_DATE,
+  deadline DATE NOT NULL,
+  status TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'closed', 'published')),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  CONSTRAINT check_period_range CHECK (end_date >= start_date),
+  CONSTRAINT check_collection_range CHECK (deadline >= opens_on)
+);
+
+-- 7. 希望シフトテーブル
+-- 1つの提出期間につき、スタッフ1人1行（再提出は上書き）
+CREATE TABLE IF NOT EXISTS shift_requests (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL DEFAULT current_account_id() REFERENCES auth.users(id) ON DELETE CASCADE,
+  period_id UUID NOT NULL REFERENCES collection_periods(id) ON DELETE CASCADE,
+  staff_id UUID NOT NULL REFERENCES staff(id) ON DELETE CASCADE,
+  preferred_dates DATE[] NOT NULL DEFAULT '{}', -- 出勤希望日
+  unavailable_dates DATE[] NOT NULL DEFAULT '{}', -- 出勤できない日（NG日）
+  note TEXT,
+  submitted_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  CONSTRAINT unique_period_staff UNIQUE (period_id, staff_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_shift_requests_period ON shift_requests(period_id);
+
+-- 8. 提出リマインドテーブル
+-- 未提出のスタッフに送ったリマインド（希望シフト提出画面に表示する）
+CREATE TABLE IF NOT EXISTS period_reminders (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL DEFAULT current_account_id() REFERENCES auth.users(id) ON DELETE CASCADE,
+  period_id UUID NOT NULL REFERENCES collection_periods(id) ON DELETE CASCADE,
+  staff_id UUID NOT NULL REFERENCES staff(id) ON DELETE CASCADE,
+  sent_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_period_reminders_period_staff ON period_reminders(period_id, staff_id);
+
+-- 9. 欠勤テーブル
+-- 欠勤にしたシフトの内容を残す（シフト自体は削除し、代わりのスタッフには新しくシフトを作る）
+CREATE TABLE IF NOT EXISTS absences (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL DEFAULT current_account_id() REFERENCES auth.users(id) ON DELETE CASCADE,
+  staff_id UUID NOT NULL REFERENCES staff(id) ON DELETE CASCADE,
+  date DATE NOT NULL,
+  start_time TIME NOT NULL,
+  end_time TIME NOT NULL,
+  pattern_id UUID REFERENCES shift_patterns(id) ON DELETE SET NULL,
+  was_published BOOLEAN DEFAULT FALSE, -- 欠勤前のシフトが公開済みだったか（代わりのシフトも同じ状態にする）
+  reason TEXT,
+  -- 代わりに入ったスタッフのシフト（未割り当てならNULL）
+  replacement_shift_id UUID REFERENCES shifts(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_absences_staff_date ON absences(staff_id, date);
+
+-- 10. シフト交代テーブル
+-- status: offered=交代を募集中, accepted=引き受け手あり（管理者の承認待ち）,
+--         approved=承認済み（シフトに反映）, rejected=却下, cancelled=取り下げ
+-- counter_shift_id を指定した場合は、引き受け手のシフトと交換する
+CREATE TABLE IF NOT EXISTS shift_swaps (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL DEFAULT current_account_id() REFERENCES auth.users(id) ON DELETE CASCADE,
+  shift_id UUID NOT NULL REFERENCES shifts(id) ON DELETE CASCADE,
+  requester_id UUID NOT NULL REFERENCES staff(id) ON DELETE CASCADE,
+  responder_id UUID REFERENCES staff(id) ON DELETE CASCADE,
+  counter_shift_id UUID REFERENCES shifts(id) ON DELETE CASCADE,
+  status TEXT NOT NULL DEFAULT 'offered' CHECK (status IN ('offered', 'accepted', 'approved', 'rejected', 'cancelled')),
+  note TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  responded_at TIMESTAMP WITH TIME ZONE,
+  decided_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_shift_swaps_status ON shift_swaps(status);
+
+-- 11. シフト変更履歴テーブル
+-- 交代などで担当スタッフが変わったシフトを記録する
+CREATE TABLE IF NOT EXISTS shift_change_logs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL DEFAULT current_account_id() REFERENCES auth.users(id) ON DELETE CASCADE,
+  shift_id UUID REFERENCES shifts(id) ON DELETE SET NULL,
+  date DATE NOT NULL,
+  start_time TIME NOT NULL,
+  end_time TIME NOT NULL,
+  from_staff_id UUID REFERENCES staff(id) ON DELETE SET NULL,
+  to_staff_id UUID REFERENCES staff(id) ON DELETE SET NULL,
+  source TEXT NOT NULL, -- 変更の種類（swap=交代、manual=カレンダーでの担当変更）
+  swap_id UUID REFERENCES shift_swaps(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_shift_change_logs_created ON shift_change_logs(created_at);
+
+-- 12. オープンシフトテーブル
+-- シフト生成で人数が足りなかった枠を、スタッフに募集する
+-- claim_mode: first_come=先着順（応募した時点でシフトを作成）, approval=管理者が承認
+-- status: open=募集中, filled=埋まった, cancelled=取り消し
+CREATE TABLE IF NOT EXISTS open_shifts (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL DEFAULT current_account_id() REFERENCES auth.users(id) ON DELETE CASCADE,
+  date DATE NOT NULL,
+  start_time TIME NOT NULL,
+  end_time TIME NOT NULL,
+  pattern_id UUID REFERENCES shift_patterns(id) ON DELETE SET NULL,
+  slots INTEGER NOT NULL DEFAULT 1 CHECK (slots > 0), -- 募集人数
+  claim_mode TEXT NOT NULL DEFAULT 'first_come' CHECK (claim_mode IN ('first_come', 'approval')),
+  status TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'filled', 'cancelled')),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  CONSTRAINT check_open_shift_time CHECK (end_time <> start_time)
+);
+
+CREATE INDEX IF NOT EXISTS idx_open_shifts_status_date ON open_shifts(status, date);
+
+-- 13. オープンシフトの応募テーブル
+-- status: pending=承認待ち, approved=採用（シフト作成済み）, rejected=不採用
+CREATE TABLE IF NOT EXISTS open_shift_claims (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL DEFAULT current_account_id() REFERENCES auth.users(id) ON DELETE CASCADE,
+  open_shift_id UUID NOT NULL REFERENCES open_shifts(id) ON DELETE CASCADE,
+  staff_id UUID NOT NULL REFERENCES staff(id) ON DELETE CASCADE,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected')),
+  shift_id UUID REFERENCES shifts(id) ON DELETE SET NULL, -- 採用時に作成したシフト
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  decided_at TIMESTAMP WITH TIME ZONE,
+  CONSTRAINT unique_open_shift_staff UNIQUE (open_shift_id, staff_id)
+);
+
+-- 14. 時給テーブル
+-- 時給はオーナーだけが見られるよう、スタッフテーブルから分けて管理する
+CREATE TABLE IF NOT EXISTS staff_wages (
+  staff_id UUID PRIMARY KEY REFERENCES staff(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL DEFAULT current_account_id() REFERENCES auth.users(id) ON DELETE CASCADE,
+  hourly_wage INTEGER NOT NULL CHECK (hourly_wage > 0),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- 15. メンバーテーブル
+-- オーナーのアカウントにログインして参加している人と役割
+-- オーナー本人の行はない（どこにも参加していないアカウントは、自分のデータのオーナーになる）
+CREATE TABLE IF NOT EXISTS members (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE, -- 参加先（オーナー）のアカウント
+  member_user_id UUID NOT NULL UNIQUE REFERENCES auth.users(id) ON DELETE CASCADE, -- 参加したアカウント
+  role TEXT NOT NULL CHECK (role IN ('manager', 'staff')),
+  staff_id UUID UNIQUE REFERENCES staff(id) ON DELETE SET NULL, -- 連携しているスタッフ（staff のとき）
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_members_user ON members(user_id);
+
+-- 16. 招待テーブル
+-- オーナーが発行した招待リンク（/invite?code=...）を開いて参加する
+-- スタッフとして招待するときは、ログインしたアカウントを staff_id のスタッフと連携する
+CREATE TABLE IF NOT EXISTS invitations (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL DEFAULT current_account_id() REFERENCES auth.users(id) ON DELETE CASCADE,
+  code TEXT NOT NULL UNIQUE DEFAULT replace(gen_random_uuid()::text, '-', ''),
+  role TEXT NOT NULL DEFAULT 'staff' CHECK (role IN ('manager', 'staff')),
+  staff_id UUID REFERENCES staff(id) ON DELETE CASCADE,
+  accepted_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  accepted_at TIMESTAMP WITH TIME ZONE,
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW() + INTERVAL '7 days',
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  CONSTRAINT check_invitation_staff CHECK (role <> 'staff' OR staff_id IS NOT NULL)
+);
+
+CREATE INDEX IF NOT EXISTS idx_invitations_user ON invitations(user_id);
+
+-- 17. 店舗テーブル
+-- シフトパターン・必要人数・シフトは店舗ごとに持つ（store_id は下の「既存のデータベース向けの変更」で追加する）
+-- close_time < open_time の場合は日付をまたいで営業する（例：18:00〜02:00）
+CREATE TABLE IF NOT EXISTS stores (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL DEFAULT current_account_id() REFERENCES auth.users(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  open_time TIME NOT NULL DEFAULT '09:00',
+  close_time TIME NOT NULL DEFAULT '22:00',
+  -- シフトの制約（lib/shiftEngine.js の DEFAULT_CONSTRAINTS と同じ既定値）
+  -- 週の始まり（0=日曜〜6=土曜）・連続勤務の上限・週の勤務日数の上限
+  week_start_day INTEGER NOT NULL DEFAULT 1 CHECK (week_start_day >= 0 AND week_start_day <= 6),
+  max_consecutive_days INTEGER NOT NULL DEFAULT 3 CHECK (max_consecutive_days > 0),
+  max_days_per_week INTEGER NOT NULL DEFAULT 5 CHECK (max_days_per_week >= 1 AND max_days_per_week <= 7),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_stores_user ON stores(user_id);
+
+-- 18. 店舗の所属スタッフテーブル
+-- スタッフは複数の店舗に所属できる（シフトはその店舗に所属するスタッフから作る）
+CREATE TABLE IF NOT EXISTS store_staff (
+  store_id UUID NOT NULL REFERENCES stores(id) ON DELETE CASCADE,
+  staff_id UUID NOT NULL REFERENCES staff(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL DEFAULT current_account_id() REFERENCES auth.users(id) ON DELETE CASCADE,
+  PRIMARY KEY (store_id, staff_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_store_staff_staff ON store_staff(staff_id);
+
+-- 既存のデータベース向けの変更
+-- （テーブル作成済みの環境でも、このファイルを再実行すれば最新の定義になる）
+ALTER TABLE shifts ADD COLUMN IF NOT EXISTS pattern_id UUID REFERENCES shift_patterns(id) ON DELETE SET NULL;
+ALTER TABLE shifts DROP CONSTRAINT IF EXISTS check_shift_time;
+ALTER TABLE shifts ADD CONSTRAINT check_shift_time CHECK (end_time <> start_time);
+-- 公開の状態を追加する前からあるシフトはスタッフに見えていたため、公開済みとして追加し、その後の既定値を下書きにする
+ALTER TABLE shifts ADD COLUMN IF NOT EXISTS is_published BOOLEAN DEFAULT TRUE;
+ALTER TABLE shifts ALTER COLUMN is_published SET DEFAULT FALSE;
+ALTER TABLE shifts ADD COLUMN IF NOT EXISTS is_locked BOOLEAN DEFAULT FALSE;
+ALTER TABLE collection_periods ADD COLUMN IF NOT EXISTS opens_on DATE NOT NULL DEFAULT CURRENT_DATE;
+ALTER TABLE collection_periods ADD COLUMN IF NOT EXISTS status TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'closed', 'published'));
+
+-- アカウントごとのデータ分離
+-- 追加前からある行は user_id が NULL になり、どのアカウントからも見えなくなる
+-- 引き継ぐ場合は UPDATE <テーブル> SET user_id = '<アカウントのID>' WHERE user_id IS NULL; を実行する
+ALTER TABLE staff ADD COLUMN IF NOT EXISTS user_id UUID DEFAULT current_account_id() REFERENCES auth.users(id) ON DELETE CASCADE;
+ALTER TABLE availability ADD COLUMN IF NOT EXISTS user_id UUID DEFAULT current_account_id() REFERENCES auth.users(id) ON DELETE CASCADE;
+ALTER TABLE shift_patterns ADD COLUMN IF NOT EXISTS user_id UUID DEFAULT current_account_id() REFERENCES auth.users(id) ON DELETE CASCADE;
+ALTER TABLE staffing_requirements ADD COLUMN IF NOT EXISTS user_id UUID DEFAULT current_account_id() REFERENCES auth.users(id) ON DELETE CASCADE;
+ALTER TABLE shifts ADD COLUMN IF NOT EXISTS user_id UUID DEFAULT current_account_id() REFERENCES auth.users(id) ON DELETE CASCADE;
+ALTER TABLE collection_periods ADD COLUMN IF NOT EXISTS user_id UUID DEFAULT current_account_id() REFERENCES auth.users(id) ON DELETE CASCADE;
+ALTER TABLE shift_requests ADD COLUMN IF NOT EXISTS user_id UUID DEFAULT current_account_id() REFERENCES auth.users(id) ON DELETE CASCADE;
+ALTER TABLE period_reminders ADD COLUMN IF NOT EXISTS user_id UUID DEFAULT current_account_id() REFERENCES auth.users(id) ON DELETE CASCADE;
+ALTER TABLE absences ADD COLUMN IF NOT EXISTS user_id UUID DEFAULT current_account_id() REFERENCES auth.users(id) ON DELETE CASCADE;
+ALTER TABLE shift_swaps ADD COLUMN IF NOT EXISTS user_id UUID DEFAULT current_account_id() REFERENCES auth.users(id) ON DELETE CASCADE;
+ALTER TABLE shift_change_logs ADD COLUMN IF NOT EXISTS user_id UUID DEFAULT current_account_id() REFERENCES auth.users(id) ON DELETE CASCADE;
+ALTER TABLE open_shifts ADD COLUMN IF NOT EXISTS user_id UUID DEFAULT current_account_id() REFERENCES auth.users(id) ON DELETE CASCADE;
+ALTER TABLE open_shift_claims ADD COLUMN IF NOT EXISTS user_id UUID DEFAULT current_account_id() REFERENCES auth.users(id) ON DELETE CASCADE;
+-- アカウントごとの検索用（既存のテーブルにも列を追加した後で作る）
+CREATE INDEX IF NOT EXISTS idx_staff_user ON staff(user_id);
+CREATE INDEX IF NOT EXISTS idx_shifts_user_date ON shifts(user_id, date);
+
+-- 店舗ごとのデータ
+ALTER TABLE shift_patterns ADD COLUMN IF NOT EXISTS store_id UUID REFERENCES stores(id) ON DELETE CASCADE;
+ALTER TABLE staffing_requirements ADD COLUMN IF NOT EXISTS store_id UUID REFERENCES stores(id) ON DELETE CASCADE;
+ALTER TABLE shifts ADD COLUMN IF NOT EXISTS store_id UUID REFERENCES stores(id) ON DELETE CASCADE;
+ALTER TABLE absences ADD COLUMN IF NOT EXISTS store_id UUID REFERENCES stores(id) ON DELETE CASCADE;
+ALTER TABLE open_shifts ADD COLUMN IF NOT EXISTS store_id UUID REFERENCES stores(id) ON DELETE CASCADE;
+ALTER TABLE collection_periods ADD COLUMN IF NOT EXISTS store_id UUID REFERENCES stores(id) ON DELETE CASCADE;
+CREATE INDEX IF NOT EXISTS idx_shifts_store_date ON shifts(store_id, date);
+ALTER TABLE stores ADD COLUMN IF NOT EXISTS week_start_day INTEGER NOT NULL DEFAULT 1 CHECK (week_start_day >= 0 AND week_start_day <= 6);
+ALTER TABLE stores ADD COLUMN IF NOT EXISTS max_consecutive_days INTEGER NOT NULL DEFAULT 3 CHECK (max_consecutive_days > 0);
+ALTER TABLE stores ADD COLUMN IF NOT EXISTS max_days_per_week INTEGER NOT NULL DEFAULT 5 CHECK (max_days_per_week >= 1 AND max_days_per_week <= 7);
+
+-- 店舗を追加する前からあるデータは、アカウントごとに「本店」を作ってまとめる
+-- スタッフは全員「本店」に所属させる
+DO $$
+DECLARE
+  v_account UUID;
+  v_store_id UUID;
+BEGIN
+  FOR v_account IN
+    SELECT user_id FROM staff WHERE user_id IS NOT NULL
+    UNION SELECT user_id FROM shift_patterns WHERE user_id IS NOT NULL AND store_id IS NULL
+    UNION SELECT user_id FROM staffing_requirements WHERE user_id IS NOT NULL AND store_id IS NULL
+    UNION SELECT user_id FROM shifts WHERE user_id IS NOT NULL AND store_id IS NULL
+    UNION SELECT user_id FROM collection_periods WHERE user_id IS NOT NULL AND store_id IS NULL
+  LOOP
+    SELECT id INTO v_store_id FROM stores WHERE user_id = v_account ORDER BY created_at LIMIT 1;
+    IF v_store_id IS NULL THEN
+      INSERT INTO stores (user_id, name) VALUES (v_account, '本店') RETURNING id INTO v_store_id;
+      INSERT INTO store_staff (store_id, staff_id, user_id)
+      SELECT v_store_id, id, v_account FROM staff WHERE user_id = v_account
+      ON CONFLICT DO NOTHING;
+    END IF;
+
+    UPDATE shift_patterns SET store_id = v_store_id WHERE user_id = v_account AND store_id IS NULL;
+    UPDATE staffing_requirements SET store_id = v_store_id WHERE user_id = v_account AND store_id IS NULL;
+    UPDATE shifts SET store_id = v_store_id WHERE user_id = v_account AND store_id IS NULL;
+    UPDATE absences SET store_id = v_store_id WHERE user_id = v_account AND store_id IS NULL;
+    UPDATE open_shifts SET store_id = v_store_id WHERE user_id = v_account AND store_id IS NULL;
+    UPDATE collection_periods SET store_id = v_store_id WHERE user_id = v_account AND store_id IS NULL;
+  END LOOP;
+END $$;
+
+-- 時給を staff_wages に移す（オーナー以外から見えないようにするため）
+-- user_id が未設定のスタッフがいる場合は、時給が失われないよう移さずに終える
+DO $$
+BEGIN
+  IF EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_schema = 'public' AND table_name = 'staff' AND column_name = 'hourly_wage'
+  ) THEN
+    IF EXISTS (SELECT 1 FROM staff WHERE user_id IS NULL) THEN
+      RAISE NOTICE 'user_id が未設定のスタッフがいるため、時給を移していません。user_id を設定してから再実行してください';
+    ELSE
+      INSERT INTO staff_wages (staff_id, user_id, hourly_wage)
+      SELECT id, user_id, hourly_wage FROM staff
+      ON CONFLICT (staff_id) DO NOTHING;
+      ALTER TABLE staff DROP COLUMN hourly_wage;
+    END IF;
+  END IF;
+END $$;
+
+-- 行レベルセキュリティ（RLS）
+-- 所属するアカウント（current_account_id()）の行だけを、役割に応じて読み書きできる
+--   owner:   すべての操作（スタッフ・店舗の登録、時給、招待はオーナーだけ）
+--   manager: シフトまわりの閲覧・編集
+--   staff:   自分のシフト・希望・応募の閲覧と、希望の提出・交代の募集と引き受け
+-- 下の関数は呼び出したアカウントの権限で実行されるため、関数の中の処理にも同じ制限がかかる
+DO $$
+DECLARE
+  v_table TEXT;
+  v_policy TEXT;
+BEGIN
+  FOREACH v_table IN ARRAY ARRAY[
+    'staff', 'availability', 'shift_patterns', 'staffing_requirements', 'shifts',
+    'collection_periods', 'shift_requests', 'period_reminders', 'absences',
+    'shift_swaps', 'shift_change_logs', 'open_shifts', 'open_shift_claims',
+    'staff_wages', 'members', 'invitations', 'stores', 'store_staff'
+  ] LOOP
+    EXECUTE format('ALTER TABLE %I ENABLE ROW LEVEL SECURITY', v_table);
+    EXECUTE format('ALTER TABLE %I ALTER COLUMN user_id SET DEFAULT current_account_id()', v_table);
+    FOREACH v_policy IN ARRAY ARRAY[
+      'owner_access', 'account_read', 'manager_write', 'owner_write',
+      'staff_insert_own', 'staff_update_own', 'member_read_own'
+    ] LOOP
+      EXECUTE format('DROP POLICY IF EXISTS %I ON %I', v_policy, v_table);
+    END LOOP;
+  END LOOP;
+
+  -- アカウント内の全員が見られる
+  FOREACH v_table IN ARRAY ARRAY[
+    'staff', 'shift_patterns', 'staffing_requirements', 'collection_periods', 'open_shifts', 'shift_swaps',
+    'stores', 'store_staff'
+  ] LOOP
+    EXECUTE format(
+      'CREATE POLICY account_read ON %I FOR SELECT USING (user_id = current_account_id())',
+      v_table
+    );
+  END LOOP;
+
+  -- スタッフは自分の行だけ見られる
+  FOREACH v_table IN ARRAY ARRAY[
+    'availability', 'shift_requests', 'period_reminders', 'absences', 'open_shift_claims'
+  ] LOOP
+    EXECUTE format(
+      'CREATE POLICY account_read ON %I FOR SELECT USING (user_id = current_account_id() AND (is_manager() OR staff_id = current_staff_id()))',
+      v_table
+    );
+  END LOOP;
+
+  -- オーナー・マネージャーが編集できる
+  FOREACH v_table IN ARRAY ARRAY[
+    'availability', 'shift_patterns', 'staffing_requirements', 'shifts',
+    'collection_periods', 'shift_requests', 'period_reminders', 'absences',
+    'shift_swaps', 'shift_change_logs', 'open_shifts', 'open_shift_claims'
+  ] LOOP
+    EXECUTE format(
+      'CREATE POLICY manager_write ON %I FOR ALL USING (user_id = current_account_id() AND is_manager()) WITH CHECK (user_id = current_account_id() AND is_manager())',
+      v_table
+    );
+  END LOOP;
+
+  -- オーナーだけが見られる・編集できる
+  FOREACH v_table IN ARRAY ARRAY['staff', 'staff_wages', 'members', 'invitations', 'stores', 'store_staff'] LOOP
+    EXECUTE format(
+      'CREATE POLICY owner_write ON %I FOR ALL USING (user_id = current_account_id() AND current_member_role() = ''owner'') WITH CHECK (user_id = current_account_id() AND current_member_role() = ''owner'')',
+      v_table
+    );
+  END LOOP;
+END $$;
+
+-- シフト: スタッフは公開済みのシフトのうち、自分のシフトと交代の募集に出ているシフトだけ見られる
+-- 下書きはマネージャー以外には見せない（画面だけでなく、APIから直接読んでも返さない）
+CREATE POLICY account_read ON shifts FOR SELECT USING (
+  user_id = current_account_id() AND (
+    is_manager()
+    OR (
+      is_published
+      AND (
+        staff_id = current_staff_id()
+        OR EXISTS (
+          SELECT 1 FROM shift_swaps w
+          WHERE (w.shift_id = shifts.id OR w.counter_shift_id = shifts.id)
+            AND w.status IN ('offered', 'accepted')
+        )
+      )
+    )
+  )
+);
+
+-- 希望シフト: スタッフは自分の希望を提出・再提出できる
+-- 提出できるのは受付中で、今日が受付開始日〜締切日の間にある期間だけ（lib/periods.js の isAcceptingRequests と同じ）
+CREATE POLICY staff_insert_own ON shift_requests FOR INSERT
+  WITH CHECK (
+    user_id = current_account_id()
+    AND staff_id = current_staff_id()
+    AND EXISTS (
+      SELECT 1 FROM collection_periods p
+      WHERE p.id = shift_requests.period_id AND p.status = 'open' AND p.opens_on <= CURRENT_DATE AND CURRENT_DATE <= p.deadline
+    )
+  );
+CREATE POLICY staff_update_own ON shift_requests FOR UPDATE
+  USING (
+    user_id = current_account_id()
+    AND staff_id = current_staff_id()
+    AND EXISTS (
+      SELECT 1 FROM collection_periods p
+      WHERE p.id = shift_requests.period_id AND p.status = 'open' AND p.opens_on <= CURRENT_DATE AND CURRENT_DATE <= p.deadline
+    )
+  )
+  WITH CHECK (
+    user_id = current_account_id()
+    AND staff_id = current_staff_id()
+    AND EXISTS (
+      SELECT 1 FROM collection_periods p
+      WHERE p.id = shift_requests.period_id AND p.status = 'open' AND p.opens_on <= CURRENT_DATE AND CURRENT_DATE <= p.deadline
+    )
+  );
+
+-- シフト交代: スタッフは自分のシフトの交代を募集できる
+-- 引き受け・取り下げは accept_shift_swap / cancel_shift_swap 関数で行う（交代の行を直接は更新できない）
+-- 承認・却下はマネージャーだけ
+CREATE POLICY staff_insert_own ON shift_swaps FOR INSERT
+  WITH CHECK (
+    user_id = current_account_id()
+    AND requester_id = current_staff_id()
+    AND status = 'offered'
+    AND EXISTS (SELECT 1 FROM shifts s WHERE s.id = shift_swaps.shift_id AND s.staff_id = current_staff_id())
+  );
+
+-- メンバー: 自分の参加先と役割は見られる
+CREATE POLICY member_read_own ON members FOR SELECT USING (member_user_id = auth.uid());
+
+-- リアルタイム更新（カレンダー・勤務表・ホーム画面が shifts / staff の変更を購読する）
+-- 再実行してもエラーにならないよう、未登録のテーブルだけを追加する
+DO $$
+DECLARE
+  v_table TEXT;
+BEGIN
+  FOREACH v_table IN ARRAY ARRAY['shifts', 'staff'] LOOP
+    IF NOT EXISTS (
+      SELECT 1 FROM pg_publication_tables
+      WHERE pubname = 'supabase_realtime' AND schemaname = 'public' AND tablename = v_table
+    ) THEN
+      EXECUTE format('ALTER PUBLICATION supabase_realtime ADD TABLE %I', v_table);
+    END IF;
+  END LOOP;
+END $$;
+
+-- シフトの変更をまとめて反映する関数
+-- 削除・更新・追加を1つのトランザクションで実行する
+-- 途中で失敗した場合はすべて取り消されるため、期間のシフトが消えたままになることはない
+-- 確定済み（is_confirmed = TRUE）・固定（is_locked = TRUE）のシフトは削除・更新しない
+-- 追加したシフトは下書き（未公開）になる
+CREATE OR REPLACE FUNCTION apply_shift_changes(
+  p_inserts JSONB DEFAULT '[]',
+  p_updates JSONB DEFAULT '[]',
+  p_deletes UUID[] DEFAULT '{}'
+)
+RETURNS VOID
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  DELETE FROM shifts
+  WHERE id = ANY(p_deletes)
+    AND is_confirmed = FALSE
+    AND is_locked = FALSE;
+
+  UPDATE shifts s
+  SET start_time = u.start_time,
+      end_time = u.end_time,
+      pattern_id = u.pattern_id
+  FROM jsonb_to_recordset(p_updates) AS u(id UUID, start_time TIME, end_time TIME, pattern_id UUID)
+  WHERE s.id = u.id
+    AND s.is_confirmed = FALSE
+    AND s.is_locked = FALSE;
+
+  INSERT INTO shifts (staff_id, date, start_time, end_time, pattern_id, store_id, is_published, is_confirmed)
+  SELECT i.staff_id, i.date, i.start_time, i.end_time, i.pattern_id, i.store_id, FALSE, FALSE
+  FROM jsonb_to_recordset(p_inserts) AS i(staff_id UUID, date DATE, start_time TIME, end_time TIME, pattern_id UUID, store_id UUID);
+END;
+$$;
+
+-- スタッフの勤務可能時間をまとめて置き換える
+-- 削除と追加を1つのトランザクションで行うため、追加に失敗しても元の勤務可能時間が残る
+CREATE OR REPLACE FUNCTION replace_availability(p_staff_id UUID, p_ranges JSONB DEFAULT '[]')
+RETURNS VOID
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  DELETE FROM availability WHERE staff_id = p_staff_id;
+
+  INSERT INTO availability (staff_id, day_of_week, start_time, end_time, priority)
+  SELECT p_staff_id, r.day_of_week, r.start_time, r.end_time, r.priority
+  FROM jsonb_to_recordset(p_ranges) AS r(day_of_week INTEGER, start_time TIME, end_time TIME, priority INTEGER);
+END;
+$$;
+
+-- 提出期間のシフトを公開する
+-- 期間の店舗の下書きシフトの公開と、期間の状態の変更を1つのトランザクションで行う
+-- 確定済みのシフトはそのままにする
+CREATE OR REPLACE FUNCTION publish_collection_period(p_period_id UUID)
+RETURNS collection_periods
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_period collection_periods;
+BEGIN
+  SELECT * INTO v_period FROM collection_periods WHERE id = p_period_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION '提出期間が見つかりません';
+  END IF;
+  IF v_period.store_id IS NULL THEN
+    RAISE EXCEPTION '店舗が設定されていない提出期間です';
+  END IF;
+
+  UPDATE shifts
+  SET is_published = TRUE
+  WHERE user_id = v_period.user_id
+    AND store_id = v_period.store_id
+    AND date BETWEEN v_period.start_date AND v_period.end_date
+    AND is_confirmed = FALSE;
+
+  UPDATE collection_periods SET status = 'published' WHERE id = p_period_id
+  RETURNING * INTO v_period;
+
+  RETURN v_period;
+END;
+$$;
+
+-- シフトを欠勤にする
+-- 欠勤の記録とシフトの削除を1つのトランザクションで行う
+CREATE OR REPLACE FUNCTION mark_shift_absent(p_shift_id UUID, p_reason TEXT DEFAULT NULL)
+RETURNS absences
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_shift shifts;
+  v_absence absences;
+BEGIN
+  SELECT * INTO v_shift FROM shifts WHERE id = p_shift_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'シフトが見つかりません';
+  END IF;
+
+  INSERT INTO absences (staff_id, date, start_time, end_time, pattern_id, store_id, was_published, reason)
+  VALUES (v_shift.staff_id, v_shift.date, v_shift.start_time, v_shift.end_time, v_shift.pattern_id, v_shift.store_id, v_shift.is_published, p_reason)
+  RETURNING * INTO v_absence;
+
+  DELETE FROM shifts WHERE id = p_shift_id;
+
+  RETURN v_absence;
+END;
+$$;
+
+-- 欠勤したシフトに代わりのスタッフを割り当てる
+-- 同じ時間帯のシフトを作成し、欠勤の記録と結び付ける
+-- 候補の画面（lib/replacement.js）と同じ条件（shift_assignment_issues）を満たさないスタッフには割り当てない
+CREATE OR REPLACE FUNCTION assign_replacement(p_absence_id UUID, p_staff_id UUID)
+RETURNS shifts
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_absence absences;
+  v_shift shifts;
+  v_issues TEXT[];
+BEGIN
+  SELECT * INTO v_absence FROM absences WHERE id = p_absence_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION '欠勤の記録が見つかりません';
+  END IF;
+  IF v_absence.replacement_shift_id IS NOT NULL THEN
+    RAISE EXCEPTION '既に代わりのスタッフが割り当てられています';
+  END IF;
+
+  v_issues := shift_assignment_issues(
+    p_staff_id, v_absence.store_id, v_absence.date,
+    v_absence.start_time, v_absence.end_time, v_absence.pattern_id
+  );
+  IF cardinality(v_issues) > 0 THEN
+    RAISE EXCEPTION '条件を満たさないため割り当てられません（%）', array_to_string(v_issues, '、');
+  END IF;
+
+  INSERT INTO shifts (staff_id, date, start_time, end_time, pattern_id, store_id, is_published)
+  VALUES (p_staff_id, v_absence.date, v_absence.start_time, v_absence.end_time, v_absence.pattern_id, v_absence.store_id, v_absence.was_published)
+  RETURNING * INTO v_shift;
+
+  UPDATE absences SET replacement_shift_id = v_shift.id WHERE id = p_absence_id;
+
+  RETURN v_shift;
+END;
+$$;
+
+-- シフト交代の募集を引き受ける（交換するシフトを選んだ場合は交換の提案になる）
+-- スタッフは交代の行を直接更新できないため作成者の権限で実行し、変えるのは状態・引き受け手・交換するシフトだけにする
+-- 交換するシフトは、引き受けるスタッフ本人の公開済みのシフトに限る
+CREATE OR REPLACE FUNCTION accept_shift_swap(p_swap_id UUID, p_staff_id UUID, p_counter_shift_id UUID DEFAULT NULL)
+RETURNS shift_swaps
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_swap shift_swaps;
+BEGIN
+  -- スタッフは自分としてだけ引き受けられる
+  IF NOT EXISTS (SELECT 1 FROM staff WHERE id = p_staff_id AND user_id = current_account_id())
+    OR (NOT is_manager() AND p_staff_id IS DISTINCT FROM current_staff_id()) THEN
+    RAISE EXCEPTION 'このスタッフとして引き受ける権限がありません';
+  END IF;
+
+  -- ほかの人が同時に引き受けた場合に上書きしないよう、行をロックする
+  SELECT * INTO v_swap FROM shift_swaps
+  WHERE id = p_swap_id AND user_id = current_account_id()
+  FOR UPDATE;
+  IF NOT FOUND OR v_swap.status <> 'offered' THEN
+    RAISE EXCEPTION 'この募集は既に締め切られています';
+  END IF;
+  IF v_swap.requester_id = p_staff_id THEN
+    RAISE EXCEPTION '自分の募集は引き受けられません';
+  END IF;
+
+  IF p_counter_shift_id IS NOT NULL AND NOT EXISTS (
+    SELECT 1 FROM shifts
+    WHERE id = p_counter_shift_id AND user_id = v_swap.user_id AND staff_id = p_staff_id AND is_published
+  ) THEN
+    RAISE EXCEPTION '交換するシフトは自分の公開済みのシフトから選んでください';
+  END IF;
+
+  UPDATE shift_swaps
+  SET status = 'accepted', responder_id = p_staff_id, counter_shift_id = p_counter_shift_id, responded_at = NOW()
+  WHERE id = p_swap_id
+  RETURNING * INTO v_swap;
+
+  RETURN v_swap;
+END;
+$$;
+
+-- シフト交代の申請を取り下げる
+-- スタッフは自分が募集した申請だけ、承認前（募集中・承認待ち）のうちに取り下げられる
+CREATE OR REPLACE FUNCTION cancel_shift_swap(p_swap_id UUID)
+RETURNS shift_swaps
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_swap shift_swaps;
+BEGIN
+  SELECT * INTO v_swap FROM shift_swaps
+  WHERE id = p_swap_id AND user_id = current_account_id()
+  FOR UPDATE;
+  IF NOT FOUND OR v_swap.status NOT IN ('offered', 'accepted') THEN
+    RAISE EXCEPTION '取り下げられる申請ではありません';
+  END IF;
+  IF NOT is_manager() AND v_swap.requester_id IS DISTINCT FROM current_staff_id() THEN
+    RAISE EXCEPTION '自分の申請だけ取り下げられます';
+  END IF;
+
+  UPDATE shift_swaps SET status = 'cancelled', decided_at = NOW() WHERE id = p_swap_id
+  RETURNING * INTO v_swap;
+
+  RETURN v_swap;
+END;
+$$;
+
+-- シフト交代を承認して反映する
+-- 担当スタッフの入れ替えと履歴の記録を1つのトランザクションで行う
+-- 申請後にシフトの担当が変わっていた場合や、交代後に条件（shift_assignment_issues）を満たさない場合は反映しない
+CREATE OR REPLACE FUNCTION approve_shift_swap(p_swap_id UUID)
+RETURNS VOID
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_swap shift_swaps;
+  v_shift shifts;
+  v_counter shifts;
+  v_swapped_ids UUID[];
+  v_issues TEXT[];
+BEGIN
+  SELECT * INTO v_swap FROM shift_swaps WHERE id = p_swap_id FOR UPDATE;
+  IF NOT FOUND OR v_swap.status <> 'accepted' THEN
+    RAISE EXCEPTION '承認待ちの交代申請ではありません';
+  END IF;
+
+  SELECT * INTO v_shift FROM shifts WHERE id = v_swap.shift_id FOR UPDATE;
+  IF NOT FOUND OR v_shift.staff_id <> v_swap.requester_id THEN
+    RAISE EXCEPTION '交代するシフトが変更されています';
+  END IF;
+
+  IF v_swap.counter_shift_id IS NOT NULL THEN
+    SELECT * INTO v_counter FROM shifts WHERE id = v_swap.counter_shift_id FOR UPDATE;
+    IF NOT FOUND OR v_counter.staff_id <> v_swap.responder_id THEN
+      RAISE EXCEPTION '交換するシフトが変更されています';
+    END IF;
+  END IF;
+
+  -- 交代後の2人の条件を確かめる（入れ替える2つのシフトは交代前の担当として数えない）
+  v_swapped_ids := array_remove(ARRAY[v_shift.id, v_swap.counter_shift_id], NULL);
+  v_issues := ARRAY(
+    SELECT st.name || ': ' || issue
+    FROM staff st, unnest(shift_assignment_issues(
+      v_swap.responder_id, v_shift.store_id, v_shift.date,
+      v_shift.start_time, v_shift.end_time, v_shift.pattern_id, v_swapped_ids
+    )) AS issue
+    WHERE st.id = v_swap.responder_id
+  );
+  IF v_swap.counter_shift_id IS NOT NULL THEN
+    v_issues := v_issues || ARRAY(
+      SELECT st.name || ': ' || issue
+      FROM staff st, unnest(shift_assignment_issues(
+        v_swap.requester_id, v_counter.store_id, v_counter.date,
+        v_counter.start_time, v_counter.end_time, v_counter.pattern_id, v_swapped_ids
+      )) AS issue
+      WHERE st.id = v_swap.requester_id
+    );
+  END IF;
+  IF cardinality(v_issues) > 0 THEN
+    RAISE EXCEPTION '交代後に条件を満たさないため承認できません（%）', array_to_string(v_issues, '、');
+  END IF;
+
+  IF v_swap.counter_shift_id IS NOT NULL THEN
+    UPDATE shifts SET staff_id = v_swap.requester_id WHERE id = v_counter.id;
+    INSERT INTO shift_change_logs (shift_id, date, start_time, end_time, from_staff_id, to_staff_id, source, swap_id)
+    VALUES (v_counter.id, v_counter.date, v_counter.start_time, v_counter.end_time, v_swap.responder_id, v_swap.requester_id, 'swap', v_swap.id);
+  END IF;
+
+  UPDATE shifts SET staff_id = v_swap.responder_id WHERE id = v_shift.id;
+  INSERT INTO shift_change_logs (shift_id, date, start_time, end_time, from_staff_id, to_staff_id, source, swap_id)
+  VALUES (v_shift.id, v_shift.date, v_shift.start_time, v_shift.end_time, v_swap.requester_id, v_swap.responder_id, 'swap', v_swap.id);
+
+  UPDATE shift_swaps SET status = 'approved', decided_at = NOW() WHERE id = p_swap_id;
+END;
+$$;
+
+-- オープンシフトの応募を採用する（内部用）
+-- シフトを作成し、募集人数に達したら募集を締め切る
+CREATE OR REPLACE FUNCTION fill_open_shift_claim(p_open_shift open_shifts, p_claim_id UUID)
+RETURNS open_shift_claims
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_claim open_shift_claims;
+  v_shift_id UUID;
+BEGIN
+  SELECT * INTO v_claim FROM open_shift_claims WHERE id = p_claim_id;
+
+  INSERT INTO shifts (staff_id, date, start_time, end_time, pattern_id, store_id, is_published)
+  VALUES (v_claim.staff_id, p_open_shift.date, p_open_shift.start_time, p_open_shift.end_time, p_open_shift.pattern_id, p_open_shift.store_id, TRUE)
+  RETURNING id INTO v_shift_id;
+
+  UPDATE open_shift_claims
+  SET status = 'approved', shift_id = v_shift_id, decided_at = NOW()
+  WHERE id = p_claim_id
+  RETURNING * INTO v_claim;
+
+  IF (SELECT COUNT(*) FROM open_shift_claims WHERE open_shift_id = p_open_shift.id AND status = 'approved') >= p_open_shift.slots THEN
+    UPDATE open_shifts SET status = 'filled' WHERE id = p_open_shift.id;
+  END IF;
+
+  RETURN v_claim;
+END;
+$$;
+
+-- シフトの労働時間（時間単位）
+-- lib/shiftEngine.js の getShiftHours と同じく、日付をまたぐシフトは翌日の終了時刻までとして休憩時間を差し引く
+CREATE OR REPLACE FUNCTION shift_hours(p_start_time TIME, p_end_time TIME, p_break_minutes INTEGER DEFAULT 0)
+RETURNS NUMERIC
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  SELECT GREATEST(
+    EXTRACT(EPOCH FROM (p_end_time - p_start_time)) / 60
+      + CASE WHEN p_end_time <= p_start_time THEN 24 * 60 ELSE 0 END
+      - COALESCE(p_break_minutes, 0),
+    0
+  ) / 60;
+$$;
+
+-- スタッフにシフトを割り当てられるか確認し、割り当てられない理由を返す（空なら割り当て可能）
+-- 画面（lib/shiftRules.js の checkAssignment）と同じ条件・メッセージで確認する
+--   NG日・勤務可能時間・1日1シフトまで・週の最大労働時間・週の勤務日数・連続勤務日数
+-- 週の始まりと日数の上限はシフトの店舗の設定を使い、シフトはすべての店舗を合わせて数える
+-- p_ignore_shift_ids のシフトは数えない（交代で担当から外れるシフトなど）
+CREATE OR REPLACE FUNCTION shift_assignment_issues(
+  p_staff_id UUID,
+  p_store_id UUID,
+  p_date DATE,
+  p_start_time TIME,
+  p_end_time TIME,
+  p_pattern_id UUID DEFAULT NULL,
+  p_ignore_shift_ids UUID[] DEFAULT '{}'
+)
+RETURNS TEXT[]
+LANGUAGE plpgsql
+STABLE
+AS $$
+DECLARE
+  v_max_hours INTEGER;
+  v_week_start_day INTEGER;
+  v_max_consecutive_days INTEGER;
+  v_max_days_per_week INTEGER;
+  v_day_of_week INTEGER := EXTRACT(DOW FROM p_date)::INTEGER;
+  v_week_start DATE;
+  v_weekly_hours NUMERIC;
+  v_weekly_days INTEGER;
+  v_consecutive INTEGER := 1;
+  v_direction INTEGER;
+  v_offset INTEGER;
+  v_issues TEXT[] := '{}';
+BEGIN
+  SELECT max_hours_per_week INTO v_max_hours FROM staff WHERE id = p_staff_id;
+  SELECT week_start_day, max_consecutive_days, max_days_per_week
+  INTO v_week_start_day, v_max_consecutive_days, v_max_days_per_week
+  FROM stores WHERE id = p_store_id;
+  -- 店舗のないシフトは DEFAULT_CONSTRAINTS と同じ値
+  v_week_start_day := COALESCE(v_week_start_day, 1);
+  v_max_consecutive_days := COALESCE(v_max_consecutive_days, 3);
+  v_max_days_per_week := COALESCE(v_max_days_per_week, 5);
+
+  IF EXISTS (
+    SELECT 1 FROM shift_requests
+    WHERE staff_id = p_staff_id AND p_date = ANY(unavailable_dates)
+  ) THEN
+    v_issues := v_issues || 'NG日'::TEXT;
+  END IF;
+
+  -- 勤務可能時間が未登録のスタッフは常に勤務可能
+  -- 日付をまたぐシフトは、当日の24時までと翌日の0時からの両方が勤務可能である必要がある
+  IF EXISTS (SELECT 1 FROM availability WHERE staff_id = p_staff_id) AND NOT (
+    CASE WHEN p_end_time <= p_start_time THEN
+      EXISTS (
+        SELECT 1 FROM availability
+        WHERE staff_id = p_staff_id AND day_of_week = v_day_of_week
+          AND start_time <= p_start_time AND end_time = '24:00'
+      )
+      AND EXISTS (
+        SELECT 1 FROM availability
+        WHERE staff_id = p_staff_id AND day_of_week = (v_day_of_week + 1) % 7
+          AND start_time = '00:00' AND p_end_time <= end_time
+      )
+    ELSE
+      EXISTS (
+        SELECT 1 FROM availability
+        WHERE staff_id = p_staff_id AND day_of_week = v_day_of_week
+          AND start_time <= p_start_time AND p_end_time <= end_time
+      )
+    END
+  ) THEN
+    v_issues := v_issues || '勤務可能時間外'::TEXT;
+  END IF;
+
+  IF EXISTS (
+    SELECT 1 FROM shifts
+    WHERE staff_id = p_staff_id AND date = p_date AND id <> ALL(p_ignore_shift_ids)
+  ) THEN
+    v_issues := v_issues || format('%s: 同じ日にシフトが重複', p_date);
+  END IF;
+
+  v_week_start := p_date - (v_day_of_week - v_week_start_day + 7) % 7;
+  SELECT
+    COALESCE(SUM(shift_hours(s.start_time, s.end_time, p.break_minutes)), 0),
+    COUNT(DISTINCT s.date) FILTER (WHERE s.date <> p_date)
+  INTO v_weekly_hours, v_weekly_days
+  FROM shifts s
+  LEFT JOIN shift_patterns p ON p.id = s.pattern_id
+  WHERE s.staff_id = p_staff_id
+    AND s.id <> ALL(p_ignore_shift_ids)
+    AND s.date BETWEEN v_week_start AND v_week_start + 6;
+  v_weekly_hours := v_weekly_hours + shift_hours(
+    p_start_time,
+    p_end_time,
+    (SELECT break_minutes FROM shift_patterns WHERE id = p_pattern_id)
+  );
+  v_weekly_days := v_weekly_days + 1;
+  IF v_max_hours IS NOT NULL AND v_weekly_hours > v_max_hours THEN
+    v_issues := v_issues || format('%sの週: 週%s時間を超える（%s時間）', v_week_start, v_max_hours, round(v_weekly_hours, 1));
+  END IF;
+  IF v_weekly_days > v_max_days_per_week THEN
+    v_issues := v_issues || format('%sの週: 週%s日を超える（%s日）', v_week_start, v_max_days_per_week, v_weekly_days);
+  END IF;
+
+  -- この日を含む連続勤務日数（前後それぞれ上限の日数まで数える）
+  FOREACH v_direction IN ARRAY ARRAY[-1, 1] LOOP
+    v_offset := 1;
+    WHILE v_offset <= v_max_consecutive_days AND EXISTS (
+      SELECT 1 FROM shifts
+      WHERE staff_id = p_staff_id AND date = p_date + v_direction * v_offset AND id <> ALL(p_ignore_shift_ids)
+    ) LOOP
+      v_consecutive := v_consecutive + 1;
+      v_offset := v_offset + 1;
+    END LOOP;
+  END LOOP;
+  IF v_consecutive > v_max_consecutive_days THEN
+    v_issues := v_issues || format('%s: %s日を超える連続勤務', p_date, v_max_consecutive_days);
+  END IF;
+
+  RETURN v_issues;
+END;
+$$;
+
+-- オープンシフトに応募する
+-- 先着順の募集はその場でシフトを作成し、承認制の募集は承認待ちにする
+-- スタッフはシフトを直接作成できないため作成者の権限で実行し、応募できるかはこの関数で確かめる
+-- 条件は画面と同じ（shift_assignment_issues）
+CREATE OR REPLACE FUNCTION claim_open_shift(p_open_shift_id UUID, p_staff_id UUID)
+RETURNS open_shift_claims
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_open_shift open_shifts;
+  v_claim open_shift_claims;
+  v_issues TEXT[];
+BEGIN
+  -- 同時に応募された場合に募集人数を超えないよう、行をロックする
+  SELECT * INTO v_open_shift FROM open_shifts
+  WHERE id = p_open_shift_id AND user_id = current_account_id()
+  FOR UPDATE;
+  IF NOT FOUND OR v_open_shift.status <> 'open' THEN
+    RAISE EXCEPTION 'このオープンシフトは募集を締め切りました';
+  END IF;
+
+  -- スタッフは自分としてだけ応募できる
+  IF NOT EXISTS (SELECT 1 FROM staff WHERE id = p_staff_id AND user_id = v_open_shift.user_id)
+    OR (NOT is_manager() AND p_staff_id IS DISTINCT FROM current_staff_id()) THEN
+    RAISE EXCEPTION 'このスタッフとして応募する権限がありません';
+  END IF;
+
+  v_issues := shift_assignment_issues(
+    p_staff_id, v_open_shift.store_id, v_open_shift.date,
+    v_open_shift.start_time, v_open_shift.end_time, v_open_shift.pattern_id
+  );
+  IF cardinality(v_issues) > 0 THEN
+    RAISE EXCEPTION '応募できません（%）', array_to_string(v_issues, '、');
+  END IF;
+
+  INSERT INTO open_shift_claims (open_shift_id, staff_id)
+  VALUES (p_open_shift_id, p_staff_id)
+  RETURNING * INTO v_claim;
+
+  IF v_open_shift.claim_mode = 'first_come' THEN
+    v_claim := fill_open_shift_claim(v_open_shift, v_claim.id);
+  END IF;
+
+  RETURN v_claim;
+END;
+$$;
+
+-- 承認制のオープンシフトの応募を採用する
+-- 応募してからシフトが変わっている場合もあるため、採用するときにもう一度条件を確かめる
+CREATE OR REPLACE FUNCTION approve_open_shift_claim(p_claim_id UUID)
+RETURNS open_shift_claims
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_claim open_shift_claims;
+  v_open_shift open_shifts;
+  v_issues TEXT[];
+BEGIN
+  SELECT * INTO v_claim FROM open_shift_claims WHERE id = p_claim_id FOR UPDATE;
+  IF NOT FOUND OR v_claim.status <> 'pending' THEN
+    RAISE EXCEPTION '承認待ちの応募ではありません';
+  END IF;
+
+  SELECT * INTO v_open_shift FROM open_shifts WHERE id = v_claim.open_shift_id FOR UPDATE;
+  IF v_open_shift.status <> 'open' THEN
+    RAISE EXCEPTION 'このオープンシフトは募集を締め切りました';
+  END IF;
+
+  v_issues := shift_assignment_issues(
+    v_claim.staff_id, v_open_shift.store_id, v_open_shift.date,
+    v_open_shift.start_time, v_open_shift.end_time, v_open_shift.pattern_id
+  );
+  IF cardinality(v_issues) > 0 THEN
+    RAISE EXCEPTION '採用できません（%）', array_to_string(v_issues, '、');
+  END IF;
+
+  RETURN fill_open_shift_claim(v_open_shift, p_claim_id);
+END;
+$$;
+
+-- スタッフを登録する
+-- スタッフ・時給・店舗への所属を1つのトランザクションで追加する（途中で失敗したら何も登録しない）
+-- p_store_id を省略すると、どの店舗にも所属させない
+CREATE OR REPLACE FUNCTION create_staff(
+  p_name TEXT,
+  p_max_hours_per_week INTEGER,
+  p_hourly_wage INTEGER,
+  p_store_id UUID DEFAULT NULL
+)
+RETURNS staff
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_staff staff;
+BEGIN
+  INSERT INTO staff (name, max_hours_per_week)
+  VALUES (p_name, p_max_hours_per_week)
+  RETURNING * INTO v_staff;
+
+  INSERT INTO staff_wages (staff_id, hourly_wage)
+  VALUES (v_staff.id, p_hourly_wage);
+
+  IF p_store_id IS NOT NULL THEN
+    INSERT INTO store_staff (store_id, staff_id)
+    VALUES (p_store_id, v_staff.id);
+  END IF;
+
+  RETURN v_staff;
+END;
+$$;
+
+-- スタッフの時給の安い順（1始まり、同じ時給は同じ順位）
+-- マネージャーは時給を読めないため、作成者の権限で順位だけを返す（代わりのスタッフの候補を並べるのに使う）
+CREATE OR REPLACE FUNCTION staff_wage_ranks()
+RETURNS TABLE (staff_id UUID, wage_rank INTEGER)
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF NOT is_manager() THEN
+    RAISE EXCEPTION '時給の順位を見る権限がありません';
+  END IF;
+
+  RETURN QUERY
+  SELECT w.staff_id, DENSE_RANK() OVER (ORDER BY w.hourly_wage)::INTEGER
+  FROM staff_wages w
+  WHERE w.user_id = current_account_id();
+END;
+$$;
+
+-- 招待を受けてアカウントに参加する
+-- 招待はオーナーしか見られないため、作成者の権限で実行して招待コードを確かめる
+CREATE OR REPLACE FUNCTION accept_invitation(p_code TEXT)
+RETURNS members
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_invitation invitations;
+  v_member members;
+BEGIN
+  IF auth.uid() IS NULL THEN
+    RAISE EXCEPTION 'ログインしてください';
+  END IF;
+
+  SELECT * INTO v_invitation FROM invitations WHERE code = p_code FOR UPDATE;
+  IF NOT FOUND OR v_invitation.accepted_at IS NOT NULL OR v_invitation.expires_at < NOW() THEN
+    RAISE EXCEPTION '招待が見つからないか、有効期限が切れています';
+  END IF;
+  IF v_invitation.user_id = auth.uid() THEN
+    RAISE EXCEPTION '自分が発行した招待には参加できません';
+  END IF;
+  IF EXISTS (SELECT 1 FROM members WHERE member_user_id = auth.uid()) THEN
+    RAISE EXCEPTION '既にほかのアカウントに参加しています';
+  END IF;
+  IF v_invitation.staff_id IS NOT NULL AND EXISTS (SELECT 1 FROM members WHERE staff_id = v_invitation.staff_id) THEN
+    RAISE EXCEPTION 'このスタッフは既にほかのアカウントと連携しています';
+  END IF;
+
+  INSERT INTO members (user_id, member_user_id, role, staff_id)
+  VALUES (v_invitation.user_id, auth.uid(), v_invitation.role, v_invitation.staff_id)
+  RETURNING * INTO v_member;
+
+  UPDATE invitations SET accepted_by = auth.uid(), accepted_at = NOW() WHERE id = v_invitation.id;
+
+  RETURN v_member;
+END;
+$$;
+
 -- テーブル作成完了メッセージ
 SELECT 'テーブル作成完了' AS message;
@@ -0,0 +1,108 @@
+// lib/availability.js
+import { timeToMinutes, minutesToTime } from '@/lib/shiftEngine'
+
+/**
+ * 勤務可能時間（availabilityテーブル）の編集用ユーティリティ
+ *
+ * エディタでは1日を30分単位のマスに区切り、
+ * マスごとの優先度（1〜3、未設定はnull）を持つ2次元配列で扱う
+ * grid[曜日][マス番号] = 優先度
+ */
+
+// 編集できる時間帯（00:00〜24:00）
+// 日付をまたぐ夜勤パターンにも対応するため、1日全体を対象にする
+export const GRID_START_MINUTES = 0
+export const GRID_END_MINUTES = 24 * 60
+export const SLOT_MINUTES = 30
+export const SLOT_COUNT = (GRID_END_MINUTES - GRID_START_MINUTES) / SLOT_MINUTES
+
+// 優先度の定義（availability.priority と同じ値）
+export const PRIORITY_OPTIONS = [
+  { value: 1, label: '希望', color: 'bg-green-500' },
+  { value: 2, label: '可能', color: 'bg-blue-400' },
+  { value: 3, label: 'できれば避けたい', color: 'bg-yellow-400' },
+]
+
+/**
+ * 空のグリッドを作成
+ */
+export function createEmptyGrid() {
+  return Array.from({ length: 7 }, () => Array(SLOT_COUNT).fill(null))
+}
+
+/**
+ * DBの行（時間帯）をグリッドに変換
+ * 30分単位に揃っていない時間帯は、少しでも重なるマスを塗る
+ */
+export function rangesToGrid(rows) {
+  const grid = createEmptyGrid()
+
+  for (const row of rows) {
+    const start = timeToMinutes(row.start_time)
+    const end = timeToMinutes(row.end_time)
+
+    for (let slot = 0; slot < SLOT_COUNT; slot++) {
+      const slotStart = GRID_START_MINUTES + slot * SLOT_MINUTES
+      const slotEnd = slotStart + SLOT_MINUTES
+      if (slotStart < end && start < slotEnd) {
+        grid[row.day_of_week][slot] = row.priority
+      }
+    }
+  }
+
+  return grid
+}
+
+/**
+ * グリッドをDBの行（時間帯）に変換
+ * 同じ優先度の連続したマスを1つの時間帯にまとめる
+ */
+export function gridToRanges(grid) {
+  const ranges = []
+
+  grid.forEach((slots, dayOfWeek) => {
+    let current = null
+
+    // 末尾にnullを足して、最後の時間帯も確定させる
+    const cells = [...slots, null]
+    cells.forEach((priority, slot) => {
+      if (current && current.priority === priority) return
+
+      if (current) {
+        ranges.push({
+          day_of_week: dayOfWeek,
+          start_time: minutesToTime(GRID_START_MINUTES + current.start * SLOT_MINUTES),
+          end_time: minutesToTime(GRID_START_MINUTES + slot * SLOT_MINUTES),
+          priority: current.priority,
+        })
+        current = null
+      }
+      if (priority) {
+        current = { priority, start: slot }
+      }
+    })
+  })
+
+  return ranges
+}
+
+/**
+ * 勤務可能時間の1行をチェック
+ * DBの制約（check_time_range 等）と同じ条件で検証し、エラーメッセージを返す
+ * 問題なければnull
+ */
+export function validateAvailabilityRange(range) {
+  if (!Number.isInteger(range.day_of_week) || range.day_of_week < 0 || range.day_of_week > 6) {
+    return '曜日が不正です'
+  }
+  if (!Number.isInteger(range.priority) || range.priority < 1 || range.priority > 3) {
+    return '優先度は1〜3で指定してください'
+  }
+  if (!range.start_time || !range.end_time) {
+    return '開始時刻と終了時刻を指定してください'
+  }
+  if (timeToMinutes(range.end_time) <= timeToMinutes(range.start_time)) {
+    return '終了時刻は開始時刻より後にしてください'
+  }
+  return null
+}
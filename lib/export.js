@@ -0,0 +1,237 @@
+// lib/export.js
+
+/**
+ * 表をファイル（CSV・Excel）にして保存する
+ *
+ * 表は行の配列で渡す（1行目を見出しにする）
+ *   [['スタッフ', '日数'], ['山田太郎', 5]]
+ * 数値はExcelで計算できるよう数値のまま、それ以外は文字列として書き出す
+ *
+ * CSVはExcelで開いても日本語が文字化けしないよう、UTF-8（BOM付き）にする
+ * Excel（.xlsx）はライブラリを使わずに作る（無圧縮のZIPにXMLを入れるだけの最小構成）
+ *
+ * スタッフ名などに = + - @ で始まる文字列があると、表計算ソフトが数式として実行してしまう
+ * CSVは先頭に ' を付け、Excelは「文字列として扱う」書式（quotePrefix）にして数式にならないようにする
+ */
+
+export const EXPORT_FORMATS = {
+  csv: { label: 'CSV', extension: 'csv', mimeType: 'text/csv;charset=utf-8' },
+  xlsx: { label: 'Excel', extension: 'xlsx', mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' },
+}
+
+// 表計算ソフトが数式として扱う文字で始まる文字列か（数値はそのまま書き出すため対象外）
+function isFormulaLike(value) {
+  return typeof value === 'string' && /^[=+\-@\t\r]/.test(value)
+}
+
+// CSVの1項目（数式になる文字列は先頭に ' を付け、区切り文字・引用符・改行を含む場合は引用符で囲む）
+function escapeCsvValue(value) {
+  if (value === null || value === undefined) return ''
+  const text = isFormulaLike(value) ? `'${value}` : String(value)
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+/**
+ * 表をCSVの文字列にする（先頭にBOM、改行はCRLF）
+ */
+export function toCsv(rows) {
+  return '\uFEFF' + rows.map(row => row.map(escapeCsvValue).join(',')).join('\r\n') + '\r\n'
+}
+
+// XMLに書けない制御文字を除き、特殊文字をエスケープする
+function escapeXml(value) {
+  return String(value)
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+}
+
+// 列番号（0始まり）をExcelの列名（A, B, ..., Z, AA, ...）にする
+function columnName(index) {
+  let name = ''
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name
+  }
+  return name
+}
+
+// シート名はExcelの制限（31文字まで、[]:*?/\ は使えない）に合わせる
+function sheetName(name, index) {
+  const cleaned = String(name || '').replace(/[[\]:*?/\\]/g, '').slice(0, 31)
+  return cleaned || `Sheet${index + 1}`
+}
+
+function sheetXml(rows) {
+  const rowsXml = rows.map((row, r) => {
+    const cells = row.map((value, c) => {
+      if (value === null || value === undefined || value === '') return ''
+      const ref = `${columnName(c)}${r + 1}`
+      if (typeof value === 'number' && Number.isFinite(value)) {
+        return `<c r="${ref}"><v>${value}</v></c>`
+      }
+      // s="1" は styles.xml の quotePrefix の書式（数式にならない文字列）
+      const style = isFormulaLike(value) ? ' s="1"' : ''
+      return `<c r="${ref}"${style} t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`
+    }).join('')
+    return `<row r="${r + 1}">${cells}</row>`
+  }).join('')
+
+  return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+    `<sheetData>${rowsXml}</sheetData></worksheet>`
+}
+
+/**
+ * 表をExcel（.xlsx）のファイルにする
+ * @param {Array} sheets - [{ name, rows }]（シートごとの表）
+ * @returns {Uint8Array}
+ */
+export function toXlsx(sheets) {
+  const files = {
+    '[Content_Types].xml':
+      '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+      '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+      '<Default Extension="xml" ContentType="application/xml"/>' +
+      '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+      '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+      sheets.map((_, i) => `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('') +
+      '</Types>',
+    '_rels/.rels':
+      '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+      '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+      '</Relationships>',
+    'xl/workbook.xml':
+      '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+      '<sheets>' +
+      sheets.map((sheet, i) => `<sheet name="${escapeXml(sheetName(sheet.name, i))}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join('') +
+      '</sheets></workbook>',
+    'xl/_rels/workbook.xml.rels':
+      '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+      sheets.map((_, i) => `<Relationship Id="rId${i + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`).join('') +
+      `<Relationship Id="rId${sheets.length + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>` +
+      '</Relationships>',
+    'xl/styles.xml':
+      '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+      '<fonts count="1"><font><sz val="11"/><name val="Calibri"/></font></fonts>' +
+      '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+      '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+      '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+      '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+      '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0" quotePrefix="1"/></cellXfs>' +
+      '</styleSheet>',
+  }
+  sheets.forEach((sheet, i) => {
+    files[`xl/worksheets/sheet${i + 1}.xml`] = sheetXml(sheet.rows)
+  })
+
+  return createZip(files)
+}
+
+// ZIPのCRC-32（ファイルごとに計算する）
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1
+  return c >>> 0
+})
+
+function crc32(bytes) {
+  let crc = 0xFFFFFFFF
+  for (const byte of bytes) crc = CRC_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8)
+  return (crc ^ 0xFFFFFFFF) >>> 0
+}
+
+/**
+ * 無圧縮のZIPを作る
+ * @param {Object} files - { パス: 文字列 }
+ * @returns {Uint8Array}
+ */
+function createZip(files) {
+  const encoder = new TextEncoder()
+  const localParts = []
+  const centralParts = []
+  let offset = 0
+
+  for (const [path, content] of Object.entries(files)) {
+    const name = encoder.encode(path)
+    const data = encoder.encode(content)
+    const crc = crc32(data)
+
+    // ローカルファイルヘッダー
+    const local = new DataView(new ArrayBuffer(30))
+    local.setUint32(0, 0x04034B50, true)
+    local.setUint16(4, 20, true) // 展開に必要なバージョン
+    local.setUint16(6, 0x0800, true) // ファイル名はUTF-8
+    local.setUint16(8, 0, true) // 無圧縮
+    local.setUint16(12, 0x21, true) // 更新日（1980-01-01）
+    local.setUint32(14, crc, true)
+    local.setUint32(18, data.length, true)
+    local.setUint32(22, data.length, true)
+    local.setUint16(26, name.length, true)
+    localParts.push(new Uint8Array(local.buffer), name, data)
+
+    // セントラルディレクトリ
+    const central = new DataView(new ArrayBuffer(46))
+    central.setUint32(0, 0x02014B50, true)
+    central.setUint16(4, 20, true)
+    central.setUint16(6, 20, true)
+    central.setUint16(8, 0x0800, true)
+    central.setUint16(10, 0, true)
+    central.setUint16(14, 0x21, true)
+    central.setUint32(16, crc, true)
+    central.setUint32(20, data.length, true)
+    central.setUint32(24, data.length, true)
+    central.setUint16(28, name.length, true)
+    central.setUint32(42, offset, true)
+    centralParts.push(new Uint8Array(central.buffer), name)
+
+    offset += 30 + name.length + data.length
+  }
+
+  const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0)
+  const count = Object.keys(files).length
+
+  // セントラルディレクトリの終端
+  const end = new DataView(new ArrayBuffer(22))
+  end.setUint32(0, 0x06054B50, true)
+  end.setUint16(8, count, true)
+  end.setUint16(10, count, true)
+  end.setUint32(12, centralSize, true)
+  end.setUint32(16, offset, true)
+
+  const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)]
+  const zip = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0))
+  let position = 0
+  for (const part of parts) {
+    zip.set(part, position)
+    position += part.length
+  }
+  return zip
+}
+
+/**
+ * 表をファイルにしてダウンロードする
+ * CSVは1つ目のシートだけを書き出す（Excelはすべてのシートを1つのファイルにまとめる）
+ * @param {string} format - 'csv' | 'xlsx'
+ * @param {string} filename - 拡張子なしのファイル名
+ * @param {Array} sheets - [{ name, rows }]
+ */
+export function downloadTable(format, filename, sheets) {
+  const { extension, mimeType } = EXPORT_FORMATS[format]
+  const content = format === 'csv' ? toCsv(sheets[0].rows) : toXlsx(sheets)
+
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }))
+  const link = document.createElement('a')
+  link.href = url
+  link.download = `${filename}.${extension}`
+  document.body.appendChild(link)
+  link.click()
+  link.remove()
+  URL.revokeObjectURL(url)
+}
@@ -0,0 +1,60 @@
+// lib/openShifts.js
+import { getRuleCheckRange, checkAssignment, getStoreConstraints } from '@/lib/shiftRules'
+
+/**
+ * オープンシフト（人数が足りない枠の募集）
+ *
+ * シフト生成で不足した枠を open_shifts に登録し、条件を満たすスタッフが応募する
+ * 先着順の募集は応募した時点でシフトを作成し、承認制の募集は管理者が採用を決める
+ */
+
+// 募集方法
+export const CLAIM_MODES = {
+  first_come: { label: '先着順' },
+  approval: { label: '承認制' },
+}
+
+// 募集の状態
+export const OPEN_SHIFT_STATUS = {
+  open: { label: '募集中', className: 'bg-yellow-100 text-yellow-800' },
+  filled: { label: '充足', className: 'bg-green-100 text-green-800' },
+  cancelled: { label: '取り消し', className: 'bg-gray-100 text-gray-600' },
+}
+
+// 応募の状態
+export const CLAIM_STATUS = {
+  pending: { label: '承認待ち', className: 'bg-blue-100 text-blue-800' },
+  approved: { label: '採用', className: 'bg-green-100 text-green-800' },
+  rejected: { label: '不採用', className: 'bg-gray-100 text-gray-600' },
+}
+
+/**
+ * 応募条件の確認に必要なシフトの取得範囲
+ * 募集ごとに店舗の制約（週の始まり・連続勤務日数）で範囲を求め、すべてを含む範囲を返す
+ */
+export function getOpenShiftCheckRange(openShifts, stores = []) {
+  const ranges = openShifts.map(o => getRuleCheckRange([o.date], getStoreConstraints(stores.find(s => s.id === o.store_id))))
+  return {
+    startDate: ranges.map(r => r.startDate).sort()[0],
+    endDate: ranges.map(r => r.endDate).sort()[ranges.length - 1],
+  }
+}
+
+/**
+ * スタッフがオープンシフトに応募できるか確認
+ * 勤務可能時間・NG日・週の労働時間などを、代わりのスタッフの割り当てと同じ条件で判定する
+ * 週の始まり・日数の上限は募集の店舗の設定を使う（応募時にサーバーで確認する条件と同じ）
+ * @param {Object} openShift - date, start_time, end_time, pattern_id, store_id
+ * @param {Object} staff - スタッフ（name, max_hours_per_week）
+ * @param {Object} options - staffShifts, availability, unavailableDates, patterns, stores
+ * @returns {Array} 応募できない理由（空なら応募可能）
+ */
+export function getClaimIssues(openShift, staff, { staffShifts = [], availability = [], unavailableDates = new Set(), patterns = [], stores = [] } = {}) {
+  return checkAssignment(staff, openShift, {
+    staffShifts,
+    availability,
+    isUnavailable: unavailableDates.has(openShift.date),
+    patterns,
+    constraints: getStoreConstraints(stores.find(s => s.id === openShift.store_id)),
+  }).reasons
+}
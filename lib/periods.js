@@ -0,0 +1,56 @@
+// lib/periods.js
+
+/**
+ * 希望シフトの提出期間（collection_periods）の状態
+ *
+ * open: 受付中（この期間のシフトはまだ生成しない）
+ * closed: 締切済み（シフト生成可能）
+ * published: シフト公開済み
+ */
+export const PERIOD_STATUS = {
+  open: { label: '受付中', className: 'bg-green-100 text-green-800' },
+  closed: { label: '締切済み', className: 'bg-gray-200 text-gray-800' },
+  published: { label: '公開済み', className: 'bg-blue-100 text-blue-800' },
+}
+
+/**
+ * Dateをローカル時刻の日付文字列（YYYY-MM-DD）にする
+ * toISOString は UTC の日付になり、日本時間の0時〜9時は前日になるため使わない
+ */
+export function formatLocalDate(date) {
+  const month = String(date.getMonth() + 1).padStart(2, '0')
+  const day = String(date.getDate()).padStart(2, '0')
+  return `${date.getFullYear()}-${month}-${day}`
+}
+
+/**
+ * 今日の日付（YYYY-MM-DD）
+ */
+export function getToday() {
+  return formatLocalDate(new Date())
+}
+
+/**
+ * 指定した日が属する月の初日と末日（YYYY-MM-DD）
+ * 年月はローカル時刻で取る（formatLocalDate と同じ理由）
+ * @param {Date} date
+ * @returns {Object} { startDate, endDate }
+ */
+export function getMonthRange(date) {
+  const year = date.getFullYear()
+  const month = date.getMonth() + 1
+  const lastDay = new Date(year, month, 0).getDate()
+  const prefix = `${year}-${String(month).padStart(2, '0')}`
+  return {
+    startDate: `${prefix}-01`,
+    endDate: `${prefix}-${String(lastDay).padStart(2, '0')}`,
+  }
+}
+
+/**
+ * スタッフが希望を提出できる状態か
+ * 受付中で、今日が受付開始日〜締切日の間にあるときだけ提出できる
+ */
+export function isAcceptingRequests(period, today = getToday()) {
+  return period.status === 'open' && period.opens_on <= today && today <= period.deadline
+}
@@ -0,0 +1,30 @@
+// lib/realtime.js
+import { supabase } from '@/lib/supabase'
+
+/**
+ * テーブルの変更をリアルタイムで受け取る
+ * ほかのブラウザでの追加・更新・削除を、画面を読み込み直さずに反映するために使う
+ * （database/schema.sql で対象のテーブルを supabase_realtime に追加しておく）
+ * 届くのは行レベルセキュリティで見える行の変更だけなので、ほかのアカウントの変更は届かない
+ *
+ * 使い方:
+ * useEffect(() => {
+ *   return subscribeToTables('calendar', ['shifts', 'staff'], (payload) => { 再取得処理 })
+ * }, [])
+ *
+ * @param {string} name - チャンネル名（画面ごとに分ける）
+ * @param {Array} tables - 監視するテーブル名
+ * @param {Function} onChange - 変更があったときに呼ぶ関数（payload: eventType, table, new, old）
+ * @returns {Function} 購読を解除する関数（useEffect のクリーンアップで呼ぶ）
+ */
+export function subscribeToTables(name, tables, onChange) {
+  const channel = tables.reduce(
+    (ch, table) => ch.on('postgres_changes', { event: '*', schema: 'public', table }, onChange),
+    supabase.channel(name)
+  )
+  channel.subscribe()
+
+  return () => {
+    supabase.removeChannel(channel)
+  }
+}
@@ -0,0 +1,67 @@
+// lib/replacement.js
+import { getWeekStart, getShiftHours, DEFAULT_CONSTRAINTS } from '@/lib/shiftEngine'
+import { checkAssignment } from '@/lib/shiftRules'
+
+/**
+ * 欠勤したシフトの代わりに入れるスタッフの候補を作る
+ *
+ * 次の条件をすべて満たすスタッフを「候補」とし、時給の安い順に並べる
+ * - NG日ではない
+ * - 勤務可能時間（availability）にシフトの時間帯が収まる
+ * - 入れても自動生成と同じ制約（1日1シフト・週の労働時間・週の勤務日数・連続勤務）を満たす
+ * 時給が同じ場合は、勤務可能時間の優先度 → その週の労働時間が少ない順
+ * 時給はオーナーしか見られないため、時給の安い順の順位（wage_rank）で並べる（時給が未登録のスタッフは最後）
+ */
+
+/**
+ * @param {Object} absence - 欠勤したシフト（staff_id, date, start_time, end_time, pattern_id）
+ * @param {Object} options
+ * @param {Array} options.staffList - スタッフ（id, name, wage_rank, max_hours_per_week）。wage_rank は fetchStaffWageRanks（lib/roles.js）の順位
+ * @param {Array} options.shifts - getRuleCheckRange（lib/shiftRules.js）の範囲の保存済みシフト
+ * @param {Object} options.availabilityByStaff - スタッフIDごとの勤務可能時間
+ * @param {Set} options.unavailableStaffIds - その日をNG日として提出したスタッフ
+ * @param {Array} options.patterns - シフトパターン（休憩時間の計算用）
+ * @param {Object} options.constraints - max_consecutive_days, max_days_per_week, week_start_day
+ * @returns {Array} [{ staff, reasons, priority, weeklyHours }] 候補（reasonsが空）を先頭に並べる
+ */
+export function rankReplacementCandidates(absence, options) {
+  const {
+    staffList,
+    shifts,
+    availabilityByStaff = {},
+    unavailableStaffIds = new Set(),
+    patterns = [],
+    constraints = {},
+  } = options
+  const weekStartDay = constraints.week_start_day ?? DEFAULT_CONSTRAINTS.week_start_day
+
+  const breakMinutesByPattern = Object.fromEntries(patterns.map(p => [p.id, p.break_minutes]))
+  const weekKey = getWeekStart(absence.date, weekStartDay)
+
+  const results = staffList
+    .filter(staff => staff.id !== absence.staff_id)
+    .map(staff => {
+      const staffShifts = shifts.filter(s => s.staff_id === staff.id)
+      const { reasons, priority } = checkAssignment(staff, absence, {
+        staffShifts,
+        availability: availabilityByStaff[staff.id],
+        isUnavailable: unavailableStaffIds.has(staff.id),
+        patterns,
+        constraints,
+      })
+
+      const weeklyHours = staffShifts
+        .filter(s => getWeekStart(s.date, weekStartDay) === weekKey)
+        .reduce((sum, s) => sum + getShiftHours(s, breakMinutesByPattern[s.pattern_id] || 0), 0)
+
+      return { staff, reasons, priority, weeklyHours }
+    })
+
+  return results.sort((a, b) =>
+    (a.reasons.length > 0) - (b.reasons.length > 0) ||
+    // どちらも未登録なら Infinity - Infinity が NaN になり、次の条件で並べる
+    (a.staff.wage_rank ?? Infinity) - (b.staff.wage_rank ?? Infinity) ||
+    (a.priority ?? 9) - (b.priority ?? 9) ||
+    a.weeklyHours - b.weeklyHours
+  )
+}
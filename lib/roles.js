@@ -0,0 +1,70 @@
+// lib/roles.js
+import { supabase } from '@/lib/supabase'
+
+/**
+ * ログインしているアカウントの役割
+ *
+ * owner: オーナー（スタッフ・店舗の登録、時給、招待を含むすべての操作）
+ * manager: マネージャー（シフトの作成・編集。時給・人件費は見られない）
+ * staff: スタッフ（自分のシフトの確認・希望の提出・交代・オープンシフトへの応募）
+ *
+ * どこにも招待されていないアカウントは、自分のデータのオーナーになる
+ * 同じ制限を database/schema.sql の行レベルセキュリティでもかけている
+ */
+export const ROLES = {
+  owner: { label: 'オーナー', className: 'bg-purple-100 text-purple-800' },
+  manager: { label: 'マネージャー', className: 'bg-blue-100 text-blue-800' },
+  staff: { label: 'スタッフ', className: 'bg-gray-100 text-gray-700' },
+}
+
+// スタッフ（staff）は開けない画面（配下のページも含む）
+export const MANAGER_PATHS = ['/shifts', '/analytics', '/staff', '/stores']
+
+/**
+ * シフトを編集できる役割か（オーナー・マネージャー）
+ */
+export function isManagerRole(role) {
+  return role === 'owner' || role === 'manager'
+}
+
+/**
+ * 時給・人件費を見られる役割か（オーナーだけ）
+ */
+export function canSeeWages(role) {
+  return role === 'owner'
+}
+
+/**
+ * その役割で開ける画面か
+ */
+export function canAccessPath(role, pathname) {
+  if (isManagerRole(role)) return true
+  return !MANAGER_PATHS.some(path => pathname === path || pathname.startsWith(`${path}/`))
+}
+
+/**
+ * スタッフの時給を取得（{ staffId: 時給 }）
+ * 時給はオーナーしか読めないため、canSeeWages(role) のときだけ呼ぶ
+ */
+export async function fetchStaffWages(accountId) {
+  const { data, error } = await supabase
+    .from('staff_wages')
+    .select('staff_id, hourly_wage')
+    .eq('user_id', accountId)
+
+  if (error) throw error
+
+  return Object.fromEntries((data || []).map(w => [w.staff_id, w.hourly_wage]))
+}
+
+/**
+ * スタッフの時給の安い順（{ staffId: 順位 }。1始まりで、同じ時給は同じ順位）
+ * 時給そのものは返さないため、マネージャーも呼べる（isManagerRole(role) のとき）
+ */
+export async function fetchStaffWageRanks() {
+  const { data, error } = await supabase.rpc('staff_wage_ranks')
+
+  if (error) throw error
+
+  return Object.fromEntries((data || []).map(r => [r.staff_id, r.wage_rank]))
+}
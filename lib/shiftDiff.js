@@ -0,0 +1,140 @@
+// lib/shiftDiff.js
+
+/**
+ * 生成したシフトと保存済みのシフトの差分を作る
+ * プレビュー画面で「追加・変更・削除」を確認してから反映するために使う
+ *
+ * スタッフ×日付の組み合わせ単位で比較する
+ * - added: 生成結果にだけある
+ * - changed: 両方にあるが時間（パターン）が違う
+ * - removed: 保存済みにだけある（確定済み・固定したシフトは削除しない）
+ * - unchanged: 同じ内容
+ * - kept: 確定済み・固定したシフトのため、生成結果に関係なくそのまま残す
+ */
+
+// 差分の種類ごとの表示
+export const DIFF_TYPES = {
+  added: { label: '追加', className: 'bg-green-100 text-green-800' },
+  changed: { label: '変更', className: 'bg-yellow-100 text-yellow-800' },
+  removed: { label: '削除', className: 'bg-red-100 text-red-800' },
+  kept: { label: '確定・固定（維持）', className: 'bg-gray-200 text-gray-700' },
+  unchanged: { label: '変更なし', className: 'bg-gray-100 text-gray-500' },
+}
+
+// 時刻を HH:MM にそろえる（DBは HH:MM:SS で返すため）
+function normalizeTime(time) {
+  return time ? time.slice(0, 5) : time
+}
+
+// 再生成で変更しないシフト
+function isProtected(shift) {
+  return shift.is_confirmed || shift.is_locked
+}
+
+function isSameShift(a, b) {
+  return normalizeTime(a.start_time) === normalizeTime(b.start_time) &&
+    normalizeTime(a.end_time) === normalizeTime(b.end_time)
+}
+
+/**
+ * 差分を作成
+ * @param {Array} existingShifts - 保存済みのシフト（id, staff_id, date, start_time, end_time, is_confirmed, is_locked）
+ * @param {Array} generatedShifts - 生成したシフト（staff_id, date, start_time, end_time, pattern_id）
+ * @returns {Array} [{ key, type, staff_id, date, before, after }] 日付・スタッフ順
+ */
+export function diffShifts(existingShifts, generatedShifts) {
+  const existingByKey = {}
+  for (const shift of existingShifts) {
+    const key = `${shift.date}_${shift.staff_id}`
+    if (!existingByKey[key]) existingByKey[key] = []
+    existingByKey[key].push(shift)
+  }
+
+  const generatedByKey = {}
+  for (const shift of generatedShifts) {
+    generatedByKey[`${shift.date}_${shift.staff_id}`] = shift
+  }
+
+  const keys = [...new Set([...Object.keys(existingByKey), ...Object.keys(generatedByKey)])].sort()
+  const diff = []
+
+  for (const key of keys) {
+    const existing = existingByKey[key] || []
+    const generated = generatedByKey[key] || null
+    const protectedShifts = existing.filter(isProtected)
+    const { staff_id, date } = existing[0] || generated
+
+    // 確定済み・固定したシフトがある日は、生成結果で上書きしない
+    if (protectedShifts.length > 0) {
+      protectedShifts.forEach((shift, i) => {
+        diff.push({ key: `${key}_kept_${i}`, type: 'kept', staff_id, date, before: shift, after: shift })
+      })
+      // 同じ日のほかのシフトはそのまま残す（確定済み・固定したシフトと一緒に管理されているため）
+      existing.filter(s => !isProtected(s)).forEach((shift, i) => {
+        diff.push({ key: `${key}_unchanged_${i}`, type: 'unchanged', staff_id, date, before: shift, after: shift })
+      })
+      continue
+    }
+
+    if (existing.length === 0) {
+      diff.push({ key, type: 'added', staff_id, date, before: null, after: generated })
+      continue
+    }
+
+    if (!generated) {
+      existing.forEach((shift, i) => {
+        diff.push({ key: `${key}_removed_${i}`, type: 'removed', staff_id, date, before: shift, after: null })
+      })
+      continue
+    }
+
+    // 1件目を生成結果に合わせ、同じ日の2件目以降は削除する
+    const [first, ...rest] = existing
+    diff.push({
+      key,
+      type: isSameShift(first, generated) ? 'unchanged' : 'changed',
+      staff_id,
+      date,
+      before: first,
+      after: generated,
+    })
+    rest.forEach((shift, i) => {
+      diff.push({ key: `${key}_removed_${i}`, type: 'removed', staff_id, date, before: shift, after: null })
+    })
+  }
+
+  return diff
+}
+
+/**
+ * 選択した差分を、DBに反映するための変更内容に変換
+ * apply_shift_changes（database/schema.sql）の引数と同じ形
+ */
+export function buildShiftChanges(diffItems) {
+  const inserts = []
+  const updates = []
+  const deletes = []
+
+  for (const item of diffItems) {
+    if (item.type === 'added') {
+      inserts.push({
+        staff_id: item.after.staff_id,
+        date: item.after.date,
+        start_time: item.after.start_time,
+        end_time: item.after.end_time,
+        pattern_id: item.after.pattern_id ?? null,
+      })
+    } else if (item.type === 'changed') {
+      updates.push({
+        id: item.before.id,
+        start_time: item.after.start_time,
+        end_time: item.after.end_time,
+        pattern_id: item.after.pattern_id ?? null,
+      })
+    } else if (item.type === 'removed') {
+      deletes.push(item.before.id)
+    }
+  }
+
+  return { inserts, updates, deletes }
+}
@@ -0,0 +1,685 @@
+// lib/shiftEngine.js
+
+/**
+ * シフト生成エンジン
+ * /api/generate-shift と /api/optimize の両方から呼び出す共通ロジック
+ *
+ * 入力:
+ * {
+ *   staff: [{
+ *     id, name, preferred_dates, unavailable_dates, max_days,
+ *     max_hours, // 週の最大労働時間
+ *     availability: [{ day_of_week, start_time, end_time, priority }] // 省略時は全日勤務可能
+ *   }],
+ *   dates: ['2026-04-01', ...],
+ *   constraints: {
+ *     min_staff_per_day, max_staff_per_day, max_consecutive_days, max_days_per_week,
+ *     week_start_day // 週の始まり（0=日曜〜6=土曜）
+ *   },
+ *   // 期間直前の保存済みシフト（すべての店舗）。break_minutes を省略したときは patterns から引く
+ *   previous_shifts: [{ staff_id, date, start_time, end_time, pattern_id, break_minutes }],
+ *   // 対象期間のほかの店舗の保存済みシフト。結果と必要人数には含めず、
+ *   // 1日1シフト・連続勤務・週の上限はこれも合わせて判定する
+ *   other_shifts: [{ staff_id, date, start_time, end_time, pattern_id, break_minutes }],
+ *   patterns: [{ id, name, start_time, end_time, break_minutes }], // 省略時は SHIFT_PATTERNS
+ *   // 時間帯ごとの必要人数。設定した曜日は1日の最低・最大人数の代わりにこちらで割り当てる
+ *   requirements: [{ day_of_week, start_time, end_time, required_staff }],
+ *   // 固定するシフト。そのまま結果に残し、連続勤務・週の上限・必要人数の判定に含める
+ *   locked_shifts: [{ staff_id, date, start_time, end_time, pattern_id }],
+ *   locked_dates: ['2026-04-10'], // 新しく割り当てない日（固定したシフトだけになる）
+ *   seed: 12345, // 省略時は毎回ランダム
+ *   // 2.0.0 と同じ割り当て方にする（/api/optimize 用）
+ *   // ランダム要素を使わず、毎日最大人数まで、勤務回数の少ない順（希望日は -100）に割り当てる
+ *   legacy: false
+ * }
+ *
+ * 出力:
+ * {
+ *   success: true,
+ *   shifts: [{ staff_id, date, start_time, end_time, pattern_id, pattern_name, is_locked }],
+ *   schedule: [{ date, staff: [staff_id], count }],
+ *   stats: { ... },
+ *   uncovered_slots: [{ date, start_time, end_time, required, assigned }],
+ *   // 人数が足りない枠（オープンシフトとして募集する）
+ *   open_shifts: [{ date, start_time, end_time, pattern_id, count }],
+ *   warnings: ['2026-04-01: 最低人数 2人を満たせません（1人）']
+ * }
+ */
+
+// シフトパターン定義
+// shift_patterns テーブルが空のときに使うデフォルト
+export const SHIFT_PATTERNS = [
+  { name: '午前', start_time: '09:00', end_time: '13:00', hours: 4 },
+  { name: '午後', start_time: '13:00', end_time: '17:00', hours: 4 },
+  { name: 'フル', start_time: '09:00', end_time: '17:00', hours: 8 },
+]
+
+// 制約条件のデフォルト値
+export const DEFAULT_CONSTRAINTS = {
+  min_staff_per_day: 2,
+  max_staff_per_day: 3,
+  max_consecutive_days: 3, // 連続勤務上限
+  max_days_per_week: 5, // 週の勤務上限
+  week_start_day: 1, // 週の始まり（月曜日）
+}
+
+/**
+ * 乱数生成関数を作成
+ * seedを指定すると同じ入力から同じシフトが生成される（テスト用）
+ * mulberry32アルゴリズムを使用
+ */
+export function createRandom(seed) {
+  if (seed === undefined || seed === null) return Math.random
+
+  let state = Number(seed) >>> 0
+  return function random() {
+    state = (state + 0x6d2b79f5) >>> 0
+    let t = state
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
+
+/**
+ * 日付文字列（YYYY-MM-DD）にn日加算
+ * タイムゾーンの影響を受けないようにUTCで計算する
+ */
+export function addDays(dateStr, n) {
+  const date = new Date(`${dateStr}T00:00:00Z`)
+  date.setUTCDate(date.getUTCDate() + n)
+  return date.toISOString().split('T')[0]
+}
+
+/**
+ * 開始日〜終了日（両端を含む）の日付文字列の配列を作成
+ */
+export function getDateRange(startDate, endDate) {
+  const dates = []
+  for (let date = startDate; date <= endDate; date = addDays(date, 1)) {
+    dates.push(date)
+  }
+  return dates
+}
+
+/**
+ * 時刻文字列（HH:MM または HH:MM:SS）を分に変換
+ * 例：09:30 → 570分
+ */
+export function timeToMinutes(timeString) {
+  const [hours, minutes] = timeString.split(':').map(Number)
+  return hours * 60 + minutes
+}
+
+/**
+ * 分を時刻文字列に変換（例：570 → 09:30）
+ */
+export function minutesToTime(minutes) {
+  const h = String(Math.floor(minutes / 60)).padStart(2, '0')
+  const m = String(minutes % 60).padStart(2, '0')
+  return `${h}:${m}`
+}
+
+/**
+ * 日付文字列から曜日を取得（0=日曜日〜6=土曜日）
+ * availability.day_of_week と同じ定義
+ */
+export function getDayOfWeek(dateStr) {
+  return new Date(`${dateStr}T00:00:00Z`).getUTCDay()
+}
+
+/**
+ * 指定日が属する週の開始日を取得（週ごとの集計キーに使う）
+ * 例：週の始まりが月曜(1)なら 2026-04-01(水) → 2026-03-30
+ */
+export function getWeekStart(dateStr, weekStartDay = DEFAULT_CONSTRAINTS.week_start_day) {
+  const diff = (getDayOfWeek(dateStr) - weekStartDay + 7) % 7
+  return addDays(dateStr, -diff)
+}
+
+/**
+ * 日付をまたぐ時間帯か判定（例：22:00〜06:00）
+ */
+export function crossesMidnight(startTime, endTime) {
+  return timeToMinutes(endTime) <= timeToMinutes(startTime)
+}
+
+/**
+ * シフトの労働時間を計算（時間単位）
+ * 日付をまたぐシフトは翌日の終了時刻までとして計算し、休憩時間を差し引く
+ */
+export function getShiftHours(shift, breakMinutes = 0) {
+  let minutes = timeToMinutes(shift.end_time) - timeToMinutes(shift.start_time)
+  if (minutes <= 0) minutes += 24 * 60
+  return Math.max(minutes - breakMinutes, 0) / 60
+}
+
+/**
+ * シフトパターンを生成エンジン用の形式に変換
+ * hours が指定されていなければ時刻と休憩時間から計算する
+ */
+export function normalizePattern(pattern) {
+  return {
+    id: pattern.id ?? null,
+    name: pattern.name,
+    start_time: pattern.start_time,
+    end_time: pattern.end_time,
+    break_minutes: pattern.break_minutes || 0,
+    hours: pattern.hours ?? getShiftHours(pattern, pattern.break_minutes || 0),
+  }
+}
+
+/**
+ * 指定した曜日の勤務可能時間のうち、start〜end（分）を含む枠の最高優先度を取得
+ * 含む枠がなければnull
+ */
+function findWindowPriority(availability, dayOfWeek, start, end) {
+  const fitting = availability.filter(w =>
+    w.day_of_week === dayOfWeek &&
+    timeToMinutes(w.start_time) <= start &&
+    end <= timeToMinutes(w.end_time)
+  )
+  if (fitting.length === 0) return null
+  return Math.min(...fitting.map(w => w.priority ?? 2))
+}
+
+/**
+ * 指定日の勤務可能時間（availability）に、シフトの時間帯が収まるか判定
+ * 収まる場合はその枠の優先度、収まらなければnullを返す
+ * 勤務可能時間が未登録（null）のスタッフは常に勤務可能（優先度は標準の2）
+ */
+export function getAvailabilityPriority(availability, date, shift) {
+  if (!availability) return 2
+
+  const dayOfWeek = getDayOfWeek(date)
+  const start = timeToMinutes(shift.start_time)
+  const end = timeToMinutes(shift.end_time)
+
+  if (crossesMidnight(shift.start_time, shift.end_time)) {
+    // 日付をまたぐシフトは、当日の深夜0時までと翌日の0時からの両方が勤務可能である必要がある
+    const before = findWindowPriority(availability, dayOfWeek, start, 24 * 60)
+    const after = findWindowPriority(availability, (dayOfWeek + 1) % 7, 0, end)
+    if (before === null || after === null) return null
+    return Math.max(before, after)
+  }
+
+  return findWindowPriority(availability, dayOfWeek, start, end)
+}
+
+/**
+ * 指定日に勤務可能なシフトパターンを取得
+ * 勤務可能時間（availability）の枠内に収まるパターンだけを返す
+ * 複数の枠に収まる場合は優先度の高い（数値が小さい）方を採用
+ */
+function getAvailablePatterns(availability, date, patterns) {
+  const result = []
+
+  for (const pattern of patterns) {
+    const priority = getAvailabilityPriority(availability, date, pattern)
+    if (priority !== null) result.push({ pattern, priority })
+  }
+
+  return result
+}
+
+/**
+ * パターンの勤務時間帯を分で取得
+ * 日付をまたぐパターンは終了を翌日側（+24時間）として扱う
+ */
+function getPatternRange(pattern) {
+  const start = timeToMinutes(pattern.start_time)
+  let end = timeToMinutes(pattern.end_time)
+  if (end <= start) end += 24 * 60
+  return { start, end }
+}
+
+/**
+ * 必要人数の時間帯を、境界ごとの細かい区間に分割
+ * 時間帯が重なる場合は多い方の人数を必要人数とする
+ * 例：11:00-14:00 2人、13:00-17:00 3人
+ *   → 11:00-13:00 2人、13:00-14:00 3人、14:00-17:00 3人
+ */
+function buildCoverageSegments(requirements) {
+  const ranges = requirements.map(r => ({
+    start: timeToMinutes(r.start_time),
+    end: timeToMinutes(r.end_time),
+    required: r.required_staff,
+  }))
+  const points = [...new Set(ranges.flatMap(r => [r.start, r.end]))].sort((a, b) => a - b)
+  const segments = []
+
+  for (let i = 0; i < points.length - 1; i++) {
+    const start = points[i]
+    const end = points[i + 1]
+    const required = Math.max(0, ...ranges.filter(r => r.start <= start && end <= r.end).map(r => r.required))
+    if (required > 0) segments.push({ start, end, required, assigned: 0 })
+  }
+
+  return segments
+}
+
+/**
+ * パターンが区間全体をカバーしているか
+ */
+function coversSegment(pattern, segment) {
+  const { start, end } = getPatternRange(pattern)
+  return start <= segment.start && segment.end <= end
+}
+
+/**
+ * 時間帯ごとの必要人数を満たすようにスタッフとパターンを選ぶ
+ * 不足している時間（分）を最も多く埋められる組み合わせから順に割り当てる
+ * 同じだけ埋められる場合はスコアの低いスタッフ、次に短いパターンを優先
+ */
+function selectByRequirements(availableStaff, segments) {
+  const selections = []
+  const remaining = [...availableStaff]
+
+  while (remaining.length > 0) {
+    let best = null
+
+    for (const staff of remaining) {
+      for (const { pattern, priority } of staff.options) {
+        const gain = segments
+          .filter(seg => seg.assigned < seg.required && coversSegment(pattern, seg))
+          .reduce((sum, seg) => sum + (seg.end - seg.start), 0)
+        if (gain === 0) continue
+
+        const score = staff.baseScore + (priority - 1) * 20
+        const isBetter = !best ||
+          gain > best.gain ||
+          (gain === best.gain && score < best.score) ||
+          (gain === best.gain && score === best.score && pattern.hours < best.pattern.hours)
+        if (isBetter) best = { staff, pattern, gain, score }
+      }
+    }
+
+    // どの組み合わせでも不足が埋まらなければ終了
+    if (!best) break
+
+    segments.forEach(seg => {
+      if (coversSegment(best.pattern, seg)) seg.assigned++
+    })
+    selections.push({ staffId: best.staff.id, pattern: best.pattern })
+    remaining.splice(remaining.indexOf(best.staff), 1)
+  }
+
+  return selections
+}
+
+/**
+ * 人数が足りない区間を、連続する同じ不足状況ごとにまとめる
+ */
+function collectUncoveredSlots(date, segments) {
+  const slots = []
+
+  for (const seg of segments) {
+    if (seg.assigned >= seg.required) continue
+
+    const last = slots[slots.length - 1]
+    if (last && last.end === seg.start && last.required === seg.required && last.assigned === seg.assigned) {
+      last.end = seg.end
+    } else {
+      slots.push({ start: seg.start, end: seg.end, required: seg.required, assigned: seg.assigned })
+    }
+  }
+
+  return slots.map(slot => ({
+    date,
+    start_time: minutesToTime(slot.start),
+    end_time: minutesToTime(slot.end),
+    required: slot.required,
+    assigned: slot.assigned,
+  }))
+}
+
+/**
+ * 配列をシャッフル
+ */
+function shuffleArray(array, random) {
+  const shuffled = [...array]
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1))
+    ;[shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]]
+  }
+  return shuffled
+}
+
+/**
+ * 連続勤務日数をカウント
+ * direction が -1 なら前日から遡り、1 なら翌日から先（固定したシフト）を数える
+ * limit日まで数えれば上限判定には十分なので、それ以上は数えない
+ * otherDays（`${staffId}_${date}`）に入っている、ほかの店舗で勤務する日も数える
+ */
+function countConsecutiveDays(staffId, date, schedule, limit, direction = -1, otherDays = new Set()) {
+  let count = 0
+
+  for (let i = 1; i <= limit; i++) {
+    const dateStr = addDays(date, i * direction)
+
+    if ((schedule[dateStr] && schedule[dateStr].some(s => s.staff_id === staffId)) || otherDays.has(`${staffId}_${dateStr}`)) {
+      count++
+    } else {
+      break
+    }
+  }
+
+  return count
+}
+
+/**
+ * シフト最適化関数
+ */
+export function optimizeShift(inputData) {
+  const {
+    staff: staffList = [],
+    dates = [],
+    constraints = {},
+    previous_shifts: previousShifts = [],
+    other_shifts: otherShifts = [],
+    patterns: inputPatterns,
+    requirements = [],
+    locked_shifts: lockedShifts = [],
+    locked_dates: lockedDateList = [],
+    seed,
+    legacy = false,
+  } = inputData || {}
+
+  if (!staffList || staffList.length === 0) {
+    return { success: false, error: 'スタッフが登録されていません' }
+  }
+  if (!dates || dates.length === 0) {
+    return { success: false, error: '日付が指定されていません' }
+  }
+
+  const random = createRandom(seed)
+  const patterns = (inputPatterns?.length > 0 ? inputPatterns : SHIFT_PATTERNS).map(normalizePattern)
+
+  const minStaff = constraints.min_staff_per_day ?? DEFAULT_CONSTRAINTS.min_staff_per_day
+  const maxStaff = constraints.max_staff_per_day ?? DEFAULT_CONSTRAINTS.max_staff_per_day
+  const maxConsecutiveDays = constraints.max_consecutive_days ?? DEFAULT_CONSTRAINTS.max_consecutive_days
+  const maxDaysPerWeek = constraints.max_days_per_week ?? DEFAULT_CONSTRAINTS.max_days_per_week
+  const weekStartDay = constraints.week_start_day ?? DEFAULT_CONSTRAINTS.week_start_day
+
+  if (minStaff > maxStaff) {
+    return { success: false, error: '最低人数が最大人数を超えています' }
+  }
+
+  // スケジュール（日付ごとのシフト配列）
+  const schedule = {}
+  dates.forEach(date => { schedule[date] = [] })
+
+  // スタッフごとの勤務回数
+  const staffWorkCount = {}
+  // スタッフごとの週別勤務日数・労働時間（キーは週の開始日）
+  // { staffId: { '2026-03-30': 12 } }
+  const staffWeeklyDays = {}
+  const staffWeeklyHours = {}
+  const staffInfo = {}
+
+  staffList.forEach((staff, index) => {
+    const staffId = staff.id || staff.name || `staff_${random().toString(36).slice(2, 8)}`
+    staffInfo[staffId] = {
+      name: staff.name,
+      preferredDates: new Set(staff.preferred_dates || []),
+      unavailableDates: new Set(staff.unavailable_dates || []),
+      maxDays: staff.max_days ?? dates.length, // 期間中の勤務日数上限
+      maxHoursPerWeek: staff.max_hours ?? Infinity, // 週の最大労働時間
+      // 空配列も「未登録」として扱う（全日勤務可能）
+      availability: staff.availability?.length > 0 ? staff.availability : null,
+    }
+    staffWorkCount[staffId] = 0
+    staffWeeklyDays[staffId] = {}
+    staffWeeklyHours[staffId] = {}
+  })
+
+  // 期間直前の保存済みシフトを連続勤務・週ごとの集計に加える
+  // 前回の生成期間の終わりや週の途中から始まる場合も、上限を正しく判定するため
+  const targetDates = new Set(dates)
+  const countedDays = new Set()
+  const patternById = Object.fromEntries(patterns.filter(p => p.id).map(p => [p.id, p]))
+  for (const shift of previousShifts) {
+    if (!staffInfo[shift.staff_id] || targetDates.has(shift.date)) continue
+
+    // 連続勤務チェック用に、期間外の日付もスケジュールに入れておく
+    // （結果にはdatesの日付だけを出力するので、ここで追加した分は含まれない）
+    if (!schedule[shift.date]) schedule[shift.date] = []
+    schedule[shift.date].push({ staff_id: shift.staff_id, date: shift.date })
+
+    const weekKey = getWeekStart(shift.date, weekStartDay)
+    const dayKey = `${shift.staff_id}_${shift.date}`
+    if (!countedDays.has(dayKey)) {
+      countedDays.add(dayKey)
+      staffWeeklyDays[shift.staff_id][weekKey] = (staffWeeklyDays[shift.staff_id][weekKey] || 0) + 1
+    }
+    staffWeeklyHours[shift.staff_id][weekKey] = (staffWeeklyHours[shift.staff_id][weekKey] || 0) + getShiftHours(shift, shift.break_minutes ?? patternById[shift.pattern_id]?.break_minutes)
+  }
+
+  // 対象期間のほかの店舗のシフトを週ごとの集計に加える
+  // スケジュールには入れず（結果・必要人数に含めない）、勤務する日だけを覚えておく
+  const otherStoreDays = new Set()
+  for (const shift of otherShifts) {
+    if (!staffInfo[shift.staff_id] || !targetDates.has(shift.date)) continue
+
+    const weekKey = getWeekStart(shift.date, weekStartDay)
+    const dayKey = `${shift.staff_id}_${shift.date}`
+    otherStoreDays.add(dayKey)
+    if (!countedDays.has(dayKey)) {
+      countedDays.add(dayKey)
+      staffWeeklyDays[shift.staff_id][weekKey] = (staffWeeklyDays[shift.staff_id][weekKey] || 0) + 1
+    }
+    staffWeeklyHours[shift.staff_id][weekKey] = (staffWeeklyHours[shift.staff_id][weekKey] || 0) + getShiftHours(shift, shift.break_minutes ?? patternById[shift.pattern_id]?.break_minutes)
+  }
+
+  // 固定したシフトを先にスケジュールに入れる
+  // 生成するシフトは、固定したシフトを含めて連続勤務・週の上限・必要人数を判定する
+  for (const shift of lockedShifts) {
+    if (!targetDates.has(shift.date)) continue
+
+    const pattern = patternById[shift.pattern_id]
+    const hours = getShiftHours(shift, pattern?.break_minutes)
+    schedule[shift.date].push({
+      staff_id: shift.staff_id,
+      date: shift.date,
+      start_time: shift.start_time,
+      end_time: shift.end_time,
+      pattern_id: shift.pattern_id ?? null,
+      pattern_name: pattern?.name ?? 'カスタム',
+      is_locked: true,
+    })
+
+    // 削除済みなど、スタッフ一覧にいないスタッフのシフトは残すだけにする
+    if (!staffInfo[shift.staff_id]) continue
+
+    const weekKey = getWeekStart(shift.date, weekStartDay)
+    const dayKey = `${shift.staff_id}_${shift.date}`
+    if (!countedDays.has(dayKey)) {
+      countedDays.add(dayKey)
+      staffWorkCount[shift.staff_id]++
+      staffWeeklyDays[shift.staff_id][weekKey] = (staffWeeklyDays[shift.staff_id][weekKey] || 0) + 1
+    }
+    staffWeeklyHours[shift.staff_id][weekKey] = (staffWeeklyHours[shift.staff_id][weekKey] || 0) + hours
+  }
+  const lockedDates = new Set(lockedDateList)
+
+  // 必要人数を満たせなかった時間帯と、時間帯の必要人数で割り当てた日付
+  const uncoveredSlots = []
+  const requirementDates = new Set()
+
+  // 各日付に対してスタッフを割り当て
+  for (const date of dates) {
+    const weekKey = getWeekStart(date, weekStartDay)
+    // 固定したシフトで既にこの日に入っているスタッフ
+    const lockedStaffIds = new Set(schedule[date].map(s => s.staff_id))
+
+    // スタッフをシャッフル（ランダム性を追加。legacy では登録順のまま）
+    const shuffledStaff = legacy ? Object.keys(staffInfo) : shuffleArray(Object.keys(staffInfo), random)
+
+    // スコア計算してソート
+    const availableStaff = []
+
+    for (const staffId of shuffledStaff) {
+      const info = staffInfo[staffId]
+
+      // NG日と、固定したシフト・ほかの店舗のシフトで既に入っている日は除外
+      if (info.unavailableDates.has(date) || lockedStaffIds.has(staffId) || otherStoreDays.has(`${staffId}_${date}`)) continue
+
+      // 週の勤務上限チェック
+      if ((staffWeeklyDays[staffId][weekKey] || 0) >= maxDaysPerWeek) continue
+
+      // 期間中の勤務日数上限チェック
+      if (staffWorkCount[staffId] >= info.maxDays) continue
+
+      // 連続勤務チェック
+      // 翌日以降に固定したシフトがあれば、つながる日数も含める
+      const consecutiveDays = countConsecutiveDays(staffId, date, schedule, maxConsecutiveDays, -1, otherStoreDays) +
+        countConsecutiveDays(staffId, date, schedule, maxConsecutiveDays, 1, otherStoreDays)
+      if (consecutiveDays >= maxConsecutiveDays) continue
+
+      // 週の労働時間の残り
+      // 上限を超えるパターンは除外する（長いパターンが入らなければ短いパターンになる）
+      const remainingHours = info.maxHoursPerWeek - (staffWeeklyHours[staffId][weekKey] || 0)
+
+      // 勤務可能時間に収まり、週の上限も超えないパターンがなければ除外
+      const candidates = getAvailablePatterns(info.availability, date, patterns)
+        .filter(c => c.pattern.hours <= remainingHours)
+      if (candidates.length === 0) continue
+
+      // 最も優先度の高い枠のパターンだけを候補にする
+      const bestPriority = Math.min(...candidates.map(c => c.priority))
+      const bestPatterns = candidates.filter(c => c.priority === bestPriority).map(c => c.pattern)
+
+      // スコア計算（低いほど優先）
+      let baseScore = staffWorkCount[staffId] * 10 // 勤務回数が少ない人を優先
+      if (!legacy) baseScore += random() * 5 // ランダム要素を追加
+
+      // 希望日なら優先度を上げる
+      if (info.preferredDates.has(date)) {
+        baseScore -= legacy ? 100 : 50
+      }
+
+      // 優先度1（希望）の枠を優先、3（できれば避けたい）は後回し
+      const score = baseScore + (bestPriority - 1) * 20
+
+      availableStaff.push({ id: staffId, score, baseScore, patterns: bestPatterns, options: candidates })
+    }
+
+    // スコアでソート
+    availableStaff.sort((a, b) => a.score - b.score)
+
+    // 割り当てるスタッフとパターンを決める
+    const dayRequirements = requirements.filter(r => r.day_of_week === getDayOfWeek(date))
+    let selections
+
+    if (dayRequirements.length > 0) {
+      // 時間帯ごとの必要人数が設定されている曜日は、不足がなくなるようにパターンを選ぶ
+      // 固定したシフトでカバーされている分は先に数えておく
+      const segments = buildCoverageSegments(dayRequirements)
+      for (const shift of schedule[date]) {
+        segments.forEach(seg => {
+          if (coversSegment(shift, seg)) seg.assigned++
+        })
+      }
+      selections = lockedDates.has(date) ? [] : selectByRequirements(availableStaff, segments)
+      uncoveredSlots.push(...collectUncoveredSlots(date, segments))
+      requirementDates.add(date)
+    } else {
+      // 必要人数分を割り当て
+      // minStaff ～ maxStaff の間でランダムに決定し（legacy では最大人数）、固定したシフトの人数を差し引く
+      const targetCount = legacy ? maxStaff : Math.floor(random() * (maxStaff - minStaff + 1)) + minStaff
+      const addCount = lockedDates.has(date) ? 0 : Math.max(targetCount - schedule[date].length, 0)
+
+      // 勤務可能なパターンからランダムに選択（legacy では先頭のパターン）
+      selections = availableStaff.slice(0, addCount).map(({ id, patterns }) => ({
+        staffId: id,
+        pattern: legacy ? patterns[0] : patterns[Math.floor(random() * patterns.length)],
+      }))
+    }
+
+    for (const { staffId, pattern } of selections) {
+      schedule[date].push({
+        staff_id: staffId,
+        date: date,
+        start_time: pattern.start_time,
+        end_time: pattern.end_time,
+        pattern_id: pattern.id,
+        pattern_name: pattern.name,
+        is_locked: false,
+      })
+
+      staffWorkCount[staffId]++
+      staffWeeklyDays[staffId][weekKey] = (staffWeeklyDays[staffId][weekKey] || 0) + 1
+      staffWeeklyHours[staffId][weekKey] = (staffWeeklyHours[staffId][weekKey] || 0) + pattern.hours
+    }
+  }
+
+  // 結果を配列に変換
+  const shifts = []
+  const resultSchedule = []
+  const warnings = []
+  const shortageDates = new Set(uncoveredSlots.map(slot => slot.date))
+
+  for (const date of dates) {
+    const assigned = schedule[date]
+    shifts.push(...assigned)
+    resultSchedule.push({ date, staff: assigned.map(s => s.staff_id), count: assigned.length })
+
+    // 人数不足の警告（時間帯の必要人数で割り当てた日は下でまとめて出す）
+    if (!requirementDates.has(date) && assigned.length < minStaff) {
+      warnings.push(`${date}: 最低人数 ${minStaff}人を満たせません（${assigned.length}人）`)
+      shortageDates.add(date)
+    }
+  }
+
+  for (const slot of uncoveredSlots) {
+    warnings.push(`${slot.date} ${slot.start_time}-${slot.end_time}: 必要人数 ${slot.required}人を満たせません（${slot.assigned}人）`)
+  }
+
+  // 人数が足りない枠
+  // 時間帯の必要人数で割り当てた日は不足している時間帯、それ以外の日は最も長いパターンで不足人数分
+  const longestPattern = patterns.reduce((longest, p) => (p.hours > longest.hours ? p : longest))
+  const openShifts = uncoveredSlots.map(slot => ({
+    date: slot.date,
+    start_time: slot.start_time,
+    end_time: slot.end_time,
+    pattern_id: null,
+    count: slot.required - slot.assigned,
+  }))
+  for (const date of dates) {
+    const count = schedule[date].length
+    if (!requirementDates.has(date) && count < minStaff) {
+      openShifts.push({
+        date,
+        start_time: longestPattern.start_time,
+        end_time: longestPattern.end_time,
+        pattern_id: longestPattern.id,
+        count: minStaff - count,
+      })
+    }
+  }
+  openShifts.sort((a, b) => a.date.localeCompare(b.date) || a.start_time.localeCompare(b.start_time))
+
+  // 統計情報
+  const stats = {
+    total_shifts: shifts.length,
+    staff_distribution: staffWorkCount,
+    weekly_days: staffWeeklyDays,
+    weekly_hours: staffWeeklyHours,
+    pattern_distribution: shifts.reduce((acc, s) => {
+      acc[s.pattern_name] = (acc[s.pattern_name] || 0) + 1
+      return acc
+    }, {}),
+    average_per_staff: Math.round((shifts.length / staffList.length) * 10) / 10,
+    days_with_shortage: shortageDates.size,
+  }
+
+  return {
+    success: true,
+    shifts: shifts,
+    schedule: resultSchedule,
+    stats: stats,
+    uncovered_slots: uncoveredSlots,
+    open_shifts: openShifts,
+    warnings: warnings,
+  }
+}
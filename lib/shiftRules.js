@@ -0,0 +1,146 @@
+// lib/shiftRules.js
+import {
+  addDays,
+  getWeekStart,
+  getShiftHours,
+  getAvailabilityPriority,
+  DEFAULT_CONSTRAINTS,
+} from '@/lib/shiftEngine'
+
+/**
+ * 手動でシフトを変更するときの制約チェック
+ * 交代・代わりのスタッフの割り当て・オープンシフトの応募・カレンダーでの編集などで、自動生成と同じ条件を確認する
+ *
+ * - 1日1シフトまで
+ * - 週の最大労働時間（スタッフごと）
+ * - 週あたりの勤務日数
+ * - 連続勤務日数
+ */
+
+/**
+ * 店舗に設定した制約（週の始まり・連続勤務・週の勤務日数）
+ * 応募・交代などはサーバー（shift_assignment_issues）でも店舗の設定で確認するため、画面でも同じ値を使う
+ * 未設定の項目は DEFAULT_CONSTRAINTS を使う
+ */
+export function getStoreConstraints(store) {
+  return {
+    week_start_day: store?.week_start_day ?? DEFAULT_CONSTRAINTS.week_start_day,
+    max_consecutive_days: store?.max_consecutive_days ?? DEFAULT_CONSTRAINTS.max_consecutive_days,
+    max_days_per_week: store?.max_days_per_week ?? DEFAULT_CONSTRAINTS.max_days_per_week,
+  }
+}
+
+/**
+ * 制約チェックに必要なシフトの取得範囲
+ * 対象日が属する週全体と、前後の連続勤務を判定できる範囲
+ */
+export function getRuleCheckRange(dates, constraints = {}) {
+  const weekStartDay = constraints.week_start_day ?? DEFAULT_CONSTRAINTS.week_start_day
+  const maxConsecutiveDays = constraints.max_consecutive_days ?? DEFAULT_CONSTRAINTS.max_consecutive_days
+  const sorted = [...dates].sort()
+  const first = sorted[0]
+  const last = sorted[sorted.length - 1]
+  const weekStart = getWeekStart(first, weekStartDay)
+  const weekEnd = addDays(getWeekStart(last, weekStartDay), 6)
+  const before = addDays(first, -maxConsecutiveDays)
+  const after = addDays(last, maxConsecutiveDays)
+
+  return {
+    startDate: weekStart < before ? weekStart : before,
+    endDate: weekEnd > after ? weekEnd : after,
+  }
+}
+
+/**
+ * 変更後のシフトで、スタッフが制約を満たしているか確認
+ * @param {Object} staff - スタッフ（name, max_hours_per_week）
+ * @param {Array} staffShifts - 変更後のそのスタッフのシフト（getRuleCheckRange の範囲）
+ * @param {Array} dates - 変更した日付（この日を含む週・連続勤務だけを確認する）
+ * @param {Object} options - patterns（休憩時間の計算用）, constraints
+ * @returns {Array} 違反内容のメッセージ（空なら問題なし）
+ */
+export function findRuleViolations(staff, staffShifts, dates, { patterns = [], constraints = {} } = {}) {
+  const weekStartDay = constraints.week_start_day ?? DEFAULT_CONSTRAINTS.week_start_day
+  const maxConsecutiveDays = constraints.max_consecutive_days ?? DEFAULT_CONSTRAINTS.max_consecutive_days
+  const maxDaysPerWeek = constraints.max_days_per_week ?? DEFAULT_CONSTRAINTS.max_days_per_week
+  const maxHours = staff.max_hours_per_week ?? Infinity
+
+  const breakMinutesByPattern = Object.fromEntries(patterns.map(p => [p.id, p.break_minutes]))
+  const workedDates = new Set(staffShifts.map(s => s.date))
+  const violations = []
+
+  for (const date of new Set(dates)) {
+    if (staffShifts.filter(s => s.date === date).length > 1) {
+      violations.push(`${date}: 同じ日にシフトが重複`)
+    }
+
+    const weekKey = getWeekStart(date, weekStartDay)
+    const weekShifts = staffShifts.filter(s => getWeekStart(s.date, weekStartDay) === weekKey)
+    const weeklyHours = weekShifts.reduce((sum, s) => sum + getShiftHours(s, breakMinutesByPattern[s.pattern_id] || 0), 0)
+    if (weeklyHours > maxHours) {
+      violations.push(`${weekKey}の週: 週${maxHours}時間を超える（${weeklyHours.toFixed(1)}時間）`)
+    }
+    const weeklyDays = new Set(weekShifts.map(s => s.date)).size
+    if (weeklyDays > maxDaysPerWeek) {
+      violations.push(`${weekKey}の週: 週${maxDaysPerWeek}日を超える（${weeklyDays}日）`)
+    }
+
+    // この日を含む連続勤務日数
+    let consecutive = 1
+    for (let i = 1; i <= maxConsecutiveDays && workedDates.has(addDays(date, -i)); i++) consecutive++
+    for (let i = 1; i <= maxConsecutiveDays && workedDates.has(addDays(date, i)); i++) consecutive++
+    if (workedDates.has(date) && consecutive > maxConsecutiveDays) {
+      violations.push(`${date}: ${maxConsecutiveDays}日を超える連続勤務`)
+    }
+  }
+
+  return [...new Set(violations)]
+}
+
+/**
+ * スタッフに新しくシフトを割り当てられるか確認
+ * NG日・勤務可能時間（availability）と、findRuleViolations の制約を確認する
+ * @param {Object} staff - スタッフ（name, max_hours_per_week）
+ * @param {Object} shift - 割り当てるシフト（date, start_time, end_time, pattern_id）
+ * @param {Object} options
+ * @param {Array} options.staffShifts - そのスタッフの保存済みシフト（getRuleCheckRange の範囲）
+ * @param {Array} options.availability - そのスタッフの勤務可能時間（空なら全日勤務可能）
+ * @param {boolean} options.isUnavailable - その日をNG日として提出しているか
+ * @returns {Object} { reasons: 割り当てられない理由（空なら割り当て可能）, priority: 勤務可能時間の優先度 }
+ */
+export function checkAssignment(staff, shift, { staffShifts = [], availability = [], isUnavailable = false, patterns = [], constraints = {} } = {}) {
+  const reasons = []
+
+  if (isUnavailable) reasons.push('NG日')
+
+  const priority = getAvailabilityPriority(availability?.length > 0 ? availability : null, shift.date, shift)
+  if (priority === null) reasons.push('勤務可能時間外')
+
+  reasons.push(...findRuleViolations(staff, [...staffShifts, shift], [shift.date], { patterns, constraints }))
+
+  return { reasons, priority }
+}
+
+/**
+ * カレンダーでシフトを移動・追加・担当変更したときの確認
+ * 同じスタッフ・日付・開始時刻のシフトは一意制約（unique_staff_date_time）に反するため保存できない
+ * それ以外の制約違反は警告として返し、保存するかは管理者が決める
+ * @param {Object} shift - 変更後のシフト（id は新規なら未設定）
+ * @param {Array} shifts - 保存済みのシフト（getRuleCheckRange の範囲）
+ * @param {Object} options - staff, availability, unavailableDates, patterns, constraints
+ * @returns {Object} { conflict: 一意制約に反するか, warnings: 制約違反の警告 }
+ */
+export function checkShiftPlacement(shift, shifts, { staff, availability = [], unavailableDates = new Set(), patterns = [], constraints = {} } = {}) {
+  const staffShifts = shifts.filter(s => s.staff_id === shift.staff_id && s.id !== shift.id)
+  const conflict = staffShifts.some(s => s.date === shift.date && s.start_time.slice(0, 5) === shift.start_time.slice(0, 5))
+
+  const { reasons } = checkAssignment(staff, shift, {
+    staffShifts,
+    availability,
+    isUnavailable: unavailableDates.has(shift.date),
+    patterns,
+    constraints,
+  })
+
+  return { conflict, warnings: reasons }
+}
@@ -0,0 +1,48 @@
+// lib/shiftStatus.js
+
+/**
+ * シフトの状態
+ *
+ * draft: 下書き（管理者だけが見られる。自動生成の結果はここから始まる）
+ * published: 公開済み（スタッフに公開。変更は可能）
+ * confirmed: 確定済み（再生成で上書きされず、確定を解除するまで編集できない）
+ *
+ * DBでは is_published / is_confirmed の2つの列で持つ（確定済みは公開済みでもある）
+ */
+export const SHIFT_STATUS = {
+  draft: {
+    label: '下書き',
+    className: 'bg-gray-100 text-gray-700',
+    // カレンダーのシフト表示用
+    cellClassName: 'border-dashed opacity-70',
+  },
+  published: {
+    label: '公開済み',
+    className: 'bg-blue-100 text-blue-800',
+    cellClassName: '',
+  },
+  confirmed: {
+    label: '確定済み',
+    className: 'bg-green-100 text-green-800',
+    cellClassName: 'ring-1 ring-green-500',
+  },
+}
+
+/**
+ * シフトの状態を取得
+ */
+export function getShiftStatus(shift) {
+  if (shift.is_confirmed) return 'confirmed'
+  if (shift.is_published) return 'published'
+  return 'draft'
+}
+
+/**
+ * 状態を変えるときに更新する列
+ */
+export function getStatusColumns(status) {
+  return {
+    is_published: status !== 'draft',
+    is_confirmed: status === 'confirmed',
+  }
+}
@@ -0,0 +1,61 @@
+// lib/shiftSwap.js
+import { getRuleCheckRange, findRuleViolations } from '@/lib/shiftRules'
+
+/**
+ * シフト交代（shift_swaps）の状態
+ *
+ * offered: 交代を募集中（ほかのスタッフが引き受ける・自分のシフトとの交換を提案できる）
+ * accepted: 引き受け手あり（管理者の承認待ち）
+ * approved: 承認済み（シフトに反映済み）
+ * rejected: 却下
+ * cancelled: 取り下げ
+ */
+export const SWAP_STATUS = {
+  offered: { label: '募集中', className: 'bg-yellow-100 text-yellow-800' },
+  accepted: { label: '承認待ち', className: 'bg-blue-100 text-blue-800' },
+  approved: { label: '承認済み', className: 'bg-green-100 text-green-800' },
+  rejected: { label: '却下', className: 'bg-red-100 text-red-800' },
+  cancelled: { label: '取り下げ', className: 'bg-gray-100 text-gray-600' },
+}
+
+/**
+ * 交代の制約チェックに必要なシフトの取得範囲
+ * constraints は findSwapViolations に渡すものと同じ（週の始まり・連続勤務日数で範囲が変わる）
+ */
+export function getSwapCheckRange(shift, counterShift, constraints = {}) {
+  return getRuleCheckRange(counterShift ? [shift.date, counterShift.date] : [shift.date], constraints)
+}
+
+/**
+ * 交代した場合に、自動生成と同じ制約（週の労働時間・連続勤務など）を満たすか確認
+ * @param {Object} swap - requester, responder（スタッフ）, shift（交代するシフト）, counterShift（交換するシフト、任意）
+ * @param {Array} shifts - 2人の getSwapCheckRange の範囲のシフト
+ * @param {Object} options - patterns, constraints（findRuleViolations と同じ）
+ * @returns {Array} 違反内容（スタッフ名付き）
+ */
+export function findSwapViolations({ requester, responder, shift, counterShift }, shifts, options) {
+  // 交代後のシフト
+  const after = shifts.map(s => {
+    if (s.id === shift.id) return { ...s, staff_id: responder.id }
+    if (counterShift && s.id === counterShift.id) return { ...s, staff_id: requester.id }
+    return s
+  })
+
+  const violations = findRuleViolations(
+    responder,
+    after.filter(s => s.staff_id === responder.id),
+    [shift.date],
+    options
+  ).map(v => `${responder.name}: ${v}`)
+
+  if (counterShift) {
+    violations.push(...findRuleViolations(
+      requester,
+      after.filter(s => s.staff_id === requester.id),
+      [counterShift.date],
+      options
+    ).map(v => `${requester.name}: ${v}`))
+  }
+
+  return violations
+}
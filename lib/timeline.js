@@ -0,0 +1,83 @@
+// lib/timeline.js
+import { addDays, timeToMinutes } from '@/lib/shiftEngine'
+
+/**
+ * タイムライン（ガントチャート）表示用の計算
+ *
+ * 時刻はその日の0:00からの分で表す
+ * 日付をまたぐシフトは 24:00 以降まで伸ばし、前日から続くシフトは 0:00 から表示する
+ */
+
+// シフトがない日の表示範囲
+const DEFAULT_RANGE = { start: 9 * 60, end: 22 * 60 }
+
+// 人数を数える間隔（分）
+export const HEADCOUNT_STEP_MINUTES = 15
+
+/**
+ * 指定日に表示するシフトのバー
+ * @param {string} date - YYYY-MM-DD
+ * @param {Array} shifts - 指定日と前日を含むシフト
+ * @returns {Array} [{ shift, start, end }]（開始順）
+ */
+export function getTimelineBars(date, shifts) {
+  const previousDate = addDays(date, -1)
+  const bars = []
+
+  for (const shift of shifts) {
+    const start = timeToMinutes(shift.start_time)
+    let end = timeToMinutes(shift.end_time)
+    if (end <= start) end += 24 * 60
+
+    if (shift.date === date) {
+      bars.push({ shift, start, end })
+    } else if (shift.date === previousDate && end > 24 * 60) {
+      bars.push({ shift, start: 0, end: end - 24 * 60 })
+    }
+  }
+
+  return bars.sort((a, b) => a.start - b.start || a.end - b.end)
+}
+
+/**
+ * 店舗の営業時間（1時間単位に丸める）
+ * 閉店時刻が開店時刻より前なら、日付をまたいで 24:00 以降まで伸ばす
+ */
+export function getOpeningRange(store) {
+  if (!store) return null
+  const start = timeToMinutes(store.open_time)
+  let end = timeToMinutes(store.close_time)
+  if (end <= start) end += 24 * 60
+  return { start: Math.floor(start / 60) * 60, end: Math.ceil(end / 60) * 60 }
+}
+
+/**
+ * 表示する時間の範囲（1時間単位に丸める）
+ * 週表示では7日分のバーを渡して、すべての日で同じ範囲にそろえる
+ * openingRange（営業時間）を渡すと、シフトがない時間帯も営業時間の分は表示する
+ */
+export function getTimelineRange(bars, openingRange = null) {
+  if (bars.length === 0) return openingRange || DEFAULT_RANGE
+  const range = {
+    start: Math.floor(Math.min(...bars.map(b => b.start)) / 60) * 60,
+    end: Math.ceil(Math.max(...bars.map(b => b.end)) / 60) * 60,
+  }
+  if (!openingRange) return range
+  return {
+    start: Math.min(range.start, openingRange.start),
+    end: Math.max(range.end, openingRange.end),
+  }
+}
+
+/**
+ * 時間帯ごとの出勤人数（同じスタッフの重複は1人として数える）
+ * @returns {Array} [{ minutes, count }]（HEADCOUNT_STEP_MINUTES ごと）
+ */
+export function getHeadcountCurve(bars, range) {
+  const curve = []
+  for (let minutes = range.start; minutes < range.end; minutes += HEADCOUNT_STEP_MINUTES) {
+    const staffIds = new Set(bars.filter(b => b.start <= minutes && b.end > minutes).map(b => b.shift.staff_id))
+    curve.push({ minutes, count: staffIds.size })
+  }
+  return curve
+}
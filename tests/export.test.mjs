@@ -0,0 +1,56 @@
+// tests/export.test.mjs
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { toCsv, toXlsx } from '../lib/export.js'
+
+/**
+ * 表の書き出し（lib/export.js）のテスト
+ * 実行: npm test
+ */
+
+// BOMと最後の改行を除いた行の配列
+function csvLines(rows) {
+  return toCsv(rows).slice(1).split('\r\n').slice(0, -1)
+}
+
+// 無圧縮のZIPから、ファイルの中身を文字列として取り出す（ローカルファイルヘッダーを順にたどる）
+function readZipEntry(zip, path) {
+  const view = new DataView(zip.buffer, zip.byteOffset, zip.byteLength)
+  const decoder = new TextDecoder()
+  for (let offset = 0; view.getUint32(offset, true) === 0x04034B50;) {
+    const size = view.getUint32(offset + 18, true)
+    const nameLength = view.getUint16(offset + 26, true)
+    const dataStart = offset + 30 + nameLength
+    if (decoder.decode(zip.subarray(offset + 30, dataStart)) === path) {
+      return decoder.decode(zip.subarray(dataStart, dataStart + size))
+    }
+    offset = dataStart + size
+  }
+  return null
+}
+
+test('CSVは区切り文字・引用符・改行を含む項目を引用符で囲む', () => {
+  assert.deepEqual(csvLines([['山田, 太郎', '"夜勤"', '1行目\n2行目', 8]]), [
+    '"山田, 太郎","""夜勤""","1行目\n2行目",8',
+  ])
+})
+
+test('CSVは数式として扱われる文字で始まる文字列の先頭に \' を付ける', () => {
+  assert.deepEqual(csvLines([['=1+1', '+81', '-2', '@SUM(A1)', '\tタブ', '山田']]), [
+    "'=1+1,'+81,'-2,'@SUM(A1),'\tタブ,山田",
+  ])
+})
+
+test('CSVは負の数値をそのまま書き出す', () => {
+  assert.deepEqual(csvLines([[-2, 0.5]]), ['-2,0.5'])
+})
+
+test('Excelは数式として扱われる文字で始まる文字列を、文字列の書式にする', () => {
+  const zip = toXlsx([{ name: '勤務表', rows: [['=1+1', '山田', -2]] }])
+  const sheet = readZipEntry(zip, 'xl/worksheets/sheet1.xml')
+
+  assert.match(sheet, /<c r="A1" s="1" t="inlineStr"><is><t xml:space="preserve">=1\+1<\/t>/)
+  assert.match(sheet, /<c r="B1" t="inlineStr">/)
+  assert.match(sheet, /<c r="C1"><v>-2<\/v><\/c>/)
+  assert.match(readZipEntry(zip, 'xl/styles.xml'), /quotePrefix="1"/)
+})
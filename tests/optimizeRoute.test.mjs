@@ -0,0 +1,97 @@
+// tests/optimizeRoute.test.mjs
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { POST } from '../app/api/optimize/route.js'
+import { optimizeShift as optimizeShiftV2 } from './fixtures/optimize-2.0.0.mjs'
+
+/**
+ * /api/optimize（app/api/optimize/route.js）のテスト
+ * 2.0.0 から使っている呼び出し元のため、同じ入力に 2.0.0 と同じ結果を返すことを確かめる
+ * 実行: npm test
+ */
+
+async function post(body) {
+  const response = await POST(new Request('http://localhost/api/optimize', {
+    method: 'POST',
+    body: JSON.stringify(body),
+  }))
+  return { status: response.status, body: await response.json() }
+}
+
+// 2.0.0 のレスポンスにある項目だけを取り出す（2.1.0 で増えた項目は比べない）
+function pickV2Fields(result) {
+  return {
+    success: result.success,
+    schedule: result.schedule,
+    stats: {
+      total_assignments: result.stats.total_assignments,
+      staff_distribution: result.stats.staff_distribution,
+      average_per_staff: result.stats.average_per_staff,
+      days_with_shortage: result.stats.days_with_shortage,
+    },
+    warnings: result.warnings,
+  }
+}
+
+// JSONにしたときと同じ形にする（undefined の項目を除く）
+function asJson(value) {
+  return JSON.parse(JSON.stringify(value))
+}
+
+const CASES = {
+  '制約なし（毎日スタッフ全員）': {
+    staff: [{ id: 'a' }, { id: 'b' }, { id: 'c' }, { id: 'd' }],
+    dates: ['2026-04-01', '2026-04-02', '2026-04-03', '2026-04-04'],
+    seed: 1,
+  },
+  '最大人数・希望日・NG日・勤務日数の上限': {
+    staff: [
+      { id: 'a', preferred_dates: ['2026-04-03'] },
+      { id: 'b', unavailable_dates: ['2026-04-01', '2026-04-02'] },
+      { id: 'c', max_days: 2 },
+      { name: '田中' },
+      { id: 'e', preferred_dates: ['2026-04-01', '2026-04-05'], max_days: 3 },
+    ],
+    dates: ['2026-04-01', '2026-04-02', '2026-04-03', '2026-04-04', '2026-04-05', '2026-04-06', '2026-04-07'],
+    constraints: { max_staff_per_day: 2 },
+  },
+  '最低人数に足りない日がある': {
+    staff: [
+      { id: 'a', unavailable_dates: ['2026-04-02'] },
+      { id: 'b', unavailable_dates: ['2026-04-02'], max_days: 1 },
+    ],
+    dates: ['2026-04-01', '2026-04-02', '2026-04-03'],
+    constraints: { min_staff_per_day: 2 },
+  },
+}
+
+for (const [name, input] of Object.entries(CASES)) {
+  test(`2.0.0 と同じ結果を返す: ${name}`, async () => {
+    const { status, body } = await post(input)
+
+    assert.equal(status, 200)
+    assert.deepEqual(asJson(pickV2Fields(body)), asJson(optimizeShiftV2(input)))
+  })
+}
+
+test('警告がなければ warnings を返さない', async () => {
+  const { body } = await post(CASES['制約なし（毎日スタッフ全員）'])
+
+  assert.equal('warnings' in body, false)
+  assert.equal(body.stats.total_assignments, 16)
+})
+
+test('idも名前もないスタッフには、2.0.0 と同じくランダムなIDを付ける', async () => {
+  const { body } = await post({ staff: [{}, {}], dates: ['2026-04-01'] })
+  const ids = Object.keys(body.stats.staff_distribution)
+
+  assert.equal(ids.length, 2)
+  ids.forEach(id => assert.match(id, /^staff_[0-9a-z]+$/))
+})
+
+test('スタッフがいなければ 400 を返す', async () => {
+  const { status, body } = await post({ staff: [], dates: ['2026-04-01'] })
+
+  assert.equal(status, 400)
+  assert.equal(body.success, false)
+})
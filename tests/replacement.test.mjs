@@ -0,0 +1,41 @@
+// tests/replacement.test.mjs
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { rankReplacementCandidates } from '../lib/replacement.js'
+
+/**
+ * 代わりのスタッフの候補（lib/replacement.js）のテスト
+ * 実行: npm test
+ */
+
+const ABSENCE = { staff_id: 'absent', date: '2026-04-01', start_time: '09:00', end_time: '17:00' }
+
+function rankedIds(staffList, options = {}) {
+  return rankReplacementCandidates(ABSENCE, { staffList, shifts: [], ...options }).map(c => c.staff.id)
+}
+
+test('時給の安い順に並べ、時給が未登録のスタッフは最後にする', () => {
+  const staffList = [
+    { id: 'unranked', name: '未登録' },
+    { id: 'second', name: '2位', wage_rank: 2 },
+    { id: 'first', name: '1位', wage_rank: 1 },
+  ]
+
+  assert.deepEqual(rankedIds(staffList), ['first', 'second', 'unranked'])
+})
+
+test('時給が未登録どうしは、その週の労働時間が少ない順に並べる', () => {
+  const staffList = [{ id: 'busy', name: '多い' }, { id: 'free', name: '少ない' }]
+  const shifts = [{ staff_id: 'busy', date: '2026-03-30', start_time: '09:00', end_time: '17:00' }]
+
+  assert.deepEqual(rankedIds(staffList, { shifts }), ['free', 'busy'])
+})
+
+test('条件を満たさないスタッフは、時給が安くても候補の後ろにする', () => {
+  const staffList = [
+    { id: 'ng', name: 'NG日', wage_rank: 1 },
+    { id: 'ok', name: '候補' },
+  ]
+
+  assert.deepEqual(rankedIds(staffList, { unavailableStaffIds: new Set(['ng']) }), ['ok', 'ng'])
+})
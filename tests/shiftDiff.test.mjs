@@ -0,0 +1,111 @@
+// tests/shiftDiff.test.mjs
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { diffShifts, buildShiftChanges } from '../lib/shiftDiff.js'
+
+/**
+ * 生成したシフトと保存済みのシフトの差分（lib/shiftDiff.js）のテスト
+ * 実行: npm test
+ */
+
+// 保存済みのシフト（DBは時刻を HH:MM:SS で返す）
+function saved(id, staff_id, date, start_time = '09:00:00', end_time = '17:00:00', extra = {}) {
+  return { id, staff_id, date, start_time, end_time, is_confirmed: false, is_locked: false, ...extra }
+}
+
+function generated(staff_id, date, start_time = '09:00', end_time = '17:00', pattern_id = 'day') {
+  return { staff_id, date, start_time, end_time, pattern_id }
+}
+
+// 差分の種類と、変更前のシフトのid（追加なら生成したシフトのスタッフ）
+function summarize(diff) {
+  return diff.map(item => [item.type, item.before?.id ?? item.after.staff_id])
+}
+
+test('生成結果にだけあるシフトを追加、保存済みにだけあるシフトを削除にする', () => {
+  const diff = diffShifts(
+    [saved('s1', 'a', '2026-04-01')],
+    [generated('b', '2026-04-01')],
+  )
+
+  assert.deepEqual(summarize(diff), [['removed', 's1'], ['added', 'b']])
+})
+
+test('時刻の秒の違いは無視し、時間が違えば変更にする', () => {
+  const diff = diffShifts(
+    [saved('s1', 'a', '2026-04-01'), saved('s2', 'a', '2026-04-02')],
+    [generated('a', '2026-04-01'), generated('a', '2026-04-02', '13:00', '22:00')],
+  )
+
+  assert.deepEqual(summarize(diff), [['unchanged', 's1'], ['changed', 's2']])
+  assert.equal(diff[1].after.start_time, '13:00')
+})
+
+test('同じ日の2件目以降のシフトは削除にする', () => {
+  const diff = diffShifts(
+    [saved('s1', 'a', '2026-04-01'), saved('s2', 'a', '2026-04-01', '18:00:00', '22:00:00')],
+    [generated('a', '2026-04-01', '10:00', '18:00')],
+  )
+
+  assert.deepEqual(summarize(diff), [['changed', 's1'], ['removed', 's2']])
+})
+
+test('確定済み・固定したシフトは、生成結果に関係なく維持する', () => {
+  const diff = diffShifts(
+    [
+      saved('confirmed', 'a', '2026-04-01', '09:00:00', '17:00:00', { is_confirmed: true }),
+      saved('locked', 'b', '2026-04-01', '09:00:00', '17:00:00', { is_locked: true }),
+    ],
+    [generated('a', '2026-04-01', '13:00', '22:00')],
+  )
+
+  assert.deepEqual(summarize(diff), [['kept', 'confirmed'], ['kept', 'locked']])
+})
+
+test('確定済みのシフトがある日は、同じ日のほかのシフトも変更しない', () => {
+  const diff = diffShifts(
+    [
+      saved('confirmed', 'a', '2026-04-01', '09:00:00', '13:00:00', { is_confirmed: true }),
+      saved('other', 'a', '2026-04-01', '18:00:00', '22:00:00'),
+    ],
+    [],
+  )
+
+  assert.deepEqual(summarize(diff), [['kept', 'confirmed'], ['unchanged', 'other']])
+})
+
+test('日付・スタッフ順に並べる', () => {
+  const diff = diffShifts(
+    [saved('s1', 'b', '2026-04-02')],
+    [generated('b', '2026-04-01'), generated('a', '2026-04-02')],
+  )
+
+  assert.deepEqual(diff.map(item => `${item.date}_${item.staff_id}`), [
+    '2026-04-01_b',
+    '2026-04-02_a',
+    '2026-04-02_b',
+  ])
+})
+
+test('選択した差分を apply_shift_changes の引数に変換し、変更のない差分は含めない', () => {
+  const diff = diffShifts(
+    [
+      saved('changed', 'a', '2026-04-01'),
+      saved('removed', 'b', '2026-04-01'),
+      saved('unchanged', 'c', '2026-04-01'),
+      saved('locked', 'd', '2026-04-01', '09:00:00', '17:00:00', { is_locked: true }),
+    ],
+    [
+      generated('a', '2026-04-01', '13:00', '22:00', 'night'),
+      generated('c', '2026-04-01'),
+      generated('d', '2026-04-01', '13:00', '22:00'),
+      { staff_id: 'e', date: '2026-04-01', start_time: '09:00', end_time: '17:00' },
+    ],
+  )
+
+  assert.deepEqual(buildShiftChanges(diff), {
+    inserts: [{ staff_id: 'e', date: '2026-04-01', start_time: '09:00', end_time: '17:00', pattern_id: null }],
+    updates: [{ id: 'changed', start_time: '13:00', end_time: '22:00', pattern_id: 'night' }],
+    deletes: ['removed'],
+  })
+})
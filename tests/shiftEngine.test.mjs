@@ -0,0 +1,143 @@
+// tests/shiftEngine.test.mjs
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { optimizeShift, getDateRange, getWeekStart, getShiftHours } from '../lib/shiftEngine.js'
+
+/**
+ * シフト生成エンジン（lib/shiftEngine.js）のテスト
+ * 実行: npm test
+ */
+
+const STAFF = [
+  { id: 'a', name: '山田', max_hours: 24 },
+  { id: 'b', name: '佐藤', unavailable_dates: ['2026-04-08'] },
+  { id: 'c', name: '鈴木', preferred_dates: ['2026-04-07'] },
+  { id: 'd', name: '田中', max_days: 6 },
+  { id: 'e', name: '高橋' },
+]
+
+// 2026-04-06（月）〜 2026-04-19（日）の2週間
+const DATES = getDateRange('2026-04-06', '2026-04-19')
+
+const CONSTRAINTS = {
+  min_staff_per_day: 2,
+  max_staff_per_day: 3,
+  max_consecutive_days: 3,
+  max_days_per_week: 4,
+}
+
+function generate(overrides = {}) {
+  return optimizeShift({ staff: STAFF, dates: DATES, constraints: CONSTRAINTS, seed: 42, ...overrides })
+}
+
+// スタッフごとの勤務日（日付順）
+function workedDatesByStaff(shifts) {
+  const result = {}
+  for (const shift of shifts) {
+    if (!result[shift.staff_id]) result[shift.staff_id] = []
+    result[shift.staff_id].push(shift.date)
+  }
+  Object.values(result).forEach(dates => dates.sort())
+  return result
+}
+
+test('同じseedなら同じシフトになる', () => {
+  const first = generate()
+  const second = generate()
+
+  assert.equal(first.success, true)
+  assert.deepEqual(second, first)
+})
+
+test('seedを変えると違うシフトになる', () => {
+  const results = [1, 2, 3, 4, 5].map(seed => JSON.stringify(generate({ seed }).shifts))
+
+  assert.ok(new Set(results).size > 1)
+})
+
+test('1日の最大人数を超えない', () => {
+  const { schedule } = generate()
+
+  for (const day of schedule) {
+    assert.ok(day.count <= CONSTRAINTS.max_staff_per_day, `${day.date}: ${day.count}人`)
+  }
+})
+
+test('同じ日に同じスタッフを2回割り当てない', () => {
+  const { schedule } = generate()
+
+  for (const day of schedule) {
+    assert.equal(new Set(day.staff).size, day.staff.length, day.date)
+  }
+})
+
+test('NG日には割り当てない', () => {
+  const { shifts } = generate()
+
+  assert.ok(!shifts.some(s => s.staff_id === 'b' && s.date === '2026-04-08'))
+})
+
+test('連続勤務の上限を超えない', () => {
+  const byStaff = workedDatesByStaff(generate().shifts)
+
+  for (const [staffId, dates] of Object.entries(byStaff)) {
+    let consecutive = 1
+    for (let i = 1; i < dates.length; i++) {
+      const previous = new Date(`${dates[i - 1]}T00:00:00Z`)
+      const current = new Date(`${dates[i]}T00:00:00Z`)
+      consecutive = current - previous === 24 * 60 * 60 * 1000 ? consecutive + 1 : 1
+      assert.ok(consecutive <= CONSTRAINTS.max_consecutive_days, `${staffId}: ${dates[i]}まで${consecutive}日連続`)
+    }
+  }
+})
+
+test('週の勤務日数・週の労働時間・期間中の勤務日数の上限を超えない', () => {
+  const { shifts } = generate()
+  const byStaff = workedDatesByStaff(shifts)
+
+  for (const [staffId, dates] of Object.entries(byStaff)) {
+    const daysByWeek = {}
+    dates.forEach(date => {
+      const weekKey = getWeekStart(date)
+      daysByWeek[weekKey] = (daysByWeek[weekKey] || 0) + 1
+    })
+    for (const [weekKey, days] of Object.entries(daysByWeek)) {
+      assert.ok(days <= CONSTRAINTS.max_days_per_week, `${staffId}: ${weekKey}の週に${days}日`)
+    }
+  }
+
+  const hoursByWeek = {}
+  shifts.filter(s => s.staff_id === 'a').forEach(s => {
+    const weekKey = getWeekStart(s.date)
+    hoursByWeek[weekKey] = (hoursByWeek[weekKey] || 0) + getShiftHours(s)
+  })
+  for (const [weekKey, hours] of Object.entries(hoursByWeek)) {
+    assert.ok(hours <= 24, `a: ${weekKey}の週に${hours}時間`)
+  }
+
+  assert.ok((byStaff.d || []).length <= 6)
+})
+
+test('期間直前のシフトから続く連続勤務も上限に含める', () => {
+  const previousShifts = ['2026-04-03', '2026-04-04', '2026-04-05'].map(date => ({
+    staff_id: 'e', date, start_time: '09:00', end_time: '17:00',
+  }))
+  const { shifts } = generate({ previous_shifts: previousShifts })
+
+  assert.ok(!shifts.some(s => s.staff_id === 'e' && s.date === '2026-04-06'))
+})
+
+test('最低人数に足りない日は警告とオープンシフトを出す', () => {
+  const result = generate({ staff: STAFF.slice(0, 1) })
+
+  assert.equal(result.success, true)
+  assert.ok(result.warnings.length > 0)
+  assert.ok(result.open_shifts.length > 0)
+  assert.equal(result.stats.days_with_shortage, DATES.length)
+})
+
+test('最低人数が最大人数を超えるとエラーになる', () => {
+  const result = generate({ constraints: { min_staff_per_day: 4, max_staff_per_day: 3 } })
+
+  assert.equal(result.success, false)
+})
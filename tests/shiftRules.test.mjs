@@ -0,0 +1,132 @@
+// tests/shiftRules.test.mjs
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { checkAssignment, checkShiftPlacement, findRuleViolations } from '../lib/shiftRules.js'
+
+/**
+ * 手動でシフトを変更するときの制約チェック（lib/shiftRules.js）のテスト
+ * 実行: npm test
+ */
+
+const STAFF = { id: 'a', name: '山田', max_hours_per_week: 40 }
+
+// 2026-03-30 は月曜日（既定の週の始まり）
+function shift(date, start_time = '09:00', end_time = '17:00', extra = {}) {
+  return { staff_id: 'a', date, start_time, end_time, ...extra }
+}
+
+test('同じ日の2つ目のシフトは重複として違反にする', () => {
+  const { reasons } = checkAssignment(STAFF, shift('2026-04-01', '18:00', '22:00'), {
+    staffShifts: [shift('2026-04-01')],
+  })
+
+  assert.deepEqual(reasons, ['2026-04-01: 同じ日にシフトが重複'])
+})
+
+test('同じスタッフ・日付・開始時刻のシフトは保存できない', () => {
+  const shifts = [shift('2026-04-01', '09:00:00', '17:00:00', { id: 'saved' })]
+
+  assert.equal(checkShiftPlacement(shift('2026-04-01', '09:00', '13:00'), shifts, { staff: STAFF }).conflict, true)
+  assert.equal(checkShiftPlacement(shift('2026-04-01', '13:00', '17:00'), shifts, { staff: STAFF }).conflict, false)
+  // 編集中のシフト自身とは比べない
+  assert.deepEqual(checkShiftPlacement(shift('2026-04-01', '09:00', '13:00', { id: 'saved' }), shifts, { staff: STAFF }), {
+    conflict: false,
+    warnings: [],
+  })
+})
+
+test('NG日として提出した日は割り当てられない', () => {
+  const { reasons } = checkAssignment(STAFF, shift('2026-04-01'), { isUnavailable: true })
+
+  assert.deepEqual(reasons, ['NG日'])
+})
+
+test('カレンダーではNG日を警告として返す', () => {
+  const { conflict, warnings } = checkShiftPlacement(shift('2026-04-01'), [], {
+    staff: STAFF,
+    unavailableDates: new Set(['2026-04-01']),
+  })
+
+  assert.equal(conflict, false)
+  assert.deepEqual(warnings, ['NG日'])
+})
+
+test('勤務可能時間の外は割り当てられず、枠内なら優先度を返す', () => {
+  // 2026-04-01 は水曜日
+  const availability = [{ day_of_week: 3, start_time: '08:00', end_time: '18:00', priority: 1 }]
+
+  assert.deepEqual(checkAssignment(STAFF, shift('2026-04-01'), { availability }), { reasons: [], priority: 1 })
+  assert.deepEqual(checkAssignment(STAFF, shift('2026-04-01', '12:00', '20:00'), { availability }).reasons, ['勤務可能時間外'])
+})
+
+test('連続勤務の上限を超える日を違反にする', () => {
+  const staffShifts = ['2026-03-30', '2026-03-31', '2026-04-01'].map(date => shift(date))
+
+  assert.deepEqual(checkAssignment(STAFF, shift('2026-04-02'), { staffShifts }).reasons, [
+    '2026-04-02: 3日を超える連続勤務',
+  ])
+  // 1日空けば連続勤務にならない
+  assert.deepEqual(checkAssignment(STAFF, shift('2026-04-03'), { staffShifts }).reasons, [])
+})
+
+test('連続勤務の上限は店舗の設定を使う', () => {
+  const staffShifts = ['2026-03-30', '2026-03-31', '2026-04-01'].map(date => shift(date))
+
+  assert.deepEqual(checkAssignment(STAFF, shift('2026-04-02'), {
+    staffShifts,
+    constraints: { max_consecutive_days: 4 },
+  }).reasons, [])
+})
+
+test('前後のシフトにはさまれた日も、両側を合わせた連続勤務で判定する', () => {
+  const staffShifts = ['2026-03-30', '2026-03-31', '2026-04-02', '2026-04-03'].map(date => shift(date))
+
+  assert.deepEqual(findRuleViolations(STAFF, [...staffShifts, shift('2026-04-01')], ['2026-04-01'], {
+    constraints: { max_consecutive_days: 4, max_days_per_week: 7 },
+  }), ['2026-04-01: 4日を超える連続勤務'])
+})
+
+test('週の最大労働時間を超えるシフトは割り当てられない', () => {
+  const staff = { ...STAFF, max_hours_per_week: 20 }
+  const staffShifts = [shift('2026-03-30'), shift('2026-04-01')]
+
+  assert.deepEqual(checkAssignment(staff, shift('2026-04-03'), { staffShifts }).reasons, [
+    '2026-03-30の週: 週20時間を超える（24.0時間）',
+  ])
+  assert.deepEqual(checkAssignment(staff, shift('2026-04-03', '09:00', '13:00'), { staffShifts }).reasons, [])
+})
+
+test('週の労働時間は休憩時間を除き、日付をまたぐシフトも翌日の終了時刻まで数える', () => {
+  const staff = { ...STAFF, max_hours_per_week: 16 }
+  const patterns = [{ id: 'day', break_minutes: 60 }]
+  const staffShifts = [shift('2026-03-30', '09:00', '18:00', { pattern_id: 'day' })]
+
+  // 8時間 + 8時間（22:00〜翌06:00）
+  assert.deepEqual(checkAssignment(staff, shift('2026-04-01', '22:00', '06:00'), { staffShifts, patterns }).reasons, [])
+  // 休憩時間を知らなければ 9時間 + 8時間
+  assert.deepEqual(checkAssignment(staff, shift('2026-04-01', '22:00', '06:00'), { staffShifts }).reasons, [
+    '2026-03-30の週: 週16時間を超える（17.0時間）',
+  ])
+})
+
+test('週の労働時間は店舗の週の始まりで区切る', () => {
+  const staff = { ...STAFF, max_hours_per_week: 16 }
+  // 日曜日と翌月曜日
+  const staffShifts = [shift('2026-03-29'), shift('2026-03-30')]
+
+  // 月曜始まりなら、日曜日は前の週に入る
+  assert.deepEqual(checkAssignment(staff, shift('2026-03-31'), { staffShifts }).reasons, [])
+  assert.deepEqual(checkAssignment(staff, shift('2026-03-31'), {
+    staffShifts,
+    constraints: { week_start_day: 0 },
+  }).reasons, ['2026-03-29の週: 週16時間を超える（24.0時間）'])
+})
+
+test('週の勤務日数の上限を超える日を違反にする', () => {
+  const staffShifts = ['2026-03-30', '2026-03-31', '2026-04-02', '2026-04-03'].map(date => shift(date))
+
+  assert.deepEqual(checkAssignment(STAFF, shift('2026-04-05'), {
+    staffShifts,
+    constraints: { max_days_per_week: 4 },
+  }).reasons, ['2026-03-30の週: 週4日を超える（5日）'])
+})
@@ -0,0 +1,81 @@
+// tests/shiftSwap.test.mjs
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { getSwapCheckRange, findSwapViolations } from '../lib/shiftSwap.js'
+
+/**
+ * シフト交代の制約チェック（lib/shiftSwap.js）のテスト
+ * 実行: npm test
+ */
+
+const REQUESTER = { id: 'req', name: '山田', max_hours_per_week: 40 }
+const RESPONDER = { id: 'res', name: '佐藤', max_hours_per_week: 40 }
+
+// 2026-03-30 は月曜日（既定の週の始まり）
+function shift(id, staff_id, date, start_time = '09:00', end_time = '17:00') {
+  return { id, staff_id, date, start_time, end_time }
+}
+
+test('引き受けるスタッフに同じ日のシフトがあれば、そのスタッフの名前を付けて返す', () => {
+  const offered = shift('offered', 'req', '2026-04-01')
+  const shifts = [offered, shift('own', 'res', '2026-04-01', '18:00', '22:00')]
+
+  assert.deepEqual(findSwapViolations({ requester: REQUESTER, responder: RESPONDER, shift: offered }, shifts), [
+    '佐藤: 2026-04-01: 同じ日にシフトが重複',
+  ])
+})
+
+test('引き受けると連続勤務の上限を超える場合は違反にする', () => {
+  const offered = shift('offered', 'req', '2026-04-02')
+  const shifts = [
+    offered,
+    ...['2026-03-30', '2026-03-31', '2026-04-01'].map(date => shift(date, 'res', date)),
+  ]
+
+  assert.deepEqual(findSwapViolations({ requester: REQUESTER, responder: RESPONDER, shift: offered }, shifts), [
+    '佐藤: 2026-04-02: 3日を超える連続勤務',
+  ])
+  assert.deepEqual(findSwapViolations({ requester: REQUESTER, responder: RESPONDER, shift: offered }, shifts, {
+    constraints: { max_consecutive_days: 4 },
+  }), [])
+})
+
+test('交換では、募集したスタッフも受け取るシフトの日で確認する', () => {
+  const offered = shift('offered', 'req', '2026-04-01')
+  const counter = shift('counter', 'res', '2026-04-03')
+  const requester = { ...REQUESTER, max_hours_per_week: 16 }
+  const shifts = [offered, counter, shift('req-mon', 'req', '2026-03-30'), shift('req-tue', 'req', '2026-03-31')]
+
+  assert.deepEqual(findSwapViolations({ requester, responder: RESPONDER, shift: offered, counterShift: counter }, shifts), [
+    '山田: 2026-03-30の週: 週16時間を超える（24.0時間）',
+  ])
+})
+
+test('同じ日のシフトどうしの交換は、重複にならない', () => {
+  const offered = shift('offered', 'req', '2026-04-01')
+  const counter = shift('counter', 'res', '2026-04-01', '13:00', '22:00')
+
+  assert.deepEqual(findSwapViolations(
+    { requester: REQUESTER, responder: RESPONDER, shift: offered, counterShift: counter },
+    [offered, counter],
+  ), [])
+})
+
+test('取得範囲は交代するシフトと交換するシフトの週全体と、前後の連続勤務を含む', () => {
+  const offered = shift('offered', 'req', '2026-04-01')
+
+  assert.deepEqual(getSwapCheckRange(offered), { startDate: '2026-03-29', endDate: '2026-04-05' })
+  assert.deepEqual(getSwapCheckRange(offered, shift('counter', 'res', '2026-04-08')), {
+    startDate: '2026-03-29',
+    endDate: '2026-04-12',
+  })
+})
+
+test('取得範囲は店舗の週の始まりと連続勤務の上限で変わる', () => {
+  const offered = shift('offered', 'req', '2026-04-01')
+
+  assert.deepEqual(getSwapCheckRange(offered, null, { week_start_day: 0, max_consecutive_days: 5 }), {
+    startDate: '2026-03-27',
+    endDate: '2026-04-06',
+  })
+})
@@ -0,0 +1,8 @@
+// tests/support/register.mjs
+import { register } from 'node:module'
+
+/**
+ * テストでアプリのモジュールを読み込めるようにする（npm test の --import で読み込む）
+ * import の解決方法は ./resolve.mjs を参照
+ */
+register('./resolve.mjs', import.meta.url)
@@ -0,0 +1,26 @@
+// tests/support/resolve.mjs
+import { pathToFileURL } from 'node:url'
+import path from 'node:path'
+
+/**
+ * Next.js と同じ書き方の import を Node.js で解決するフック
+ * - '@/lib/shiftEngine' → リポジトリ直下の lib/shiftEngine.js（jsconfig.json の paths と同じ）
+ * - 'next/server' など拡張子のない読み込みは .js を補う
+ */
+const ROOT = path.resolve(path.dirname(new URL(import.meta.url).pathname), '../..')
+
+function withExtension(specifier) {
+  return path.extname(specifier) ? specifier : `${specifier}.js`
+}
+
+export async function resolve(specifier, context, nextResolve) {
+  if (specifier.startsWith('@/')) {
+    return nextResolve(pathToFileURL(path.join(ROOT, withExtension(specifier.slice(2)))).href, context)
+  }
+  try {
+    return await nextResolve(specifier, context)
+  } catch (err) {
+    if (err.code !== 'ERR_MODULE_NOT_FOUND' || path.extname(specifier)) throw err
+    return nextResolve(withExtension(specifier), context)
+  }
+}
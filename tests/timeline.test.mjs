@@ -0,0 +1,77 @@
+// tests/timeline.test.mjs
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { getTimelineBars, getTimelineRange, getHeadcountCurve, HEADCOUNT_STEP_MINUTES } from '../lib/timeline.js'
+
+/**
+ * タイムライン表示の計算（lib/timeline.js）のテスト
+ * 実行: npm test
+ */
+
+function shift(id, staff_id, date, start_time, end_time) {
+  return { id, staff_id, date, start_time, end_time }
+}
+
+// バーをシフトのidと開始・終了（分）にする
+function summarize(bars) {
+  return bars.map(b => [b.shift.id, b.start, b.end])
+}
+
+// 指定した時刻（分）の出勤人数
+function countAt(curve, minutes) {
+  return curve.find(point => point.minutes === minutes).count
+}
+
+test('日付をまたぐシフトは当日は 24:00 以降まで伸ばし、翌日は 0:00 から表示する', () => {
+  const shifts = [
+    shift('day', 'a', '2026-04-02', '09:00', '17:00'),
+    shift('night', 'b', '2026-04-02', '22:00', '06:00'),
+    shift('from-yesterday', 'c', '2026-04-01', '22:00:00', '06:00:00'),
+  ]
+
+  assert.deepEqual(summarize(getTimelineBars('2026-04-02', shifts)), [
+    ['from-yesterday', 0, 360],
+    ['day', 540, 1020],
+    ['night', 1320, 1800],
+  ])
+})
+
+test('前日のシフトは、日付をまたがなければ表示しない', () => {
+  const shifts = [
+    shift('yesterday', 'a', '2026-04-01', '09:00', '17:00'),
+    shift('until-midnight', 'b', '2026-04-01', '18:00', '00:00'),
+    shift('tomorrow', 'c', '2026-04-03', '22:00', '06:00'),
+  ]
+
+  assert.deepEqual(getTimelineBars('2026-04-02', shifts), [])
+})
+
+test('出勤人数は、前日から続くシフトと翌日まで続くシフトも数える', () => {
+  const bars = getTimelineBars('2026-04-02', [
+    shift('from-yesterday', 'a', '2026-04-01', '22:00', '06:00'),
+    shift('morning', 'b', '2026-04-02', '05:00', '10:00'),
+    shift('night', 'c', '2026-04-02', '22:00', '06:00'),
+  ])
+  const range = getTimelineRange(bars)
+  const curve = getHeadcountCurve(bars, range)
+
+  assert.deepEqual(range, { start: 0, end: 1800 })
+  assert.equal(curve.length, 1800 / HEADCOUNT_STEP_MINUTES)
+  assert.equal(countAt(curve, 0), 1)
+  assert.equal(countAt(curve, 300), 2)
+  // 終了時刻ちょうどは数えない
+  assert.equal(countAt(curve, 360), 1)
+  assert.equal(countAt(curve, 600), 0)
+  assert.equal(countAt(curve, 1320), 1)
+  assert.equal(countAt(curve, 1800 - HEADCOUNT_STEP_MINUTES), 1)
+})
+
+test('同じスタッフのシフトが重なる時間帯は1人として数える', () => {
+  const bars = getTimelineBars('2026-04-02', [
+    shift('early', 'a', '2026-04-02', '09:00', '14:00'),
+    shift('late', 'a', '2026-04-02', '13:00', '18:00'),
+  ])
+  const curve = getHeadcountCurve(bars, { start: 9 * 60, end: 18 * 60 })
+
+  assert.equal(countAt(curve, 13 * 60), 1)
+})